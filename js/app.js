@@ -5,8 +5,12 @@
 
 const App = (() => {
     let data = null;
+    let payouts = null;
     let currentView = 'teams';
 
+    // Shown for a pool whose payout table is missing from results.json
+    const NO_PAYOUTS = { pot: null, currency: '$', places: [], split_ties_up_to: 1, entries: [], notes: ['Payouts are not available for this update.'] };
+
     /**
      * Initialize the application.
      */
@@ -24,6 +28,11 @@ const App = (() => {
             const response = await fetch('data/results.json');
             if (!response.ok) throw new Error(`HTTP ${response.status}`);
             data = await response.json();
+            // results.json written before payouts were resolved has no `payouts`
+            payouts = {
+                team_pool: data.payouts?.team_pool || NO_PAYOUTS,
+                goals_pool: data.payouts?.goals_pool || NO_PAYOUTS,
+            };
             updateSyncTime(data.last_updated);
         } catch (err) {
             console.error('Failed to load results:', err);
@@ -66,13 +75,13 @@ const App = (() => {
 
         switch (currentView) {
             case 'teams':
-                html = Views.renderTeamPool(data.team_pool);
+                html = Views.renderTeamPool(data.team_pool, payouts.team_pool);
                 break;
             case 'goals':
-                html = Views.renderGoalsPool(data.goals_pool);
+                html = Views.renderGoalsPool(data.goals_pool, payouts.goals_pool);
                 break;
             case 'winningz':
-                html = Views.renderWinningz(data.team_pool, data.goals_pool);
+                html = Views.renderWinningz(payouts);
                 break;
         }
 
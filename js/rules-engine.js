@@ -1,76 +1,97 @@
 /**
  * Soccer Pool Tracker — Rules Engine
- * Implements all PRD v3.0 scoring logic for Team Pool and Goals Pool.
+ * Implements the Team Pool and Goals Pool scoring logic described by the
+ * versioned rules config in data/rules.json.
  * This module is isomorphic: used by both the CRON script and unit tests.
  */
 
-// ── Cup Milestone Constants (non-stacking: only highest applies) ────────────
-const DOMESTIC_CUP_MILESTONES = {
-    winner: 15,
-    runner_up: 12,
-    semifinal: 8,
-};
-
-const UEFA_CUP_MILESTONES = {
-    champions_league: { winner: 20, runner_up: 15, semifinal: 10 },
-    europa_league: { winner: 12, runner_up: 10, semifinal: 6 },
-    conference_league: { winner: 12, runner_up: 10, semifinal: 6 },
-};
-
-// Supercup competitions to exclude (case-insensitive matching)
-const SUPERCUP_KEYWORDS = [
-    'super cup', 'supercup', 'community shield', 'supercopa',
-    'supercoppa', 'trophée des champions', 'dfl-supercup',
-];
+// ── Scoring Rules (data/rules.json) ─────────────────────────────────────────
+// Milestone bonuses, goal exclusions, supercup keywords and tiebreakers are
+// data, not code.
+// Every scoring function takes an optional rules object; under Node it
+// defaults to the checked-in data/rules.json.
+const DEFAULT_RULES = (typeof require === 'function') ? require('../data/rules.json') : null;
 
 /**
  * Determines if a competition is a Supercup (excluded from scoring).
  * @param {string} competitionName
+ * @param {object} [rules] - Scoring rules config (defaults to data/rules.json)
  * @returns {boolean}
  */
-function isSupercup(competitionName) {
+function isSupercup(competitionName, rules = DEFAULT_RULES) {
     const lower = (competitionName || '').toLowerCase();
-    return SUPERCUP_KEYWORDS.some(kw => lower.includes(kw));
+    return rules.scoring.supercup_keywords.some(kw => lower.includes(kw));
 }
 
 /**
  * Gets the highest domestic cup milestone bonus (non-stacking).
  * @param {object} cupProgress - { milestone: 'winner'|'runner_up'|'semifinal'|null }
+ * @param {object} [rules] - Scoring rules config
  * @returns {number}
  */
-function getDomesticCupBonus(cupProgress) {
+function getDomesticCupBonus(cupProgress, rules = DEFAULT_RULES) {
     if (!cupProgress || !cupProgress.milestone) return 0;
-    return DOMESTIC_CUP_MILESTONES[cupProgress.milestone] || 0;
+    return rules.scoring.domestic_cup_milestones[cupProgress.milestone] || 0;
 }
 
 /**
  * Gets the highest UEFA cup milestone bonus (non-stacking).
  * @param {object} cupProgress - { competition: 'champions_league'|'europa_league'|'conference_league', milestone: string }
+ * @param {object} [rules] - Scoring rules config
  * @returns {number}
  */
-function getUefaCupBonus(cupProgress) {
+function getUefaCupBonus(cupProgress, rules = DEFAULT_RULES) {
     if (!cupProgress || !cupProgress.competition || !cupProgress.milestone) return 0;
-    const tier = UEFA_CUP_MILESTONES[cupProgress.competition];
+    const tier = rules.scoring.uefa_cup_milestones[cupProgress.competition];
     if (!tier) return 0;
     return tier[cupProgress.milestone] || 0;
 }
 
+const SPLIT_SEASON_RULES = ['regular_plus_playoff', 'official_table'];
+
+/**
+ * League points that count for a team. Split-season leagues (a regular
+ * season, then play-off groups) report a breakdown, and
+ * rules.scoring.split_season_points decides which points count:
+ *   - 'regular_plus_playoff': every regular-season point plus play-off points,
+ *                             ignoring any halving at the split (default)
+ *   - 'official_table':       the league's own table — carried-over points
+ *                             (halved in Belgium) plus play-off points
+ *
+ * @param {object} teamData
+ * @param {number} teamData.league_points - League table total
+ * @param {{ regular: number, carried: number, playoff: number }} [teamData.league_split]
+ * @param {object} [rules] - Scoring rules config
+ * @returns {number}
+ */
+function getLeaguePoints(teamData, rules = DEFAULT_RULES) {
+    const split = teamData.league_split;
+    if (!split) return teamData.league_points || 0;
+    const counted = rules.scoring.split_season_points || 'regular_plus_playoff';
+    if (!SPLIT_SEASON_RULES.includes(counted)) {
+        throw new Error(`Unknown split_season_points "${counted}" (available: ${SPLIT_SEASON_RULES.join(', ')})`);
+    }
+    return (counted === 'official_table' ? split.carried : split.regular) + split.playoff;
+}
+
 /**
  * Calculates total team points from all components.
  * CRITICAL: Milestones do NOT stack. Only highest achieved milestone in each cup counts.
  *
  * @param {object} teamData
  * @param {number} teamData.league_points - Total domestic league points
+ * @param {object} [teamData.league_split] - Split-season breakdown (see getLeaguePoints)
  * @param {number} teamData.uefa_league_phase_points - Points from UEFA group/league phase
  * @param {object|null} teamData.domestic_cup - { milestone: 'winner'|'runner_up'|'semifinal' }
  * @param {object|null} teamData.uefa_cup - { competition: string, milestone: string }
+ * @param {object} [rules] - Scoring rules config
  * @returns {{ total: number, league_points: number, uefa_points: number, domestic_cup_points: number }}
  */
-function calculateTeamPoints(teamData) {
-    const league = teamData.league_points || 0;
+function calculateTeamPoints(teamData, rules = DEFAULT_RULES) {
+    const league = getLeaguePoints(teamData, rules);
     const uefaPhase = teamData.uefa_league_phase_points || 0;
-    const domesticBonus = getDomesticCupBonus(teamData.domestic_cup);
-    const uefaBonus = getUefaCupBonus(teamData.uefa_cup);
+    const domesticBonus = getDomesticCupBonus(teamData.domestic_cup, rules);
+    const uefaBonus = getUefaCupBonus(teamData.uefa_cup, rules);
 
     return {
         total: league + uefaPhase + domesticBonus + uefaBonus,
@@ -86,108 +107,791 @@ function calculateTeamPoints(teamData) {
  * @param {Array} goals - Array of goal events: { date, minute, type, competition }
  *   - type: 'normal'|'penalty'|'own_goal'|'penalty_shootout'
  *   - minute: number (> 90 for ET, negative or special for shootout)
- * @param {string} activeFromDate - ISO date string. Goals before this date are excluded.
+ * @param {string|{ from: string|null, until: string|null }} activeWindow - ISO date the
+ *   pick became active (goals before it are excluded), or a pick window whose
+ *   `until` date is exclusive
+ * @param {object} [rules] - Scoring rules config
  * @returns {number}
  */
-function calculatePlayerGoals(goals, activeFromDate) {
+function calculatePlayerGoals(goals, activeWindow, rules = DEFAULT_RULES) {
     if (!goals || !Array.isArray(goals)) return 0;
 
-    const activeDate = new Date(activeFromDate);
+    const window = typeof activeWindow === 'string' ? { from: activeWindow } : (activeWindow || {});
+    const activeDate = new Date(window.from);
+    const inactiveDate = window.until ? new Date(window.until) : null;
 
     return goals.filter(goal => {
-        // Exclude goals before active_from_date
+        // Exclude goals before active_from and from active_until on
         const goalDate = new Date(goal.date);
         if (goalDate < activeDate) return false;
+        if (inactiveDate && goalDate >= inactiveDate) return false;
 
-        // Exclude penalty shootout goals
-        if (goal.type === 'penalty_shootout') return false;
-
-        // Exclude own goals
-        if (goal.type === 'own_goal') return false;
+        // Exclude penalty shootout goals, own goals, etc.
+        if (rules.scoring.excluded_goal_types.includes(goal.type)) return false;
 
         // Exclude supercup goals
-        if (isSupercup(goal.competition || '')) return false;
+        if (isSupercup(goal.competition || '', rules)) return false;
 
         return true;
     }).length;
 }
 
 /**
- * Calculates financial payouts for a pool.
- * Rules:
- *   - 1st place: $250, 2nd place: $50
- *   - If 2-way tie at 1st: split $300 evenly ($150 each), 2nd gets $0
- *   - If 3+ way tie at 1st: winner decided alphabetically by first name
+ * Counts a player's goals from the normalized apiData player entry.
+ * Entries are either an array of goal events (all exclusion rules apply) or
+ * { season_total } from sources that only publish aggregate numbers.
  *
- * @param {Array} standings - Sorted array of { participant, total }
- * @returns {Array} - Array of { participant, payout }
+ * @param {Array|object|undefined} playerData
+ * @param {string} activeFromDate - ISO date string
+ * @param {object} [rules] - Scoring rules config
+ * @returns {number}
  */
-function calculatePayouts(standings) {
-    if (!standings || standings.length === 0) return [];
+function countPlayerGoals(playerData, activeFromDate, rules = DEFAULT_RULES) {
+    if (Array.isArray(playerData)) return calculatePlayerGoals(playerData, activeFromDate, rules);
+    if (playerData && typeof playerData.season_total === 'number') return playerData.season_total;
+    return 0;
+}
+
+// ── Pick windows (Phase 2 swaps) ────────────────────────────────────────────
+// A pick counts between active_from (inclusive) and active_until (exclusive).
+// At phase_2_start_date a participant may drop picks and add replacements;
+// whatever a dropped pick earned before the swap stays with the participant.
+// Season totals can't be split by date on their own, so windows over them use
+// apiData.snapshots: dated copies of the team and player numbers.
+
+/**
+ * Reads a roster pick's active window. `active_from_date` is the older
+ * spelling used for players before Phase 2 existed.
+ * @param {object} pick - Roster team or player
+ * @returns {{ from: string|null, until: string|null }}
+ */
+function pickWindow(pick) {
+    return {
+        from: pick.active_from || pick.active_from_date || null,
+        until: pick.active_until || null,
+    };
+}
+
+/**
+ * Latest snapshot dated on or before `date`.
+ * @param {Array} snapshots - [{ date, teams: { name: teamData }, players: { name: season_total } }]
+ * @param {string} date
+ * @returns {object|null}
+ */
+function snapshotOn(snapshots, date) {
+    let found = null;
+    for (const snap of snapshots || []) {
+        if (snap.date <= date && (!found || snap.date >= found.date)) found = snap;
+    }
+    return found;
+}
+
+/**
+ * The date the data runs to: apiData.as_of, or today without one.
+ * @param {object} apiData - Normalized source data (see computeResults)
+ * @returns {string} YYYY-MM-DD
+ */
+function asOfDate(apiData) {
+    return apiData.as_of || new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a pick window opens after the data's as_of date. Such a pick
+ * (a future Phase 2 add, or the receiving side of a trade dated ahead) has
+ * earned nothing yet, while its giver still owns it up to as_of.
+ * @param {{ from: string|null }} window
+ * @param {object} apiData - Normalized source data (see computeResults)
+ * @returns {boolean}
+ */
+function opensLater(window, apiData) {
+    return Boolean(window.from) && window.from > asOfDate(apiData);
+}
+
+/**
+ * Snapshot a pick window ending on `until` is scored up to, or null while
+ * the end date is still to come (current numbers count). Throws when the end
+ * date has passed with no snapshot: current numbers would credit the pick
+ * with what was earned after it changed hands.
+ *
+ * @param {string} name - Team or player, for the error
+ * @param {string} until - YYYY-MM-DD
+ * @param {object} apiData - Normalized source data (see computeResults)
+ * @returns {object|null}
+ */
+function endSnapshot(name, until, apiData) {
+    if (until > asOfDate(apiData)) return null;
+    const snap = snapshotOn(apiData.snapshots, until);
+    if (!snap) throw new Error(`No snapshot for ${until}: can't score ${name} up to the day it changed hands`);
+    return snap;
+}
+
+/**
+ * Scores a team pick over its window: the team's score at the end of the
+ * window minus its score at the start. Without a snapshot for the start the
+ * pick is credited from zero; a window that has ended needs one for its end
+ * (see endSnapshot), and one that hasn't opened yet scores nothing.
+ *
+ * @param {string} teamName
+ * @param {{ from: string|null, until: string|null }} window
+ * @param {object} apiData - Normalized source data (see computeResults)
+ * @param {object} [rules] - Scoring rules config
+ * @returns {{ total: number, league_points: number, uefa_points: number, domestic_cup_points: number }}
+ */
+function scoreTeamPick(teamName, window, apiData, rules = DEFAULT_RULES) {
+    if (opensLater(window, apiData)) return { total: 0, league_points: 0, uefa_points: 0, domestic_cup_points: 0 };
+    const current = apiData.teams[teamName] || {};
+    const teamOn = date => {
+        const snap = snapshotOn(apiData.snapshots, date);
+        return snap ? (snap.teams[teamName] || {}) : null;
+    };
+    const endSnap = window.until && endSnapshot(teamName, window.until, apiData);
+    const end = calculateTeamPoints(endSnap ? (endSnap.teams[teamName] || {}) : current, rules);
+    const start = calculateTeamPoints((window.from && teamOn(window.from)) || {}, rules);
+
+    return {
+        total: end.total - start.total,
+        league_points: end.league_points - start.league_points,
+        uefa_points: end.uefa_points - start.uefa_points,
+        domestic_cup_points: end.domestic_cup_points - start.domestic_cup_points,
+    };
+}
 
-    const sorted = [...standings].sort((a, b) => b.total - a.total);
-    const topScore = sorted[0].total;
-    const tiedForFirst = sorted.filter(s => s.total === topScore);
+/**
+ * Counts a player pick's goals over its window. Goal events are filtered by
+ * date; season totals are differenced against snapshots like team points.
+ * A window `cutoff` (see rosterTotalOn) isn't a change of hands: a player
+ * missing from the snapshot there is counted with current numbers. A window
+ * that hasn't opened yet counts nothing.
+ *
+ * @param {string} playerName
+ * @param {{ from: string|null, until: string|null, cutoff?: boolean }} window
+ * @param {object} apiData - Normalized source data (see computeResults)
+ * @param {object} [rules] - Scoring rules config
+ * @returns {number}
+ */
+function countPickGoals(playerName, window, apiData, rules = DEFAULT_RULES) {
+    if (opensLater(window, apiData)) return 0;
+    const playerData = apiData.players[playerName];
+    if (Array.isArray(playerData)) return calculatePlayerGoals(playerData, window, rules);
 
-    const payouts = sorted.map(s => ({ participant: s.participant, payout: 0 }));
+    const totalIn = snap => (snap && snap.players && typeof snap.players[playerName] === 'number' ? snap.players[playerName] : null);
+    const totalOn = date => totalIn(snapshotOn(apiData.snapshots, date));
+    const endSnap = window.until && endSnapshot(playerName, window.until, apiData);
+    let end = endSnap ? totalIn(endSnap) : null;
+    if (end === null && endSnap && playerData && !window.cutoff) {
+        throw new Error(`No ${playerName} total in the ${endSnap.date} snapshot: can't count goals up to the day they changed hands`);
+    }
+    end = end ?? countPlayerGoals(playerData, window.from, rules);
+    const start = (window.from && totalOn(window.from)) || 0;
+    return Math.max(0, end - start);
+}
+
+/**
+ * Checks that every dated pick follows the Phase 2 swap rules:
+ *   - picks are only dropped at phase_2_start_date
+ *   - picks added on or after the boundary are added at phase_2_start_date
+ *   - each participant adds exactly as many teams (and players) as they drop
+ *
+ * @param {object} rosters - Parsed rosters.json
+ * @returns {string[]} errors (empty when the rosters are valid)
+ */
+function validatePhaseSwaps(rosters) {
+    const boundary = rosters.pool_metadata.phase_2_start_date;
+    const errors = [];
 
-    if (tiedForFirst.length === 2) {
-        // 2-way tie: split $300 evenly ($150 each), 2nd gets $0
-        payouts.forEach(p => {
-            if (sorted.find(s => s.participant === p.participant && s.total === topScore)) {
-                p.payout = 150;
+    for (const roster of rosters.rosters) {
+        for (const kind of ['teams', 'players']) {
+            let dropped = 0;
+            let added = 0;
+            for (const pick of roster[kind]) {
+                const { from, until } = pickWindow(pick);
+                if (until) {
+                    dropped++;
+                    if (until !== boundary) errors.push(`${roster.participant}: ${pick.name} dropped on ${until}, not at the Phase 2 start (${boundary})`);
+                }
+                if (from && boundary && from >= boundary) {
+                    added++;
+                    if (from !== boundary) errors.push(`${roster.participant}: ${pick.name} added on ${from}, not at the Phase 2 start (${boundary})`);
+                }
+            }
+            if (dropped !== added) {
+                errors.push(`${roster.participant}: dropped ${dropped} ${kind} but added ${added}`);
             }
-        });
-    } else if (tiedForFirst.length >= 3) {
-        // 3+ way tie: alphabetical by first name decides winner
-        const alphabetical = [...tiedForFirst].sort((a, b) =>
-            a.participant.localeCompare(b.participant)
-        );
-        // First alphabetically gets $250
-        const winnerId = alphabetical[0].participant;
-        payouts.find(p => p.participant === winnerId).payout = 250;
-        // Find second place (next highest score after tied group, or second alphabetical)
-        const nonTied = sorted.filter(s => s.total < topScore);
-        if (nonTied.length > 0) {
-            payouts.find(p => p.participant === nonTied[0].participant).payout = 50;
         }
-    } else {
-        // Clear 1st place
-        payouts[0].payout = 250;
-        if (payouts.length > 1) {
-            payouts[1].payout = 50;
+    }
+
+    return errors;
+}
+
+// ── Trades ──────────────────────────────────────────────────────────────────
+// data/transactions.json logs dated trades between participants:
+//   { id, date, parties: [A, B], moves: [{ pick, from, to }], note? }
+// A trade closes the giver's pick window on the trade date and opens a new
+// one for the receiver, so each goal or point goes to whoever owned the pick
+// on the day it was earned. Trades apply in date order (file order on ties).
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Whether a pick's window covers `date`.
+ * @param {object} pick
+ * @param {string} date
+ * @returns {boolean}
+ */
+function ownsOn(pick, date) {
+    const { from, until } = pickWindow(pick);
+    return (!from || from <= date) && (!until || date < until);
+}
+
+/**
+ * Applies logged trades to the rosters. Invalid trades are skipped and
+ * reported; the rest still apply.
+ *
+ * @param {object} rosters - Parsed rosters.json
+ * @param {object} transactions - Parsed transactions.json ({ trades: [...] })
+ * @returns {{ rosters: object, history: object, errors: string[] }}
+ *   rosters: copy with trade windows applied (traded_to / acquired_from on the picks)
+ *   history: { participant: [{ trade, date, with, gave: [{ name, kind }], received: [...], note }] }
+ */
+function applyTransactions(rosters, transactions) {
+    const result = JSON.parse(JSON.stringify(rosters));
+    const byName = {};
+    const history = {};
+    for (const roster of result.rosters) {
+        byName[roster.participant] = roster;
+        history[roster.participant] = [];
+    }
+
+    const errors = [];
+    const seenIds = new Set();
+    const trades = (transactions?.trades || [])
+        .map((trade, index) => ({ trade, index }))
+        .sort((a, b) => String(a.trade.date).localeCompare(String(b.trade.date)) || a.index - b.index)
+        .map(({ trade }) => trade);
+
+    for (const trade of trades) {
+        const label = `Trade ${trade.id || '(no id)'}`;
+        const tradeErrors = [];
+        const parties = trade.parties || [];
+        const moves = trade.moves || [];
+
+        if (!trade.id) tradeErrors.push(`${label}: missing id`);
+        else if (seenIds.has(trade.id)) tradeErrors.push(`${label}: duplicate id`);
+        seenIds.add(trade.id);
+        if (!DATE_PATTERN.test(trade.date || '')) tradeErrors.push(`${label}: date must be YYYY-MM-DD, got ${trade.date}`);
+        if (parties.length !== 2 || parties[0] === parties[1]) tradeErrors.push(`${label}: needs exactly two different parties`);
+        parties.filter(p => !byName[p]).forEach(p => tradeErrors.push(`${label}: ${p} is not a participant`));
+        if (moves.length === 0) tradeErrors.push(`${label}: no picks change hands`);
+        parties.filter(p => !moves.some(m => m.from === p || m.to === p))
+            .forEach(p => tradeErrors.push(`${label}: ${p} is listed but neither gives nor receives a pick`));
+
+        // Resolve every move against ownership on the trade date before touching anything
+        const resolved = [];
+        if (tradeErrors.length === 0) {
+            for (const move of moves) {
+                if (!parties.includes(move.from) || !parties.includes(move.to) || move.from === move.to) {
+                    tradeErrors.push(`${label}: ${move.pick} must move between ${parties.join(' and ')}`);
+                    continue;
+                }
+                if (moves.filter(m => m.pick === move.pick).length > 1) {
+                    tradeErrors.push(`${label}: ${move.pick} is traded more than once`);
+                    continue;
+                }
+                const kind = ['teams', 'players'].find(k => byName[move.from][k].some(p => p.name === move.pick && ownsOn(p, trade.date)));
+                if (!kind) {
+                    tradeErrors.push(`${label}: ${move.from} does not own ${move.pick} on ${trade.date}`);
+                    continue;
+                }
+                const owners = result.rosters
+                    .filter(r => r.participant !== move.from && r[kind].some(p => p.name === move.pick && ownsOn(p, trade.date)))
+                    .map(r => r.participant);
+                if (owners.length > 0) {
+                    tradeErrors.push(`${label}: ${move.pick} is already owned by ${owners.join(', ')} on ${trade.date}`);
+                    continue;
+                }
+                resolved.push({ move, kind, pick: byName[move.from][kind].find(p => p.name === move.pick && ownsOn(p, trade.date)) });
+            }
+        }
+
+        if (tradeErrors.length > 0) {
+            errors.push(...tradeErrors);
+            continue;
+        }
+
+        for (const { move, kind, pick } of resolved) {
+            const { until } = pickWindow(pick);
+            pick.active_until = trade.date;
+            pick.traded_to = { participant: move.to, date: trade.date, trade: trade.id };
+            byName[move.to][kind].push({
+                name: pick.name,
+                active_from: trade.date,
+                ...(until ? { active_until: until } : {}),
+                acquired_from: { participant: move.from, date: trade.date, trade: trade.id },
+            });
+        }
+
+        for (const [self, other] of [parties, [...parties].reverse()]) {
+            history[self].push({
+                trade: trade.id,
+                date: trade.date,
+                with: other,
+                gave: resolved.filter(r => r.move.from === self).map(r => ({ name: r.pick.name, kind: r.kind })),
+                received: resolved.filter(r => r.move.to === self).map(r => ({ name: r.pick.name, kind: r.kind })),
+                note: trade.note || null,
+            });
         }
     }
 
-    return payouts;
+    return { rosters: result, history, errors };
+}
+
+/**
+ * Checks a transaction log against the rosters: known parties on both
+ * sides, every traded pick owned by the giver on the trade date, and no
+ * pick owned by two participants at once.
+ *
+ * @param {object} rosters - Parsed rosters.json
+ * @param {object} transactions - Parsed transactions.json
+ * @returns {string[]} errors (empty when every trade is valid)
+ */
+function validateTransactions(rosters, transactions) {
+    return applyTransactions(rosters, transactions).errors;
+}
+
+/**
+ * Dates that picks change hands through trades, for snapshotting.
+ * @param {object} transactions - Parsed transactions.json
+ * @returns {string[]}
+ */
+function tradeDates(transactions) {
+    return [...new Set((transactions?.trades || []).map(t => t.date).filter(Boolean))].sort();
+}
+
+// ── Deltas ──────────────────────────────────────────────────────────────────
+// How much a participant gained over the last week and month: their total now
+// minus their total as of the snapshot from that many days ago. The pipeline
+// snapshots on every run, so this needs no extra data; a period reaching back
+// before the first snapshot has no delta (null).
+
+const DELTA_PERIODS = { week: 7, month: 30 };
+
+/**
+ * YYYY-MM-DD `days` before `date`.
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+function daysBefore(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() - days);
+    return d.toISOString().slice(0, 10);
+}
+
+/**
+ * A participant's pool total as of `date`: every pick window is cut off there
+ * (marked `cutoff`, unless the pick had already changed hands).
+ * @param {object} roster - One participant's roster (trades already applied)
+ * @param {'teams'|'players'} kind
+ * @param {string} date
+ * @param {object} apiData - Normalized source data (see computeResults)
+ * @param {object} [rules] - Scoring rules config
+ * @returns {number}
+ */
+function rosterTotalOn(roster, kind, date, apiData, rules = DEFAULT_RULES) {
+    let total = 0;
+    for (const pick of roster[kind]) {
+        const window = pickWindow(pick);
+        if (window.from && window.from >= date) continue;
+        const clipped = window.until && window.until < date ? window : { from: window.from, until: date, cutoff: true };
+        total += kind === 'teams'
+            ? scoreTeamPick(pick.name, clipped, apiData, rules).total
+            : countPickGoals(pick.name, clipped, apiData, rules);
+    }
+    return total;
+}
+
+/**
+ * Weekly and monthly gains for one participant in one pool.
+ * @param {object} roster
+ * @param {'teams'|'players'} kind
+ * @param {number} currentTotal
+ * @param {string} asOf - YYYY-MM-DD the current numbers stand for
+ * @param {object} apiData
+ * @param {object} [rules]
+ * @returns {{ week: number|null, month: number|null }}
+ */
+function poolDeltas(roster, kind, currentTotal, asOf, apiData, rules = DEFAULT_RULES) {
+    const deltas = {};
+    for (const [period, days] of Object.entries(DELTA_PERIODS)) {
+        const date = daysBefore(asOf, days);
+        deltas[period] = snapshotOn(apiData.snapshots, date)
+            ? currentTotal - rosterTotalOn(roster, kind, date, apiData, rules)
+            : null;
+    }
+    return deltas;
+}
+
+/**
+ * Builds the human-readable breakdown line shown under each team.
+ * @param {{ league_points: number, uefa_points: number, domestic_cup_points: number }} scored
+ * @returns {string}
+ */
+function formatTeamDetails(scored) {
+    const parts = [`League: ${scored.league_points}`];
+    if (scored.uefa_points > 0) parts.push(`UEFA: ${scored.uefa_points}`);
+    if (scored.domestic_cup_points > 0) parts.push(`Cup: ${scored.domestic_cup_points}`);
+    return parts.join(' | ');
+}
+
+// Payout table used when a pool declares none: the original $300 pot, $250/$50.
+const DEFAULT_PAYOUTS = {
+    pot: 300,
+    currency: '$',
+    places: [{ amount: 250 }, { amount: 50, note: 'money back' }],
+    split_ties_up_to: 2,
+};
+
+/**
+ * Rounds a money amount to cents.
+ * @param {number} amount
+ * @returns {number}
+ */
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Resolves a pool's payout table into one amount per paid place.
+ * Each place declares either a fixed `amount` or a `percent` of the pot.
+ *
+ * @param {object} config - { pot, currency, places: [{ amount|percent, note }], split_ties_up_to }
+ * @returns {{ pot: number, currency: string, places: Array<{ place: number, amount: number, note: string|null }>, split_ties_up_to: number }}
+ */
+function resolvePayoutTable(config = DEFAULT_PAYOUTS) {
+    return {
+        pot: config.pot,
+        currency: config.currency || '$',
+        places: (config.places || []).map((p, i) => ({
+            place: i + 1,
+            amount: p.amount != null ? p.amount : roundMoney(config.pot * p.percent / 100),
+            note: p.note || null,
+        })),
+        split_ties_up_to: config.split_ties_up_to != null ? config.split_ties_up_to : 2,
+    };
+}
+
+/**
+ * Formats a money amount with a currency symbol, for payout explanations.
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {string}
+ */
+function formatMoney(amount, currency) {
+    return `${currency}${Number.isInteger(amount) ? amount : amount.toFixed(2)}`;
+}
+
+/**
+ * 1 → "1st", 2 → "2nd", 3 → "3rd", 4 → "4th".
+ * @param {number} n
+ * @returns {string}
+ */
+function ordinal(n) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const mod100 = n % 100;
+    return `${n}${(mod100 >= 11 && mod100 <= 13) ? 'th' : (suffixes[n % 10] || 'th')}`;
+}
+
+// ── Tiebreakers ─────────────────────────────────────────────────────────────
+// Participants level on total are ordered by the pool's tiebreaker chain
+// (rules.tiebreakers.<pool>), first breaker that separates them wins.
+// Breakers read the pool entry's own breakdown (teams or players).
+// Alphabetical by first name always runs last so the order is deterministic.
+// Current and dropped picks of one kind from a pool entry
+const allPicks = (entry, kind) => [...(entry[kind] || []), ...(entry[`dropped_${kind}`] || [])];
+
+const TIEBREAKERS = {
+    most_league_points: {
+        label: 'most league points',
+        value: entry => allPicks(entry, 'teams').reduce((sum, t) => sum + t.league_points, 0),
+    },
+    most_uefa_points: {
+        label: 'most UEFA points',
+        value: entry => allPicks(entry, 'teams').reduce((sum, t) => sum + t.uefa_points, 0),
+    },
+    most_goals_top_player: {
+        label: 'most goals by a single player',
+        value: entry => Math.max(0, ...allPicks(entry, 'players').map(p => p.goals)),
+    },
+    fewest_zero_picks: {
+        label: 'fewest picks on zero',
+        lowerWins: true,
+        value: entry => entry.teams
+            ? entry.teams.filter(t => t.league_points + t.uefa_points + t.domestic_cup_points === 0).length
+            : (entry.players || []).filter(p => p.goals === 0).length,
+    },
+    alphabetical: {
+        label: 'alphabetical order by first name',
+        value: entry => entry.participant,
+    },
+};
+
+/**
+ * Compares two tied entries on one breaker.
+ * @returns {number} negative if a ranks above b, 0 if the breaker can't separate them
+ */
+function compareOnBreaker(name, a, b) {
+    const breaker = TIEBREAKERS[name];
+    const va = breaker.value(a);
+    const vb = breaker.value(b);
+    if (typeof va === 'string') return va.localeCompare(vb);
+    return breaker.lowerWins ? va - vb : vb - va;
+}
+
+/**
+ * Resolves a configured tiebreaker chain, appending alphabetical if missing.
+ * @param {string[]} [chain]
+ * @returns {string[]}
+ */
+function resolveTiebreakers(chain = []) {
+    for (const name of chain) {
+        if (!TIEBREAKERS[name]) {
+            throw new Error(`Unknown tiebreaker "${name}" (available: ${Object.keys(TIEBREAKERS).join(', ')})`);
+        }
+    }
+    return chain.includes('alphabetical') ? [...chain] : [...chain, 'alphabetical'];
+}
+
+/**
+ * Orders standings by total, then by the tiebreaker chain, and records which
+ * breaker decided each tied entry's position: the one that separated it from
+ * the entry directly above it (or, for the top of a tied group, from the
+ * entry directly below).
+ *
+ * @param {Array} entries - Pool entries (participant plus teams or players breakdown)
+ * @param {function} totalOf - entry → total
+ * @param {string[]} [chain] - Tiebreaker names, in order
+ * @returns {Array<{ entry: object, tiebreak: { breaker, label, value } | null }>}
+ */
+function rankStandings(entries, totalOf, chain = []) {
+    const breakers = resolveTiebreakers(chain);
+    const decider = (a, b) => breakers.find(name => compareOnBreaker(name, a, b) !== 0) || null;
+
+    const sorted = [...entries].sort((a, b) => {
+        if (totalOf(a) !== totalOf(b)) return totalOf(b) - totalOf(a);
+        const name = decider(a, b);
+        return name ? compareOnBreaker(name, a, b) : 0;
+    });
+
+    return sorted.map((entry, i) => {
+        const above = sorted[i - 1];
+        const below = sorted[i + 1];
+        const rival = (above && totalOf(above) === totalOf(entry)) ? above
+            : (below && totalOf(below) === totalOf(entry)) ? below
+                : null;
+        const name = rival && decider(entry, rival);
+        return {
+            entry,
+            tiebreak: name ? { breaker: name, label: TIEBREAKERS[name].label, value: TIEBREAKERS[name].value(entry) } : null,
+        };
+    });
+}
+
+/**
+ * Allocates a pool's payout table across the standings.
+ * Rules (with the default table: 1st $250, 2nd $50):
+ *   - Clear places are paid in order
+ *   - Ties of up to `split_ties_up_to` participants pool the prizes for the
+ *     places they occupy and split them evenly (2-way tie at 1st: $150 each, 2nd gets $0)
+ *   - Larger ties: winner decided by the tiebreaker chain (alphabetical by
+ *     first name when none is given), the rest of the tied group gets nothing
+ *     and the next place goes to the next score
+ *
+ * @param {Array} standings - Array of { participant, total } plus any breakdown the breakers read
+ * @param {object} [config] - Pool payout table (see resolvePayoutTable)
+ * @param {string[]} [tiebreakers] - Tiebreaker chain (see TIEBREAKERS)
+ * @returns {{ table: object, allocations: Array, notes: string[] }}
+ *   allocations: one per participant, in ranked order:
+ *   { participant, total, payout, place (number|null), tied, explanation (string|null), tiebreak }
+ *   notes: one explanation per tie that affected the money
+ */
+function allocatePayouts(standings, config = DEFAULT_PAYOUTS, tiebreakers = []) {
+    const table = resolvePayoutTable(config);
+    const money = amount => formatMoney(amount, table.currency);
+    const amounts = table.places.map(p => p.amount);
+    const ranked = rankStandings(standings || [], s => s.total, tiebreakers);
+    const sorted = ranked.map(r => r.entry);
+    const allocations = ranked.map(({ entry, tiebreak }) => ({
+        participant: entry.participant,
+        total: entry.total,
+        payout: 0,
+        place: null,
+        tied: false,
+        explanation: null,
+        tiebreak,
+    }));
+    const allocationFor = name => allocations.find(a => a.participant === name);
+    const notes = [];
+
+    let place = 0; // index of the next unpaid place
+    let i = 0;
+    while (i < sorted.length && place < amounts.length) {
+        const group = sorted.filter(s => s.total === sorted[i].total);
+
+        if (group.length === 1) {
+            Object.assign(allocationFor(group[0].participant), { payout: amounts[place], place: place + 1 });
+            place += 1;
+        } else if (group.length <= table.split_ties_up_to) {
+            // Tied participants pool the prizes for the places they occupy
+            const pooledPlaces = amounts.slice(place, place + group.length);
+            const pooled = pooledPlaces.reduce((sum, a) => sum + a, 0);
+            const share = roundMoney(pooled / group.length);
+            const placeNames = pooledPlaces.map((_, k) => ordinal(place + k + 1));
+            const explanation = `${group.length}-way tie for ${ordinal(place + 1)}: `
+                + `${placeNames.join(' + ')} prize${placeNames.length > 1 ? 's' : ''} (${money(pooled)}) split evenly, ${money(share)} each.`;
+            group.forEach(s => {
+                Object.assign(allocationFor(s.participant), { payout: share, place: place + 1, tied: true, explanation });
+            });
+            notes.push(explanation);
+            place += group.length;
+        } else {
+            // Too many to split: the tiebreaker chain decides the place
+            const winner = allocationFor(group[0].participant);
+            const others = group.slice(1).map(s => s.participant);
+            const explanation = `${group.length}-way tie for ${ordinal(place + 1)}: `
+                + `${winner.participant} takes ${ordinal(place + 1)} (${money(amounts[place])}) on ${winner.tiebreak.label}; `
+                + `${others.join(', ')} receive ${money(0)}.`;
+            group.forEach(s => { Object.assign(allocationFor(s.participant), { tied: true, explanation }); });
+            Object.assign(winner, { payout: amounts[place], place: place + 1 });
+            notes.push(explanation);
+            place += 1;
+        }
+
+        i += group.length;
+    }
+
+    return { table, allocations, notes };
+}
+
+/**
+ * Calculates financial payouts for a pool from its payout table.
+ * See allocatePayouts for the tie rules.
+ *
+ * @param {Array} standings - Array of { participant, total }
+ * @param {object} [config] - Pool payout table (see resolvePayoutTable)
+ * @param {string[]} [tiebreakers] - Tiebreaker chain (see TIEBREAKERS)
+ * @returns {Array} - Array of { participant, payout, total, place, tied, explanation, tiebreak }
+ */
+function calculatePayouts(standings, config = DEFAULT_PAYOUTS, tiebreakers = []) {
+    if (!standings || standings.length === 0) return [];
+    return allocatePayouts(standings, config, tiebreakers).allocations;
+}
+
+/**
+ * Builds the payouts section published in results.json for one pool.
+ * The Winningz view renders this as-is, so the site always shows exactly
+ * what the rules say each participant is owed.
+ *
+ * @param {Array} standings - Array of { participant, total } plus any breakdown the breakers read
+ * @param {object} [config] - Pool payout table
+ * @param {string[]} [tiebreakers] - Tiebreaker chain (see TIEBREAKERS)
+ * @returns {{ pot, currency, places, split_ties_up_to, entries: Array, notes: string[] }}
+ *   entries: paid participants only, in place order
+ */
+function buildPoolPayouts(standings, config = DEFAULT_PAYOUTS, tiebreakers = []) {
+    const { table, allocations, notes } = allocatePayouts(standings, config, tiebreakers);
+    return {
+        ...table,
+        entries: allocations
+            .filter(a => a.payout > 0)
+            .map(({ participant, total, payout, place, tied, explanation }) => ({ participant, total, payout, place, tied, explanation })),
+        notes,
+    };
 }
 
 /**
  * Computes full results from rosters + raw API data.
  * Orchestrates scoring for all participants and returns the results.json shape.
+ * This is the only place scores are calculated; every data pipeline normalizes
+ * its source data into apiData and calls this.
+ *
+ * apiData shape:
+ *   teams:     { [rosterTeamName]: { league_points, league_split?, uefa_league_phase_points, domestic_cup, uefa_cup } }
+ *   players:   { [rosterPlayerName]: goalEvents[] | { season_total } }
+ *   snapshots: [{ date, teams: { ...as above }, players: { [name]: season_total } }] (optional)
+ *   as_of:     'YYYY-MM-DD' the current numbers stand for (optional, defaults to today)
+ *   stale:     { teams: { [name]: 'YYYY-MM-DD' }, players: { ... } } (optional) — entities whose
+ *              numbers were carried forward because their source failed, with the date they
+ *              were last refreshed
+ *
+ * Picks with active_from/active_until only score inside their window;
+ * dropped and traded-away picks are listed under dropped_teams/dropped_players
+ * and still count toward the participant's total. Each pool entry carries the
+ * participant's trades involving that pool's picks under `transactions`, and
+ * their gains over the last week and month under `deltas`. Active picks
+ * scored from stale numbers are marked `stale: true` with `last_refreshed`.
  *
  * @param {object} rosters - Parsed rosters.json
- * @param {object} apiData - Raw data from sports API (teams standings, player goals, cup progress)
+ * @param {object} apiData - Normalized source data (team standings, player goals, cup progress)
+ * @param {object} [rules] - Scoring rules config; its version is stamped into the output
+ * @param {object} [transactions] - Parsed transactions.json; throws if any trade is invalid
  * @returns {object} - Full results.json structure
  */
-function computeResults(rosters, apiData) {
+function computeResults(rosters, apiData, rules = DEFAULT_RULES, transactions = null) {
     const teamPool = [];
     const goalsPool = [];
+    const boundary = rosters.pool_metadata.phase_2_start_date || null;
+
+    const traded = applyTransactions(rosters, transactions);
+    if (traded.errors.length > 0) {
+        throw new Error(`Invalid transactions:\n  ${traded.errors.join('\n  ')}`);
+    }
+    rosters = traded.rosters;
+    const asOf = apiData.as_of || new Date().toISOString().slice(0, 10);
+
+    // Trades a participant made involving picks of one kind
+    const tradesFor = (participant, kind) => traded.history[participant]
+        .map(t => ({
+            ...t,
+            gave: t.gave.filter(p => p.kind === kind).map(p => p.name),
+            received: t.received.filter(p => p.kind === kind).map(p => p.name),
+        }))
+        .filter(t => t.gave.length > 0 || t.received.length > 0);
+
+    // Swap dates shown next to a pick: when it was added at/after Phase 2, when it was dropped
+    const windowDates = window => ({
+        ...(window.from && boundary && window.from >= boundary ? { active_from: window.from } : {}),
+        ...(window.until ? { active_until: window.until } : {}),
+    });
+    // Current-season numbers that are really an earlier run's, for active picks
+    const staleInfo = (kind, name) => {
+        const since = apiData.stale?.[kind]?.[name];
+        return since ? { stale: true, last_refreshed: since } : {};
+    };
+    // Who a pick came from or went to, for traded picks
+    const tradeInfo = pick => ({
+        ...(pick.acquired_from ? { acquired_from: pick.acquired_from } : {}),
+        ...(pick.traded_to ? { traded_to: pick.traded_to } : {}),
+    });
 
     for (const roster of rosters.rosters) {
         // ── Team Pool ──
         let participantTeamTotal = 0;
         const teamBreakdowns = [];
+        const droppedTeams = [];
 
         for (const team of roster.teams) {
-            const teamApiData = apiData.teams[team.name] || {};
-            const scored = calculateTeamPoints(teamApiData);
+            const window = pickWindow(team);
+            const scored = scoreTeamPick(team.name, window, apiData, rules);
             participantTeamTotal += scored.total;
-            teamBreakdowns.push({
+            (window.until ? droppedTeams : teamBreakdowns).push({
                 name: team.name,
                 league_points: scored.league_points,
                 uefa_points: scored.uefa_points,
                 domestic_cup_points: scored.domestic_cup_points,
+                details: formatTeamDetails(scored),
+                ...windowDates(window),
+                ...tradeInfo(team),
+                ...(window.until ? {} : staleInfo('teams', team.name)),
             });
         }
 
@@ -195,40 +899,79 @@ function computeResults(rosters, apiData) {
             participant: roster.participant,
             total_points: participantTeamTotal,
             rank: 0, // assigned after sorting
+            tied: false,
+            tiebreak: null,
             teams: teamBreakdowns,
+            dropped_teams: droppedTeams,
+            transactions: tradesFor(roster.participant, 'teams'),
+            deltas: poolDeltas(roster, 'teams', participantTeamTotal, asOf, apiData, rules),
         });
 
         // ── Goals Pool ──
         let participantGoalsTotal = 0;
         const playerBreakdowns = [];
+        const droppedPlayers = [];
 
         for (const player of roster.players) {
-            const playerGoals = apiData.players[player.name] || [];
-            const count = calculatePlayerGoals(playerGoals, player.active_from_date);
+            const window = pickWindow(player);
+            const count = countPickGoals(player.name, window, apiData, rules);
             participantGoalsTotal += count;
-            playerBreakdowns.push({ name: player.name, goals: count });
+            (window.until ? droppedPlayers : playerBreakdowns).push({
+                name: player.name,
+                goals: count,
+                ...windowDates(window),
+                ...tradeInfo(player),
+                ...(window.until ? {} : staleInfo('players', player.name)),
+            });
         }
 
         goalsPool.push({
             participant: roster.participant,
             total_goals: participantGoalsTotal,
             rank: 0,
+            tied: false,
+            tiebreak: null,
             players: playerBreakdowns,
+            dropped_players: droppedPlayers,
+            transactions: tradesFor(roster.participant, 'players'),
+            deltas: poolDeltas(roster, 'players', participantGoalsTotal, asOf, apiData, rules),
         });
     }
 
     // ── Assign ranks ──
-    teamPool.sort((a, b) => b.total_points - a.total_points);
-    teamPool.forEach((entry, i) => { entry.rank = i + 1; });
+    // Standard competition ranking: participants level on total share a rank
+    // (1, 1, 3) and are listed in the order of the pool's tiebreaker chain.
+    const tiebreakers = rules.tiebreakers || {};
+    const rankPool = (pool, totalKey, chain) => {
+        const ranked = rankStandings(pool, e => e[totalKey], chain);
+        const totals = ranked.map(r => r.entry[totalKey]);
+        return ranked.map(({ entry, tiebreak }) => Object.assign(entry, {
+            rank: totals.indexOf(entry[totalKey]) + 1,
+            tied: totals.filter(t => t === entry[totalKey]).length > 1,
+            tiebreak,
+        }));
+    };
+    const rankedTeams = rankPool(teamPool, 'total_points', tiebreakers.team_pool);
+    const rankedGoals = rankPool(goalsPool, 'total_goals', tiebreakers.goals_pool);
 
-    goalsPool.sort((a, b) => b.total_goals - a.total_goals);
-    goalsPool.forEach((entry, i) => { entry.rank = i + 1; });
+    const pools = rosters.pool_metadata.pools || {};
 
     return {
         last_updated: new Date().toISOString(),
         season: rosters.pool_metadata.season,
-        team_pool: teamPool,
-        goals_pool: goalsPool,
+        rules_version: rules.version,
+        payouts: {
+            team_pool: buildPoolPayouts(
+                rankedTeams.map(e => ({ ...e, total: e.total_points })),
+                pools.team_pool || DEFAULT_PAYOUTS,
+                tiebreakers.team_pool),
+            goals_pool: buildPoolPayouts(
+                rankedGoals.map(e => ({ ...e, total: e.total_goals })),
+                pools.goals_pool || DEFAULT_PAYOUTS,
+                tiebreakers.goals_pool),
+        },
+        team_pool: rankedTeams,
+        goals_pool: rankedGoals,
     };
 }
 
@@ -238,11 +981,28 @@ if (typeof module !== 'undefined' && module.exports) {
         isSupercup,
         getDomesticCupBonus,
         getUefaCupBonus,
+        getLeaguePoints,
         calculateTeamPoints,
         calculatePlayerGoals,
+        countPlayerGoals,
+        pickWindow,
+        scoreTeamPick,
+        countPickGoals,
+        validatePhaseSwaps,
+        applyTransactions,
+        validateTransactions,
+        tradeDates,
+        rosterTotalOn,
+        formatTeamDetails,
+        rankStandings,
+        resolvePayoutTable,
+        allocatePayouts,
         calculatePayouts,
+        buildPoolPayouts,
         computeResults,
-        DOMESTIC_CUP_MILESTONES,
-        UEFA_CUP_MILESTONES,
+        DEFAULT_RULES,
+        DEFAULT_PAYOUTS,
+        DELTA_PERIODS,
+        TIEBREAKERS,
     };
 }
@@ -8,9 +8,10 @@ const Views = (() => {
     /**
      * Renders the Team Pool view.
      * @param {Array} teamPool - Sorted array of participant team standings
+     * @param {object} payoutTable - Resolved payout table for the pool (results.payouts.team_pool)
      * @returns {string} HTML string
      */
-    function renderTeamPool(teamPool) {
+    function renderTeamPool(teamPool, payoutTable) {
         if (!teamPool || teamPool.length === 0) {
             return '<div class="error-state">No team pool data available.</div>';
         }
@@ -18,29 +19,31 @@ const Views = (() => {
         let html = `
       <div class="pool-summary">
         <span class="pool-label">Team Points Pool</span>
-        <span class="pool-amount">$300</span>
+        <span class="pool-amount">${formatMoney(payoutTable.pot, payoutTable)}</span>
       </div>
       <div class="standings-list">
     `;
 
         teamPool.forEach((entry, idx) => {
             const rankClass = entry.rank <= 3 ? `rank-${entry.rank}` : '';
-            const badgeClass = entry.rank > 3 ? 'rank-other' : '';
+            const badgeClass = [entry.rank > 3 ? 'rank-other' : '', entry.tied ? 'tied' : ''].filter(Boolean).join(' ');
 
             html += `
         <div class="standing-row ${rankClass}" data-idx="${idx}">
           <div class="standing-main" onclick="App.toggleAccordion(this)">
-            <div class="rank-badge ${badgeClass}">${entry.rank}</div>
+            <div class="rank-badge ${badgeClass}"${tiebreakTitle(entry)}>${formatRank(entry)}</div>
             <div class="participant-name">${escapeHtml(entry.participant)}</div>
             <div>
               <div class="stat-value">${entry.total_points}</div>
               <div class="stat-label">Points</div>
+              ${renderDeltas(entry.deltas)}
             </div>
             <span class="expand-icon">▼</span>
           </div>
           <div class="breakdown">
             <div class="breakdown-inner">
-              ${renderTeamBreakdown(entry.teams)}
+              ${renderTeamBreakdown(entry.teams, entry.dropped_teams)}
+              ${renderTradeHistory(entry.transactions)}
             </div>
           </div>
         </div>
@@ -53,35 +56,40 @@ const Views = (() => {
 
     /**
      * Renders team breakdown accordion content.
-     * @param {Array} teams
+     * @param {Array} teams - Current picks
+     * @param {Array} [droppedTeams] - Picks dropped at Phase 2 or traded away (their points still count)
      * @returns {string} HTML string
      */
-    function renderTeamBreakdown(teams) {
-        if (!teams || teams.length === 0) return '<div class="breakdown-item">No teams</div>';
+    function renderTeamBreakdown(teams, droppedTeams = []) {
+        if ((!teams || teams.length === 0) && droppedTeams.length === 0) return '<div class="breakdown-item">No teams</div>';
 
-        return teams.map(team => {
-            const total = (team.league_points || 0) + (team.uefa_points || 0) + (team.domestic_cup_points || 0);
+        const renderTeam = (team, rowClass) => {
+            const details = [team.details, swapNote(team)].filter(Boolean).join(' · ');
 
             return `
-        <div class="breakdown-item team-item">
+        <div class="breakdown-item team-item ${rowClass}">
           <div>
-            <div class="breakdown-name">${escapeHtml(team.name)}</div>
-            ${team.details ? `<div class="breakdown-detail">${escapeHtml(team.details)}</div>` : ''}
+            <div class="breakdown-name">${escapeHtml(team.name)}${staleBadge(team)}</div>
+            ${details ? `<div class="breakdown-detail">${escapeHtml(details)}</div>` : ''}
           </div>
           <span class="breakdown-pts pts-league" title="League Points">${team.league_points || 0} LG</span>
           ${team.uefa_points ? `<span class="breakdown-pts pts-uefa" title="UEFA Points">${team.uefa_points} UE</span>` : '<span class="breakdown-pts pts-uefa" style="opacity:0.3">0 UE</span>'}
           ${team.domestic_cup_points ? `<span class="breakdown-pts pts-cup" title="Cup Points">${team.domestic_cup_points} CP</span>` : '<span class="breakdown-pts pts-cup" style="opacity:0.3">0 CP</span>'}
         </div>
       `;
-        }).join('');
+        };
+
+        return (teams || []).map(team => renderTeam(team, '')).join('')
+            + renderDroppedSection(droppedTeams, team => renderTeam(team, 'dropped'));
     }
 
     /**
      * Renders the Goals Pool view.
      * @param {Array} goalsPool - Sorted array of participant goal standings
+     * @param {object} payoutTable - Resolved payout table for the pool (results.payouts.goals_pool)
      * @returns {string} HTML string
      */
-    function renderGoalsPool(goalsPool) {
+    function renderGoalsPool(goalsPool, payoutTable) {
         if (!goalsPool || goalsPool.length === 0) {
             return '<div class="error-state">No goals pool data available.</div>';
         }
@@ -89,29 +97,31 @@ const Views = (() => {
         let html = `
       <div class="pool-summary">
         <span class="pool-label">Player Goals Pool</span>
-        <span class="pool-amount">$300</span>
+        <span class="pool-amount">${formatMoney(payoutTable.pot, payoutTable)}</span>
       </div>
       <div class="standings-list">
     `;
 
         goalsPool.forEach((entry, idx) => {
             const rankClass = entry.rank <= 3 ? `rank-${entry.rank}` : '';
-            const badgeClass = entry.rank > 3 ? 'rank-other' : '';
+            const badgeClass = [entry.rank > 3 ? 'rank-other' : '', entry.tied ? 'tied' : ''].filter(Boolean).join(' ');
 
             html += `
         <div class="standing-row ${rankClass}" data-idx="${idx}">
           <div class="standing-main" onclick="App.toggleAccordion(this)">
-            <div class="rank-badge ${badgeClass}">${entry.rank}</div>
+            <div class="rank-badge ${badgeClass}"${tiebreakTitle(entry)}>${formatRank(entry)}</div>
             <div class="participant-name">${escapeHtml(entry.participant)}</div>
             <div>
               <div class="stat-value">${entry.total_goals}</div>
               <div class="stat-label">Goals</div>
+              ${renderDeltas(entry.deltas)}
             </div>
             <span class="expand-icon">▼</span>
           </div>
           <div class="breakdown">
             <div class="breakdown-inner">
-              ${renderGoalsBreakdown(entry.players)}
+              ${renderGoalsBreakdown(entry.players, entry.dropped_players)}
+              ${renderTradeHistory(entry.transactions)}
             </div>
           </div>
         </div>
@@ -124,131 +134,151 @@ const Views = (() => {
 
     /**
      * Renders player goal breakdown accordion content.
-     * @param {Array} players
+     * @param {Array} players - Current picks
+     * @param {Array} [droppedPlayers] - Picks dropped at Phase 2 or traded away (their goals still count)
      * @returns {string} HTML string
      */
-    function renderGoalsBreakdown(players) {
-        if (!players || players.length === 0) return '<div class="breakdown-item">No players</div>';
-
-        // Sort by goals descending within the breakdown
-        const sorted = [...players].sort((a, b) => b.goals - a.goals);
+    function renderGoalsBreakdown(players, droppedPlayers = []) {
+        if ((!players || players.length === 0) && droppedPlayers.length === 0) return '<div class="breakdown-item">No players</div>';
 
-        return sorted.map(player => {
+        const renderPlayer = (player, rowClass) => {
+            const note = swapNote(player);
             return `
-        <div class="breakdown-item">
-          <div class="breakdown-name">${escapeHtml(player.name)}</div>
+        <div class="breakdown-item ${rowClass}">
+          <div>
+            <div class="breakdown-name">${escapeHtml(player.name)}${staleBadge(player)}</div>
+            ${note ? `<div class="breakdown-detail">${escapeHtml(note)}</div>` : ''}
+          </div>
           <div class="breakdown-stat">${player.goals} ⚽</div>
         </div>
       `;
-        }).join('');
+        };
+
+        // Sort by goals descending within the breakdown
+        const byGoals = list => [...list].sort((a, b) => b.goals - a.goals);
+
+        return byGoals(players || []).map(player => renderPlayer(player, '')).join('')
+            + renderDroppedSection(byGoals(droppedPlayers), player => renderPlayer(player, 'dropped'));
     }
 
     /**
-     * Renders the Winningz view with payout cards.
-     * @param {Array} teamPool - Team standings
-     * @param {Array} goalsPool - Goals standings
+     * Renders the "Dropped" part of a breakdown (Phase 2 drops and trades away), if there is one.
+     * @param {Array} picks
+     * @param {function} renderPick
      * @returns {string} HTML string
      */
-    function renderWinningz(teamPool, goalsPool) {
-        const teamPayouts = computePoolPayouts(teamPool, 'total_points');
-        const goalsPayouts = computePoolPayouts(goalsPool, 'total_goals');
+    function renderDroppedSection(picks, renderPick) {
+        if (!picks || picks.length === 0) return '';
+        return `<div class="breakdown-subhead">Dropped</div>${picks.map(renderPick).join('')}`;
+    }
 
-        return `
-      <div class="winningz-grid">
-        ${renderPayoutCard('Team Pot', 'team-card', teamPayouts)}
-        ${renderPayoutCard('Goals Pot', 'goals-card', goalsPayouts)}
-      </div>
-    `;
+    /**
+     * Describes when a pick joined or left the roster.
+     * @param {{ active_from?: string, active_until?: string, traded_to?: object, acquired_from?: object }} pick
+     * @returns {string}
+     */
+    function swapNote(pick) {
+        if (pick.traded_to) return `Traded to ${pick.traded_to.participant} ${pick.traded_to.date}`;
+        if (pick.active_until) return `Dropped ${pick.active_until}`;
+        if (pick.acquired_from) return `Traded from ${pick.acquired_from.participant} ${pick.acquired_from.date}`;
+        if (pick.active_from) return `Added ${pick.active_from}`;
+        return '';
     }
 
     /**
-     * Compute payouts for display from standings data.
-     * @param {Array} pool - Standings array
-     * @param {string} totalKey - Key name for total (total_points or total_goals)
-     * @returns {Array} payouts
+     * Badge for a pick scored from an earlier run's numbers because its source failed.
+     * @param {{ stale?: boolean, last_refreshed?: string }} pick
+     * @returns {string} HTML string
      */
-    function computePoolPayouts(pool, totalKey) {
-        if (!pool || pool.length === 0) return [];
-
-        const sorted = [...pool].sort((a, b) => b[totalKey] - a[totalKey]);
-        const topScore = sorted[0][totalKey];
-        const tiedForFirst = sorted.filter(s => s[totalKey] === topScore);
-
-        if (tiedForFirst.length >= 2) {
-            const splitAmount = Math.floor(300 / tiedForFirst.length);
-            return tiedForFirst.map(s => ({
-                participant: s.participant,
-                total: s[totalKey],
-                payout: splitAmount,
-                place: '1st (T)',
-                isTied: true,
-            }));
-        }
+    function staleBadge(pick) {
+        if (!pick.stale) return '';
+        return ` <span class="stale-badge" title="Source unavailable — last refreshed ${escapeHtml(pick.last_refreshed || '')}">stale</span>`;
+    }
 
-        const payouts = [
-            {
-                participant: sorted[0].participant,
-                total: sorted[0][totalKey],
-                payout: 250,
-                place: '1st',
-                isTied: false,
-            },
-        ];
-
-        if (sorted.length > 1) {
-            payouts.push({
-                participant: sorted[1].participant,
-                total: sorted[1][totalKey],
-                payout: 50,
-                place: '2nd',
-                isTied: false,
-            });
-        }
+    /**
+     * Renders a participant's trade log for one pool, oldest first.
+     * @param {Array} [transactions] - [{ trade, date, with, gave: [name], received: [name], note }]
+     * @returns {string} HTML string
+     */
+    function renderTradeHistory(transactions) {
+        if (!transactions || transactions.length === 0) return '';
 
-        return payouts;
+        const rows = transactions.map(t => {
+            const parts = [];
+            if (t.gave.length > 0) parts.push(`Gave ${t.gave.join(', ')}`);
+            if (t.received.length > 0) parts.push(`Received ${t.received.join(', ')}`);
+            return `
+        <div class="breakdown-item">
+          <div>
+            <div class="breakdown-name">${escapeHtml(`${parts.join(' · ')} — with ${t.with}`)}</div>
+            <div class="breakdown-detail">${escapeHtml([t.date, t.trade, t.note].filter(Boolean).join(' · '))}</div>
+          </div>
+        </div>
+      `;
+        });
+
+        return `<div class="breakdown-subhead">Trades</div>${rows.join('')}`;
+    }
+
+    /**
+     * Renders the Winningz view with payout cards.
+     * Payouts are precomputed by the rules engine; this only renders them.
+     * @param {object} payouts - results.payouts { team_pool, goals_pool }
+     * @returns {string} HTML string
+     */
+    function renderWinningz(payouts) {
+        return `
+      <div class="winningz-grid">
+        ${renderPayoutCard('Team Pot', 'team-card', payouts.team_pool, 'pts')}
+        ${renderPayoutCard('Goals Pot', 'goals-card', payouts.goals_pool, 'goals')}
+      </div>
+    `;
     }
 
     /**
      * Renders a single payout card.
      * @param {string} title
      * @param {string} cardClass
-     * @param {Array} payouts
+     * @param {object} poolPayouts - { pot, currency, places, entries, notes }
+     * @param {string} unit - Label for each entry's total
      * @returns {string} HTML
      */
-    function renderPayoutCard(title, cardClass, payouts) {
+    function renderPayoutCard(title, cardClass, poolPayouts, unit) {
         let entriesHtml = '';
 
-        payouts.forEach(p => {
-            const isFirst = p.place.startsWith('1st');
+        poolPayouts.entries.forEach(p => {
+            const isFirst = p.place === 1;
             const placeClass = isFirst ? 'first-place' : 'second-place';
             const amountClass = isFirst ? 'money' : 'money-back';
-            const tieHtml = p.isTied ? '<span class="tie-badge">Tied</span>' : '';
+            const tieHtml = p.tied ? '<span class="tie-badge">Tied</span>' : '';
 
             entriesHtml += `
         <div class="payout-entry ${placeClass}">
           <div class="payout-place">
-            <div class="payout-place-badge">${p.place.replace(' (T)', '')}</div>
+            <div class="payout-place-badge">${ordinal(p.place)}</div>
             <div>
               <div class="payout-name">${escapeHtml(p.participant)} ${tieHtml}</div>
-              <div class="stat-label" style="text-align: left; margin-top: 2px;">${p.total} ${title.includes('Team') ? 'pts' : 'goals'}</div>
+              <div class="stat-label" style="text-align: left; margin-top: 2px;">${p.total} ${unit}</div>
             </div>
           </div>
           <div class="payout-amount ${amountClass}">
-            $${p.payout}
+            ${formatMoney(p.payout, poolPayouts)}
           </div>
         </div>
       `;
         });
 
-        const note = payouts.some(p => p.isTied)
-            ? 'Tied at 1st — $300 pot split evenly. 2nd place receives $0.'
-            : '1st place: $250 • 2nd place: $50 (money back)';
+        const note = poolPayouts.notes.length > 0
+            ? poolPayouts.notes.map(escapeHtml).join(' ')
+            : poolPayouts.places
+                .map(p => `${ordinal(p.place)} place: ${formatMoney(p.amount, poolPayouts)}${p.note ? ` (${escapeHtml(p.note)})` : ''}`)
+                .join(' • ');
 
         return `
       <div class="payout-card ${cardClass}">
         <div class="payout-header">
           <div class="payout-title">${title}</div>
-          <div class="payout-pot">$300</div>
+          <div class="payout-pot">${formatMoney(poolPayouts.pot, poolPayouts)}</div>
         </div>
         <div class="payout-entries">
           ${entriesHtml}
@@ -258,6 +288,62 @@ const Views = (() => {
     `;
     }
 
+    /**
+     * Weekly and monthly gains under a participant's total, e.g. "+6 wk · +16 mo".
+     * Periods without a snapshot to compare against are left out.
+     * @param {{ week: number|null, month: number|null }} [deltas]
+     * @returns {string} HTML string
+     */
+    function renderDeltas(deltas) {
+        if (!deltas) return '';
+        const sign = n => (n > 0 ? `+${n}` : String(n));
+        const parts = [];
+        if (deltas.week != null) parts.push(`${sign(deltas.week)} wk`);
+        if (deltas.month != null) parts.push(`${sign(deltas.month)} mo`);
+        return parts.length > 0 ? `<div class="stat-delta" title="Gained over the last 7 / 30 days">${parts.join(' · ')}</div>` : '';
+    }
+
+    /**
+     * Shared ranks get a "T" marker: 1, T2, T2, 4.
+     * @param {{ rank: number, tied: boolean }} entry
+     * @returns {string}
+     */
+    function formatRank(entry) {
+        return `${entry.tied ? 'T' : ''}${entry.rank}`;
+    }
+
+    /**
+     * Tooltip naming the tiebreaker that ordered a tied row.
+     * @param {{ tiebreak: object|null }} entry
+     * @returns {string} title attribute (or empty)
+     */
+    function tiebreakTitle(entry) {
+        return entry.tiebreak ? ` title="Tied — listed by ${escapeHtml(entry.tiebreak.label)}"` : '';
+    }
+
+    /**
+     * Formats a money amount with the pool's currency symbol.
+     * @param {number|null} amount - null when the pool has no payout table
+     * @param {{ currency: string }} payoutTable
+     * @returns {string}
+     */
+    function formatMoney(amount, payoutTable) {
+        if (amount === null) return '—';
+        const value = Number.isInteger(amount) ? String(amount) : amount.toFixed(2);
+        return `${escapeHtml(payoutTable.currency)}${value}`;
+    }
+
+    /**
+     * 1 → "1st", 2 → "2nd", 3 → "3rd", 4 → "4th".
+     * @param {number} n
+     * @returns {string}
+     */
+    function ordinal(n) {
+        const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+        const mod100 = n % 100;
+        return `${n}${(mod100 >= 11 && mod100 <= 13) ? 'th' : (suffixes[n % 10] || 'th')}`;
+    }
+
     /**
      * Escape HTML entities to prevent XSS.
      * @param {string} str
@@ -0,0 +1,46 @@
+/**
+ * Soccer Pool Tracker — New-Season Bootstrap
+ *
+ * Archives this season's rosters, sources, trade log, results, goal events
+ * and standings history to data/archive/<season>/ and starts the next
+ * season with the same participants, pools and source config but no picks
+ * and no results. Every Wikipedia page the new config generates is checked
+ * first; if any is missing nothing is written (fix the title template in
+ * data/sources.json, or pass --force).
+ *
+ * Run: node scripts/bootstrap-season.js [--season 2026-2027] [--force]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { DATA_DIR, nextSeason, bootstrapSeason } = require('./lib/bootstrap');
+
+const { values } = parseArgs({
+    options: {
+        season: { type: 'string' },
+        force: { type: 'boolean', default: false },
+    },
+});
+
+async function main() {
+    const rosters = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'rosters.json'), 'utf8'));
+    const season = values.season || nextSeason(rosters.pool_metadata.season);
+    console.log(`🗓️  Bootstrapping ${season} (from ${rosters.pool_metadata.season})\n`);
+
+    const result = await bootstrapSeason(season, { force: values.force });
+    console.log(`   Checked ${result.pages} Wikipedia pages`);
+    for (const page of result.missing) console.log(`   ❌ ${page.label}: ${decodeURIComponent(page.url)}`);
+
+    if (!result.written) {
+        console.log(`\n   Nothing written: ${result.missing.length} pages missing. Fix the templates in data/sources.json or rerun with --force.`);
+        process.exit(1);
+    }
+    console.log(`\n   📦 ${result.previous} archived to ${path.relative(process.cwd(), result.archiveDir)}`);
+    console.log(`   ✅ rosters.json, sources.json, transactions.json, results.json, goal-events.json and standings-history.json are now for ${season}; add the picks to rosters.json and sources.json`);
+}
+
+main().catch(err => {
+    console.error('❌ Fatal error:', err.message);
+    process.exit(1);
+});
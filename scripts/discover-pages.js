@@ -0,0 +1,55 @@
+/**
+ * Soccer Pool Tracker — Club Season Page Discovery
+ *
+ * Reads each roster player's current club from their Wikipedia article,
+ * finds the club's season article for pool_metadata.season and writes
+ * proposed sources.json stints to data/source-proposals.json for review.
+ * Exits 1 if discovery failed for any player, since those players have no
+ * way to score until sources.json is fixed by hand.
+ *
+ * Run: node scripts/discover-pages.js [--player "Alexander Isak"]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ROSTERS_PATH, buildContext } = require('./lib/pipeline');
+const { loadSources } = require('./lib/sources');
+const { PROPOSALS_PATH, discoverPages, writeProposals } = require('./lib/discovery');
+const { discoverClubSeasonPage } = require('./providers/wikipedia');
+
+const { values } = parseArgs({
+    options: {
+        player: { type: 'string', multiple: true },
+    },
+});
+
+const ICONS = { unchanged: '✅', new: '🆕', changed: '🔁', failed: '🚨' };
+
+async function main() {
+    const ctx = buildContext(JSON.parse(fs.readFileSync(ROSTERS_PATH, 'utf8')));
+    const players = values.player || ctx.players;
+    console.log(`🔎 Discovering ${ctx.season} club season pages for ${players.length} players\n`);
+
+    const proposals = await discoverPages(players, ctx.season, loadSources(), discoverClubSeasonPage);
+    writeProposals(proposals);
+
+    console.log('');
+    const entries = Object.entries(proposals.players);
+    for (const [name, p] of entries) {
+        const detail = p.status === 'failed' ? p.reason : `${p.club} → ${p.wikipedia}`;
+        console.log(`   ${ICONS[p.status]} ${name}: ${detail}${p.status === 'changed' ? ` (was ${p.current})` : ''}`);
+    }
+
+    const count = status => entries.filter(([, p]) => p.status === status).length;
+    console.log(`\n   ${count('unchanged')} unchanged, ${count('new')} new, ${count('changed')} changed, ${count('failed')} failed → ${path.relative(process.cwd(), PROPOSALS_PATH)}`);
+    if (count('failed') > 0) {
+        console.log('   🚨 Set `wikipedia_article` or add the stint in data/sources.json for the failed players.');
+        process.exit(1);
+    }
+}
+
+main().catch(err => {
+    console.error('❌ Fatal error:', err);
+    process.exit(1);
+});
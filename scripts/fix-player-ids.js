@@ -6,6 +6,7 @@
  */
 
 const https = require('https');
+const { loadSources } = require('./lib/sources');
 const API_KEY = process.env.API_FOOTBALL_KEY || '';
 const API_HOST = 'v3.football.api-sports.io';
 
@@ -27,46 +28,25 @@ function apiGet(endpoint, params = {}) {
 }
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
-// Players we need to find, grouped by their CURRENT team API ID
-const PLAYERS_TO_FIND = {
-    // team_id: [{ name, search terms }]
-    66: [{ name: 'Jhon Duran', search: ['duran', 'jhon'] }],              // Aston Villa
-    91: [{ name: 'Mika Biereth', search: ['biereth', 'mika'] }],          // AS Monaco
-    529: [{ name: 'Lamine Yamal', search: ['yamal', 'lamine'] },
-    { name: 'Raphinha', search: ['raphinha'] },
-    { name: 'Robert Lewandowski', search: ['lewandowski'] }],         // Barcelona
-    40: [{ name: 'Cody Gakpo', search: ['gakpo', 'cody'] },
-    { name: 'Mohamed Salah', search: ['salah'] }],                    // Liverpool
-    85: [{ name: 'Desire Doue', search: ['doue', 'desire'] },
-    { name: 'Ousmane Dembele', search: ['dembele'] },
-    { name: 'Bradley Barcola', search: ['barcola'] }],                // PSG
-    541: [{ name: 'Vinícius Júnior', search: ['vinicius', 'vinícius'] },
-    { name: 'Kylian Mbappe', search: ['mbappe', 'mbappé'] }],        // Real Madrid
-    168: [{ name: 'Lois Openda', search: ['openda', 'lois'] }],            // Bayer Leverkusen
-    496: [{ name: 'Dusan Vlahovic', search: ['vlahovic', 'vlahović'] }],   // Juventus
-    505: [{ name: 'Lautaro Martinez', search: ['lautaro', 'martinez'] }],  // Inter Milan
-    50: [{ name: 'Omar Marmoush', search: ['marmoush', 'omar'] },
-    { name: 'Erling Haaland', search: ['haaland'] }],                // Man City
-    530: [{ name: 'Julian Alvarez', search: ['alvarez', 'julian'] },
-    { name: 'Alexander Sorloth', search: ['sorloth', 'sørloth'] }],   // Atletico Madrid
-    42: [{ name: 'Bukayo Saka', search: ['saka'] }],                      // Arsenal
-    34: [{ name: 'Alexander Isak', search: ['isak'] }],                   // Newcastle
-    165: [{ name: 'Serhou Guirassy', search: ['guirassy'] }],              // BVB
-    33: [{ name: 'Rasmus Højlund', search: ['hojlund', 'højlund'] }],      // Man United
-    157: [{ name: 'Michael Olise', search: ['olise'] },
-    { name: 'Harry Kane', search: ['kane'] }],                       // Bayern Munich
-    228: [{ name: 'Viktor Gyökeres', search: ['gyokeres', 'gyökeres'] }],  // Sporting CP
-    211: [{ name: 'Vangelis Pavlidis', search: ['pavlidis'] }],            // Benfica
-    502: [{ name: 'Moise Kean', search: ['kean'] }],                       // Fiorentina
-    49: [{ name: 'Cole Palmer', search: ['palmer'] }],                     // Chelsea
-    645: [{ name: 'Victor Osimhen', search: ['osimhen'] }],                // Galatasaray
-    497: [{ name: 'Hugo Ekitike', search: ['ekitike'] }],                  // Eintracht Frankfurt → 91? or Roma
-    163: [{ name: 'Alassane Plea', search: ['plea', 'pléa'] }],            // Gladbach
-    95: [{ name: 'Emanuel Emegha', search: ['emegha'] }],                 // Strasbourg
-    79: [{ name: 'Jonathan David', search: ['david', 'jonathan'] }],      // Lille
-    // check Aghehowa
-    85: [{ name: 'Victor Aghehowa', search: ['aghehowa', 'osimhen'] }],   // PSG? Not sure
-};
+// Players we need to find, grouped by their CURRENT team API ID (last stint
+// in data/sources.json). Search terms are the unaccented name parts.
+function playersToFind(sources) {
+    const byTeam = {};
+    for (const [name, player] of Object.entries(sources.players)) {
+        const current = player.stints[player.stints.length - 1];
+        if (!current?.api_football_team_id) {
+            console.log(`⚠️ ${name}: no club in sources.json, skipping`);
+            continue;
+        }
+        const words = [name, player.api_football_search || '', ...player.aliases]
+            .join(' ').toLowerCase().split(/\s+/)
+            .map(w => w.normalize('NFD').replace(/[\u0300-\u036f]/g, ''))
+            .filter(w => w.length > 2);
+        (byTeam[current.api_football_team_id] = byTeam[current.api_football_team_id] || [])
+            .push({ name, search: [...new Set(words)] });
+    }
+    return byTeam;
+}
 
 async function main() {
     if (!API_KEY) { console.log('Set API_FOOTBALL_KEY'); process.exit(1); }
@@ -76,7 +56,8 @@ async function main() {
     console.log(`Quota: ${status.response?.requests?.current}/${status.response?.requests?.limit_day}\n`);
 
     // Get unique team IDs
-    const teamIds = [...new Set(Object.keys(PLAYERS_TO_FIND).map(Number))];
+    const PLAYERS_TO_FIND = playersToFind(loadSources());
+    const teamIds = Object.keys(PLAYERS_TO_FIND).map(Number);
     const foundMap = {};
 
     for (const teamId of teamIds) {
@@ -94,7 +75,7 @@ async function main() {
 
             for (const target of playersToFind) {
                 const match = squad.find(p => {
-                    const pName = p.name.toLowerCase();
+                    const pName = p.name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
                     return target.search.some(s => pName.includes(s.toLowerCase()));
                 });
 
@@ -0,0 +1,196 @@
+/**
+ * Soccer Pool Tracker — New-Season Bootstrap
+ *
+ * Rolls data/ over to a new season. The finished season's rosters.json,
+ * sources.json, transactions.json, results.json, goal-events.json and
+ * standings-history.json are archived to data/archive/<season>/ and
+ * replaced with copies for the new season:
+ *   - rosters.json: same participants and pools, picks cleared, the Phase 2
+ *     start date moved on a year
+ *   - sources.json: league, UEFA and cup config unchanged (article titles
+ *     are season templates); team and player entries keep their aliases and
+ *     IDs, players keep only their latest club with no stint dates
+ *   - transactions.json: an empty trade log
+ *   - results.json: every participant on zero, so the first scrape isn't
+ *     checked against last season's totals
+ *   - goal-events.json and standings-history.json: empty stores
+ *
+ * Before anything is written, every Wikipedia page the new config points at
+ * is checked to exist, so a renamed competition shows up now rather than as
+ * an empty table in the first scrape.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { computeResults } = require('../../js/rules-engine.js');
+const { seasonPages } = require('./sources');
+const { createFetcher } = require('./http');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) SoccerPoolTracker/1.0';
+const fetcher = createFetcher({ headers: { 'User-Agent': USER_AGENT } });
+const SEASON_PATTERN = /^(\d{4})-(\d{4})$/;
+
+/**
+ * The season after "2025-2026".
+ * @param {string} season
+ * @returns {string}
+ */
+function nextSeason(season) {
+    const [, start, end] = checkSeason(season);
+    return `${Number(start) + 1}-${Number(end) + 1}`;
+}
+
+/**
+ * Throw unless the season looks like "2026-2027".
+ * @param {string} season
+ * @returns {Array} regex match
+ */
+function checkSeason(season) {
+    const match = SEASON_PATTERN.exec(season || '');
+    if (!match || Number(match[2]) !== Number(match[1]) + 1) {
+        throw new Error(`Invalid season "${season}" (expected e.g. 2026-2027)`);
+    }
+    return match;
+}
+
+/**
+ * Same date a year later (YYYY-MM-DD); 29 February becomes 28 February.
+ * @param {string} date
+ * @returns {string}
+ */
+function addYear(date) {
+    const [year, month, day] = date.split('-');
+    const nextDay = month === '02' && day === '29' ? '28' : day;
+    return `${Number(year) + 1}-${month}-${nextDay}`;
+}
+
+/**
+ * rosters.json for the new season: participants and pools carry over,
+ * every participant starts with no picks.
+ * @param {object} rosters - Last season's rosters.json
+ * @param {string} season
+ * @returns {object}
+ */
+function newSeasonRosters(rosters, season) {
+    const meta = { ...rosters.pool_metadata, season };
+    if (meta.phase_2_start_date) meta.phase_2_start_date = addYear(meta.phase_2_start_date);
+    return {
+        pool_metadata: meta,
+        rosters: rosters.rosters.map(roster => ({ participant: roster.participant, teams: [], players: [] })),
+    };
+}
+
+/**
+ * sources.json for the new season. Stints are cut back to the player's
+ * latest club, open-ended; notes describe last season's moves and go.
+ * @param {object} sources - Last season's sources.json
+ * @param {string} season
+ * @returns {object}
+ */
+function newSeasonSources(sources, season) {
+    const players = {};
+    for (const [name, player] of Object.entries(sources.players)) {
+        const { note, stints = [], ...rest } = player;
+        const latest = stints[stints.length - 1];
+        let current = [];
+        if (latest) {
+            const { from, until, ...club } = latest;
+            current = [club];
+        }
+        players[name] = { ...rest, stints: current };
+    }
+    return { ...sources, season, players };
+}
+
+/**
+ * Whether a page exists: HEAD request, following redirects.
+ * @param {string} url
+ * @returns {Promise<boolean>}
+ */
+async function pageExists(url) {
+    const res = await fetcher.request(url, { method: 'HEAD' });
+    if (res.status === 200) return true;
+    if (res.status === 404) return false;
+    throw new Error(`HTTP ${res.status} for ${url}`);
+}
+
+/**
+ * Check every page; the fetcher's pool bounds how many run at once.
+ * @param {Array<{ label: string, url: string }>} pages
+ * @param {Function} exists - url → Promise<boolean>
+ * @returns {Promise<Array<{ label: string, url: string }>>} pages that don't exist
+ */
+async function findMissingPages(pages, exists) {
+    const found = await Promise.all(pages.map(page => exists(page.url)));
+    return pages.filter((_, i) => !found[i]);
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJson(file, data) {
+    fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * Bootstrap a new season in a data directory.
+ *
+ * @param {string} season - e.g. "2026-2027"
+ * @param {object} [options]
+ * @param {string} [options.dataDir] - defaults to data/
+ * @param {Function} [options.exists] - url → Promise<boolean>, defaults to a HEAD request
+ * @param {boolean} [options.force] - write the new files even if pages are missing
+ * @returns {Promise<{ previous: string, season: string, pages: number, missing: Array, written: boolean, archiveDir: string }>}
+ */
+async function bootstrapSeason(season, options = {}) {
+    checkSeason(season);
+    const dataDir = options.dataDir || DATA_DIR;
+    const rostersPath = path.join(dataDir, 'rosters.json');
+    const sourcesPath = path.join(dataDir, 'sources.json');
+    const transactionsPath = path.join(dataDir, 'transactions.json');
+    const resultsPath = path.join(dataDir, 'results.json');
+    const goalEventsPath = path.join(dataDir, 'goal-events.json');
+    const snapshotsPath = path.join(dataDir, 'standings-history.json');
+    const rulesPath = path.join(dataDir, 'rules.json');
+
+    const rosters = readJson(rostersPath);
+    const sources = readJson(sourcesPath);
+    const previous = rosters.pool_metadata.season;
+    if (previous === season) throw new Error(`rosters.json is already for ${season}`);
+
+    const archiveDir = path.join(dataDir, 'archive', previous);
+    if (fs.existsSync(archiveDir)) throw new Error(`${path.relative(dataDir, archiveDir)} already exists`);
+
+    const nextSources = newSeasonSources(sources, season);
+    const pages = seasonPages(nextSources, season);
+    const missing = await findMissingPages(pages, options.exists || pageExists);
+    const result = { previous, season, pages: pages.length, missing, written: false, archiveDir };
+    if (missing.length > 0 && !options.force) return result;
+
+    fs.mkdirSync(archiveDir, { recursive: true });
+    for (const file of [rostersPath, sourcesPath, transactionsPath, resultsPath, goalEventsPath, snapshotsPath]) {
+        if (fs.existsSync(file)) fs.copyFileSync(file, path.join(archiveDir, path.basename(file)));
+    }
+    const nextRosters = newSeasonRosters(rosters, season);
+    const transactions = { season, trades: [] };
+    const rules = fs.existsSync(rulesPath) ? readJson(rulesPath) : undefined;
+    writeJson(rostersPath, nextRosters);
+    writeJson(sourcesPath, nextSources);
+    writeJson(transactionsPath, transactions);
+    writeJson(resultsPath, computeResults(nextRosters, { teams: {}, players: {} }, rules, transactions));
+    writeJson(goalEventsPath, { season, updated_at: null, players: {} });
+    writeJson(snapshotsPath, { season, snapshots: [] });
+    return { ...result, written: true };
+}
+
+module.exports = {
+    DATA_DIR,
+    nextSeason,
+    newSeasonRosters,
+    newSeasonSources,
+    pageExists,
+    findMissingPages,
+    bootstrapSeason,
+};
@@ -0,0 +1,92 @@
+/**
+ * Soccer Pool Tracker — Carry-Forward of Last Known Values
+ *
+ * results.json keeps the source values it was computed from under `inputs`,
+ * one map per metric with the date each value was last refreshed, plus the
+ * data/rules.json version they were counted under (a run under another
+ * version carries nothing forward: see runPipeline):
+ *
+ *   inputs: {
+ *     rules_version:            rules.json `version`,
+ *     league_points:            { [team]:   { value, split?, refreshed } },
+ *     uefa_league_phase_points: { [team]:   { value, refreshed } },
+ *     cup_progress:             { [team]:   { value, refreshed } },
+ *     goals:                    { [player]: { value, refreshed } },
+ *   }
+ *
+ * When a source page fails, the teams or players it covered come back from
+ * no provider. Rather than scoring them 0 (which trips Rule A and blocks the
+ * whole update), their previous value is reused and marked stale with its
+ * `refreshed` date, and everything else is published as usual. A value stays
+ * stale, keeping its original date, until a source returns it again.
+ */
+
+// Merged provider map in the pipeline → inputs key, and whose value it is
+const METRICS = [
+    { collected: 'leagueStandings', input: 'league_points', kind: 'teams' },
+    { collected: 'uefaStandings', input: 'uefa_league_phase_points', kind: 'teams' },
+    { collected: 'cupProgress', input: 'cup_progress', kind: 'teams' },
+    { collected: 'playerGoals', input: 'goals', kind: 'players' },
+];
+
+const METRIC_LABELS = {
+    league_points: 'league points',
+    uefa_league_phase_points: 'UEFA points',
+    cup_progress: 'cup progress',
+    goals: 'goals',
+};
+
+/**
+ * Fill the entities no provider returned this run from the previous
+ * results' inputs.
+ *
+ * @param {{ teams: string[], players: string[] }} ctx
+ * @param {object} collected - { leagueStandings, uefaStandings, playerGoals, cupProgress } merged maps
+ * @param {object} [previousInputs] - `inputs` from the previous results.json
+ * @param {string} today - YYYY-MM-DD
+ * @returns {{ collected: object, inputs: object, carried: Array<{ metric: string, name: string, refreshed: string }> }}
+ *   collected: the maps with carried entries added (`stale` holds their refreshed date);
+ *   inputs: the `inputs` block for this run's results.json
+ */
+function carryForward(ctx, collected, previousInputs, today) {
+    const filled = { ...collected };
+    const inputs = {};
+    const carried = [];
+
+    for (const metric of METRICS) {
+        const fresh = collected[metric.collected] || {};
+        const previous = previousInputs?.[metric.input] || {};
+        const merged = { ...fresh };
+        inputs[metric.input] = {};
+
+        for (const name of ctx[metric.kind]) {
+            const entry = fresh[name];
+            if (entry) {
+                inputs[metric.input][name] = { value: entry.value, ...(entry.split && { split: entry.split }), refreshed: today };
+                continue;
+            }
+            const last = previous[name];
+            if (!last) continue;
+            merged[name] = { value: last.value, ...(last.split && { split: last.split }), sources: [], provider: 'previous results', stale: last.refreshed };
+            inputs[metric.input][name] = last;
+            carried.push({ metric: metric.input, name, refreshed: last.refreshed });
+        }
+        filled[metric.collected] = merged;
+    }
+
+    return { collected: filled, inputs, carried };
+}
+
+/**
+ * One line per carried value, for the run log.
+ * @param {{ metric: string, name: string, refreshed: string }} entry
+ * @returns {string}
+ */
+function describeCarried(entry) {
+    return `${entry.name} ${METRIC_LABELS[entry.metric]} (last refreshed ${entry.refreshed})`;
+}
+
+module.exports = {
+    carryForward,
+    describeCarried,
+};
@@ -0,0 +1,73 @@
+/**
+ * Soccer Pool Tracker — Club Season Page Discovery
+ *
+ * Proposes each roster player's club season page from their Wikipedia
+ * article (see discoverClubSeasonPage in the Wikipedia provider) and
+ * compares it with the player's latest stint in data/sources.json.
+ * Nothing in sources.json is changed: proposals go to
+ * data/source-proposals.json for review, one entry per player:
+ *
+ *   { status, article, club?, club_article?, wikipedia?, current?, stint?, reason? }
+ *   status: 'unchanged' — sources.json already points at the discovered page
+ *           'new'       — the player has no club season page yet; add `stint`
+ *           'changed'   — the player has moved; add `stint` with a `from` date
+ *                         and close the old stint with `until`
+ *           'failed'    — discovery failed (`reason`); the player will score
+ *                         0 goals until sources.json is fixed by hand
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROPOSALS_PATH = path.join(__dirname, '..', '..', 'data', 'source-proposals.json');
+
+/**
+ * Compare a discovery result with the player's sources.json entry.
+ * @param {object} found - From discoverClubSeasonPage
+ * @param {object} [player] - sources.json player entry
+ * @returns {object} proposal
+ */
+function proposeStint(found, player) {
+    const stints = player?.stints || [];
+    const current = stints[stints.length - 1]?.wikipedia;
+    if (!found.wikipedia) return { status: 'failed', ...found, ...(current && { current }) };
+    if (current === found.wikipedia) return { status: 'unchanged', ...found };
+    return {
+        status: current ? 'changed' : 'new',
+        ...found,
+        ...(current && { current }),
+        stint: { club: found.club, wikipedia: found.wikipedia },
+    };
+}
+
+/**
+ * Run discovery for every player.
+ * @param {string[]} players - Roster player names
+ * @param {string} season
+ * @param {object} sources - sources.json
+ * @param {Function} discover - (playerName, season) → Promise<discovery result>
+ * @returns {Promise<{ season: string, generated_at: string, players: object }>}
+ */
+async function discoverPages(players, season, sources, discover) {
+    const proposals = {};
+    for (const name of players) {
+        proposals[name] = proposeStint(await discover(name, season), sources.players[name]);
+    }
+    return { season, generated_at: new Date().toISOString(), players: proposals };
+}
+
+/**
+ * Write the proposals file.
+ * @param {object} proposals - From discoverPages
+ * @param {string} [filePath]
+ */
+function writeProposals(proposals, filePath = PROPOSALS_PATH) {
+    fs.writeFileSync(filePath, JSON.stringify(proposals, null, 2));
+}
+
+module.exports = {
+    PROPOSALS_PATH,
+    proposeStint,
+    discoverPages,
+    writeProposals,
+};
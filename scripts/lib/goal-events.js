@@ -0,0 +1,180 @@
+/**
+ * Soccer Pool Tracker — Goal Event Store
+ *
+ * Match-level goal events per roster player, kept in data/goal-events.json
+ * so the rules engine can apply pick windows, shootout, own-goal and
+ * supercup exclusions instead of trusting season totals.
+ *
+ * Event shape (what calculatePlayerGoals expects, plus provenance):
+ *   { date: 'YYYY-MM-DD', minute, stoppage?, type, competition, sources: [url] }
+ *   type: 'normal' | 'penalty' | 'own_goal' | 'penalty_shootout'
+ *
+ * Sources report the same goal with slightly different minutes (an
+ * off-by-one), so an event from one source matches an event from another
+ * for the same player and date when its minute, or its stoppage minute
+ * within the same minute, is within MINUTE_TOLERANCE. Events in one
+ * source's list are never merged with each other: 23' and 24' from the same
+ * page are a brace.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const GOAL_EVENTS_PATH = path.join(__dirname, '..', '..', 'data', 'goal-events.json');
+const MINUTE_TOLERANCE = 1;
+
+/**
+ * Match clock for an event, for sorting: 45+2 comes out as 47.
+ * Shootout kicks have no clock.
+ * @param {object} event
+ * @returns {number|null}
+ */
+function clockMinute(event) {
+    if (typeof event.minute !== 'number') return null;
+    return event.minute + (event.stoppage || 0);
+}
+
+/**
+ * Goals in an event list a season total would count: scorer tables never
+ * include own goals or shootout kicks.
+ * @param {Array} events
+ * @returns {number}
+ */
+function countedGoals(events) {
+    return events.filter(e => e.type !== 'own_goal' && e.type !== 'penalty_shootout').length;
+}
+
+/**
+ * Whether two events for the same player, reported by different sources,
+ * describe the same goal. Minute and stoppage are compared separately:
+ * a stoppage-time goal (45+2) never matches one in regular time (47).
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+function isSameGoal(a, b) {
+    if (a.date !== b.date) return false;
+    if ((a.type === 'penalty_shootout') !== (b.type === 'penalty_shootout')) return false;
+    if (typeof a.minute !== 'number' || typeof b.minute !== 'number') return a.minute === b.minute;
+    const sa = a.stoppage || 0;
+    const sb = b.stoppage || 0;
+    if (sa > 0 || sb > 0) return a.minute === b.minute && sa > 0 && sb > 0 && Math.abs(sa - sb) <= MINUTE_TOLERANCE;
+    return Math.abs(a.minute - b.minute) <= MINUTE_TOLERANCE;
+}
+
+function isExactGoal(a, b) {
+    return a.date === b.date && a.type === b.type && a.minute === b.minute && (a.stoppage || 0) === (b.stoppage || 0);
+}
+
+/**
+ * Merge event lists for one player, earliest list first. The first report
+ * of a goal is kept; a report of it in a later list only adds its sources.
+ * Events are only matched against earlier lists, each at most once per
+ * list (an exact minute first), so goals close together in one list all
+ * stay. Shootout kicks can't be told apart by minute, so they are deduped
+ * by count per date: the list reporting the most kicks for a date wins.
+ *
+ * @param {...Array} lists - Event arrays in priority order
+ * @returns {Array} deduped events, sorted by date and minute
+ */
+function mergeGoalEvents(...lists) {
+    const merged = [];
+    const shootouts = {}; // date → longest kick list seen
+
+    for (const list of lists) {
+        const kicksByDate = {};
+        const goals = [];
+        for (const event of list || []) {
+            if (event.type === 'penalty_shootout') {
+                (kicksByDate[event.date] = kicksByDate[event.date] || []).push(event);
+            } else {
+                goals.push(event);
+            }
+        }
+
+        // Exact matches first, so an off-by-one can't take a goal's exact twin
+        const earlier = merged.slice();
+        const matched = new Map(); // event → the earlier event it reports
+        const claimed = new Set();
+        for (const same of [isExactGoal, isSameGoal]) {
+            for (const event of goals) {
+                if (matched.has(event)) continue;
+                const existing = earlier.find(e => !claimed.has(e) && same(e, event));
+                if (!existing) continue;
+                matched.set(event, existing);
+                claimed.add(existing);
+            }
+        }
+
+        for (const event of goals) {
+            const existing = matched.get(event);
+            if (existing) {
+                existing.sources = [...new Set([...existing.sources, ...(event.sources || [])])];
+            } else {
+                merged.push({ ...event, sources: [...(event.sources || [])] });
+            }
+        }
+        for (const [date, kicks] of Object.entries(kicksByDate)) {
+            if (!shootouts[date] || kicks.length > shootouts[date].length) shootouts[date] = kicks;
+        }
+    }
+
+    const all = [...merged, ...Object.values(shootouts).flat()];
+    return all.sort((a, b) => a.date.localeCompare(b.date) || (clockMinute(a) ?? 999) - (clockMinute(b) ?? 999));
+}
+
+/**
+ * Load the event store. A store from another season is ignored.
+ * @param {string} season - e.g. "2025-2026"
+ * @param {string} [filePath]
+ * @returns {{ season: string, updated_at: string|null, players: object }}
+ */
+function loadGoalEvents(season, filePath = GOAL_EVENTS_PATH) {
+    try {
+        const store = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (store.season === season) return store;
+        console.log(`   ⚠️  ${path.basename(filePath)} is for ${store.season}, starting a fresh ${season} store`);
+    } catch (e) {
+        // First run — no store yet
+    }
+    return { season, updated_at: null, players: {} };
+}
+
+/**
+ * Merge freshly collected events into the store and write it.
+ * Events already in the store keep their place; new sources are appended.
+ *
+ * @param {object} store - From loadGoalEvents
+ * @param {object} bySource - { providerName: { player: { value: events[], sources } } }
+ * @param {string[]} providerOrder - Provider names in chain order (primary first)
+ * @param {string} [filePath]
+ * @returns {{ store: object, added: number }}
+ */
+function updateGoalEvents(store, bySource, providerOrder, filePath = GOAL_EVENTS_PATH) {
+    const players = { ...store.players };
+    let added = 0;
+
+    const names = new Set(Object.keys(players));
+    for (const name of providerOrder) Object.keys(bySource[name] || {}).forEach(p => names.add(p));
+
+    for (const player of names) {
+        const before = (players[player] || []).length;
+        const fresh = providerOrder.map(name => bySource[name]?.[player]?.value || []);
+        players[player] = mergeGoalEvents(players[player] || [], ...fresh);
+        added += players[player].length - before;
+    }
+
+    const updated = { season: store.season, updated_at: new Date().toISOString(), players };
+    fs.writeFileSync(filePath, JSON.stringify(updated, null, 2));
+    return { store: updated, added };
+}
+
+module.exports = {
+    GOAL_EVENTS_PATH,
+    MINUTE_TOLERANCE,
+    countedGoals,
+    isSameGoal,
+    mergeGoalEvents,
+    loadGoalEvents,
+    updateGoalEvents,
+};
@@ -0,0 +1,199 @@
+/**
+ * Soccer Pool Tracker — HTTP Fetch Layer
+ *
+ * A small fetcher for scraping: every request gets a timeout, 429 and 5xx
+ * responses (and timeouts / dropped connections) are retried with
+ * exponential backoff or after the server's Retry-After, redirects are
+ * followed up to a cap, and requests run through a bounded pool with a
+ * minimum gap between request starts to the same host.
+ *
+ *   const fetcher = createFetcher({ concurrency: 3, hostDelay: 1000 });
+ *   const html = await fetcher.getText(url);          // throws unless 200
+ *   const res = await fetcher.request(url, { method: 'HEAD' });
+ *
+ * Errors carry `status` when the server answered (`HTTP 404`), so callers
+ * can tell a missing page from a network failure.
+ */
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULTS = {
+    timeout: 20000,      // per request, headers and body
+    retries: 3,          // extra attempts after the first
+    backoff: 2000,       // first retry delay; doubles each attempt
+    maxDelay: 60000,     // cap on backoff and Retry-After waits
+    maxRedirects: 5,
+    concurrency: 3,      // requests in flight across all hosts
+    hostDelay: 1000,     // minimum gap between request starts per host
+    headers: {},
+    log: () => {},
+    sleep: ms => new Promise(r => setTimeout(r, ms)),
+};
+
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+/**
+ * Delay a Retry-After header asks for (seconds or an HTTP date).
+ * @param {string} [value]
+ * @param {number} [now]
+ * @returns {number|null} milliseconds, or null if absent/unreadable
+ */
+function retryAfterMs(value, now = Date.now()) {
+    if (value == null || value === '') return null;
+    if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+    const at = Date.parse(value);
+    return isNaN(at) ? null : Math.max(0, at - now);
+}
+
+/**
+ * Error for a response with an unwanted status.
+ * @param {number} status
+ * @param {string} url
+ * @returns {Error} with `status` and `url`
+ */
+function httpError(status, url) {
+    const err = new Error(`HTTP ${status}`);
+    err.status = status;
+    err.url = url;
+    return err;
+}
+
+/**
+ * Create a fetcher. Each fetcher has its own pool, host clocks and
+ * request count.
+ * @param {object} [options] - see DEFAULTS
+ * @returns {{ request: Function, getText: Function, requestCount: Function }}
+ */
+function createFetcher(options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const nextStart = new Map(); // host → earliest start time of its next request
+    const waiting = [];
+    let active = 0;
+    let count = 0;
+
+    // A slot is claimed before anything is awaited: a free one right away,
+    // otherwise release hands its slot straight to the longest waiter, so a
+    // newcomer can't take it while that waiter is resuming
+    async function acquire(host) {
+        if (active < opts.concurrency) active++;
+        else await new Promise(resolve => waiting.push(resolve));
+        const now = Date.now();
+        const start = Math.max(now, nextStart.get(host) || 0);
+        nextStart.set(host, start + opts.hostDelay);
+        if (start > now) await opts.sleep(start - now);
+    }
+
+    function release() {
+        const next = waiting.shift();
+        if (next) next();
+        else active--;
+    }
+
+    function send(url, { method = 'GET', headers = {} }) {
+        return new Promise((resolve, reject) => {
+            const client = url.startsWith('https:') ? https : http;
+            const req = client.request(url, { method, headers: { ...opts.headers, ...headers } }, (res) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    clearTimeout(timer);
+                    resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8'), url });
+                });
+                res.on('error', reject);
+            });
+            const timer = setTimeout(() => {
+                const err = new Error(`Timeout after ${opts.timeout}ms`);
+                err.retryable = true;
+                req.destroy(err);
+            }, opts.timeout);
+            req.on('error', (err) => {
+                clearTimeout(timer);
+                if (err.retryable === undefined) err.retryable = true; // reset, refused, DNS hiccup
+                reject(err);
+            });
+            req.end();
+        });
+    }
+
+    /**
+     * Make a request, following redirects and retrying transient failures.
+     * Resolves with the final response whatever its status (after retries
+     * run out for 429/5xx); rejects on network errors and redirect loops.
+     * @param {string} url
+     * @param {{ method?: string, headers?: object }} [init]
+     * @returns {Promise<{ status: number, headers: object, body: string, url: string }>}
+     */
+    async function request(url, init = {}) {
+        let current = url;
+        let redirects = 0;
+        let attempt = 0;
+
+        for (;;) {
+            const host = new URL(current).host;
+            let res;
+            let error;
+            await acquire(host);
+            try {
+                count++;
+                opts.log(`[${count}] ${init.method || 'GET'} ${current}${attempt > 0 ? ` (retry ${attempt})` : ''}`);
+                res = await send(current, init);
+            } catch (err) {
+                error = err;
+            } finally {
+                release();
+            }
+
+            if (error) {
+                if (!error.retryable || attempt >= opts.retries) throw error;
+                const delay = Math.min(opts.backoff * 2 ** attempt, opts.maxDelay);
+                opts.log(`↻ ${error.message}, retrying in ${delay}ms`);
+                attempt++;
+                await opts.sleep(delay);
+                continue;
+            }
+
+            if (res.status >= 300 && res.status < 400 && res.headers.location) {
+                if (redirects >= opts.maxRedirects) {
+                    throw new Error(`Too many redirects (${opts.maxRedirects}) from ${url}`);
+                }
+                redirects++;
+                current = new URL(res.headers.location, current).href;
+                opts.log(`↳ Redirect → ${current}`);
+                continue;
+            }
+
+            if (RETRY_STATUSES.has(res.status) && attempt < opts.retries) {
+                const asked = retryAfterMs(res.headers['retry-after']);
+                const delay = Math.min(asked ?? opts.backoff * 2 ** attempt, opts.maxDelay);
+                opts.log(`↻ HTTP ${res.status}, retrying in ${delay}ms`);
+                attempt++;
+                await opts.sleep(delay);
+                continue;
+            }
+
+            return res;
+        }
+    }
+
+    /**
+     * GET a page body, rejecting unless the final status is 200.
+     * @param {string} url
+     * @param {object} [headers]
+     * @returns {Promise<string>}
+     */
+    async function getText(url, headers) {
+        const res = await request(url, { headers });
+        if (res.status !== 200) throw httpError(res.status, url);
+        return res.body;
+    }
+
+    return { request, getText, requestCount: () => count };
+}
+
+module.exports = {
+    DEFAULTS,
+    retryAfterMs,
+    httpError,
+    createFetcher,
+};
@@ -0,0 +1,227 @@
+/**
+ * Soccer Pool Tracker — Name Matching
+ *
+ * Scores a name from a source page ("Dušan Vlahović", "Inter Miami")
+ * against roster names and their aliases. Both sides are transliterated
+ * (ø → o, ć → c, ß → ss, ...) and split into tokens; each token is paired
+ * with its closest counterpart by edit distance, and the score is the
+ * summed token similarity over the longer name's token count, so an extra
+ * word ("Inter" vs "Inter Miami") costs as much as a wrong one.
+ *
+ *   score ≥ AUTO_ACCEPT  → matched
+ *   score ≥ BORDERLINE   → not matched, logged as borderline
+ *   lower                → not matched
+ *
+ * A match is also refused (and logged) when a second roster name scores
+ * within AMBIGUITY_MARGIN of the best. Every lookup feeds a per-run log, so
+ * the pipeline can report borderline matches and, for roster names nothing
+ * matched, the closest names that were seen — the aliases worth adding.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MATCH_REPORT_PATH = path.join(__dirname, '..', '..', 'data', 'match-report.json');
+const AUTO_ACCEPT = 0.95;
+const BORDERLINE = 0.75;
+const AMBIGUITY_MARGIN = 0.05;
+const CLOSEST_FLOOR = 0.5; // near misses below this aren't worth reporting
+
+// Letters NFD doesn't decompose into a base letter plus accent
+const TRANSLITERATIONS = {
+    'ø': 'o', 'æ': 'ae', 'œ': 'oe', 'ß': 'ss', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ı': 'i',
+};
+
+// Club-name affixes that carry no identity ("SSC Napoli" vs "Napoli")
+const TEAM_AFFIXES = new Set(['fc', 'cf', 'afc', 'sc', 'ac', 'as', 'ssc', 'rc', 'sl', 'fk', 'sk']);
+
+/**
+ * Lowercase, transliterate and strip accents and punctuation.
+ * @param {string} str
+ * @returns {string}
+ */
+function normalizeName(str) {
+    return (str || '')
+        .toLowerCase()
+        .replace(/[øæœßłđðþı]/g, ch => TRANSLITERATIONS[ch])
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9\s]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function tokenize(str, kind) {
+    const tokens = normalizeName(str).split(' ').filter(Boolean);
+    if (kind !== 'team') return tokens;
+    const core = tokens.filter(t => !TEAM_AFFIXES.has(t));
+    return core.length > 0 ? core : tokens;
+}
+
+/**
+ * Levenshtein edit distance.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+function tokenSimilarity(a, b) {
+    return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Similarity of two names, 0..1.
+ * @param {string} a
+ * @param {string} b
+ * @param {'team'|'player'} [kind] - teams ignore affixes like "FC"
+ * @returns {number}
+ */
+function nameSimilarity(a, b, kind = 'player') {
+    const ta = tokenize(a, kind);
+    const tb = tokenize(b, kind);
+    if (ta.length === 0 || tb.length === 0) return 0;
+    if (ta.join(' ') === tb.join(' ')) return 1;
+
+    // Pair each token of the shorter name with its closest unused counterpart
+    const [short, long] = ta.length <= tb.length ? [ta, tb] : [tb, ta];
+    const unused = [...long];
+    let total = 0;
+    for (const token of short) {
+        let best = -1;
+        let bestSim = 0;
+        unused.forEach((other, i) => {
+            const sim = tokenSimilarity(token, other);
+            if (sim > bestSim) { best = i; bestSim = sim; }
+        });
+        if (best >= 0) unused.splice(best, 1);
+        total += bestSim;
+    }
+    return Math.round((total / long.length) * 1000) / 1000;
+}
+
+// ── Per-run log ──
+
+let log = { borderline: [], closest: {} };
+
+/**
+ * Start a fresh match log (one per pipeline run).
+ */
+function resetMatchLog() {
+    log = { borderline: [], closest: {} };
+}
+
+function noteClosest(kind, rosterName, name, score) {
+    const key = `${kind}:${rosterName}`;
+    const seen = log.closest[key] || [];
+    if (seen.some(s => s.name === name)) return;
+    seen.push({ name, score });
+    seen.sort((a, b) => b.score - a.score);
+    log.closest[key] = seen.slice(0, 3);
+}
+
+/**
+ * Resolve a source name to a roster name.
+ *
+ * @param {string} name - Name as the source page writes it
+ * @param {object} table - { rosterName: aliases[] }
+ * @param {'team'|'player'} kind
+ * @returns {{ match: string|null, candidate: string|null, alias: string|null, score: number, reason?: string }}
+ */
+function scoreName(name, table, kind) {
+    return rankNames(name, table, kind).result;
+}
+
+function rankNames(name, table, kind) {
+    const ranked = Object.entries(table).map(([rosterName, aliases]) => {
+        let best = { alias: rosterName, score: nameSimilarity(name, rosterName, kind) };
+        for (const alias of aliases || []) {
+            const score = nameSimilarity(name, alias, kind);
+            if (score > best.score) best = { alias, score };
+        }
+        return { rosterName, ...best };
+    }).sort((a, b) => b.score - a.score);
+
+    const [top, runnerUp] = ranked;
+    if (!top || top.score === 0) return { ranked, result: { match: null, candidate: null, alias: null, score: 0 } };
+    const result = { match: null, candidate: top.rosterName, alias: top.alias, score: top.score };
+    if (top.score === 1) return { ranked, result: { ...result, match: top.rosterName } };
+    if (top.score < AUTO_ACCEPT) return { ranked, result: { ...result, reason: 'low confidence' } };
+    if (runnerUp && top.score - runnerUp.score < AMBIGUITY_MARGIN) {
+        return { ranked, result: { ...result, reason: `ambiguous with ${runnerUp.rosterName} (${runnerUp.score})` } };
+    }
+    return { ranked, result: { ...result, match: top.rosterName } };
+}
+
+/**
+ * scoreName plus logging: borderline and ambiguous lookups are kept for the
+ * report, and every lookup updates the closest names seen per roster name.
+ * @param {string} name
+ * @param {object} table - { rosterName: aliases[] }
+ * @param {'team'|'player'} kind
+ * @returns {string|null} roster name
+ */
+function matchName(name, table, kind) {
+    const { ranked, result } = rankNames(name, table, kind);
+    for (const r of ranked) {
+        if (r.score < CLOSEST_FLOOR) break;
+        noteClosest(kind, r.rosterName, name, r.score);
+    }
+    if (!result.match && result.score >= BORDERLINE) {
+        const entry = { kind, name, candidate: result.candidate, alias: result.alias, score: result.score, reason: result.reason };
+        if (!log.borderline.some(b => b.kind === kind && b.name === name)) log.borderline.push(entry);
+    }
+    return result.match;
+}
+
+/**
+ * Build the per-run match report.
+ * @param {{ teams: string[], players: string[] }} unmatched - Roster names nothing matched
+ * @returns {{ borderline: Array, unmatched: Array<{ kind, name, closest }> }}
+ */
+function matchReport(unmatched) {
+    const entries = [
+        ...unmatched.teams.map(name => ({ kind: 'team', name })),
+        ...unmatched.players.map(name => ({ kind: 'player', name })),
+    ];
+    return {
+        borderline: log.borderline.slice().sort((a, b) => b.score - a.score),
+        unmatched: entries.map(e => ({ ...e, closest: log.closest[`${e.kind}:${e.name}`] || [] })),
+    };
+}
+
+/**
+ * Write the match report.
+ * @param {object} report - From matchReport
+ * @param {string} [filePath]
+ * @returns {object} the report as written
+ */
+function writeMatchReport(report, filePath = MATCH_REPORT_PATH) {
+    const stamped = { generated_at: new Date().toISOString(), thresholds: { auto_accept: AUTO_ACCEPT, borderline: BORDERLINE }, ...report };
+    fs.writeFileSync(filePath, JSON.stringify(stamped, null, 2));
+    return stamped;
+}
+
+module.exports = {
+    MATCH_REPORT_PATH,
+    AUTO_ACCEPT,
+    BORDERLINE,
+    normalizeName,
+    editDistance,
+    nameSimilarity,
+    scoreName,
+    matchName,
+    resetMatchLog,
+    matchReport,
+    writeMatchReport,
+};
@@ -0,0 +1,158 @@
+/**
+ * Soccer Pool Tracker — On-Disk Page Cache
+ *
+ * Keeps the last copy of every fetched page in data/page-cache/, keyed by
+ * URL, with the ETag and Last-Modified the server sent. The next request for
+ * a cached page is conditional (If-None-Match / If-Modified-Since); a 304
+ * serves the saved HTML without downloading it again. Each page is stored
+ * as a pair of files named after its title:
+ *
+ *   <title>.<hash>.html  — the raw HTML, as last downloaded
+ *   <title>.<hash>.json  — { url, etag, last_modified, fetched_at, checked_at, parsed }
+ *
+ * `parsed` keeps parser output for the page. While a page comes back 304
+ * (or is parsed twice in one run), parsePage returns the saved output
+ * instead of parsing it again. Output is
+ * tagged with a parser version (a hash of the parser code), so editing the
+ * parsers invalidates it.
+ *
+ *   const cache = createPageCache(fetcher, { version });
+ *   const page = await cache.get(url);        // { url, html, unchanged }
+ *   const table = cache.parsePage(page, ['parseStandings'], () => parseStandings(page.html));
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { httpError } = require('./http');
+
+const PAGE_CACHE_DIR = path.join(__dirname, '..', '..', 'data', 'page-cache');
+
+function sha1(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * Hash of some source files, for use as a parser version.
+ * @param {string[]} files
+ * @returns {string}
+ */
+function sourceVersion(files) {
+    return sha1(files.map(file => fs.readFileSync(file, 'utf8')).join('\0')).slice(0, 12);
+}
+
+/**
+ * File name (without extension) a URL is cached under: the page title,
+ * made filesystem-safe, plus a short hash of the full URL.
+ * @param {string} url
+ * @returns {string}
+ */
+function cacheName(url) {
+    let title = url.split('/').pop() || 'page';
+    try {
+        title = decodeURIComponent(title);
+    } catch (err) {
+        // Leave malformed escapes as they are
+    }
+    const safe = title.replace(/[^\p{L}\p{N}\p{Pd}._]+/gu, '_').slice(0, 80);
+    return `${safe}.${sha1(url).slice(0, 8)}`;
+}
+
+/**
+ * Create a page cache over a fetcher (see lib/http.js).
+ * @param {object} fetcher - From createFetcher
+ * @param {object} [options]
+ * @param {string} [options.dir] - defaults to data/page-cache/
+ * @param {string} [options.version] - parser version; saved output from another version is ignored
+ * @returns {{ get: Function, parsePage: Function }}
+ */
+function createPageCache(fetcher, options = {}) {
+    const dir = options.dir || PAGE_CACHE_DIR;
+    const version = options.version || null;
+
+    const filesFor = url => {
+        const base = path.join(dir, cacheName(url));
+        return { html: `${base}.html`, meta: `${base}.json` };
+    };
+
+    // Saved metadata, or null if either file is missing or unreadable
+    function readEntry(url) {
+        const files = filesFor(url);
+        try {
+            const meta = JSON.parse(fs.readFileSync(files.meta, 'utf8'));
+            if (meta.url !== url || !fs.existsSync(files.html)) return null;
+            return meta;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    function writeMeta(meta) {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(filesFor(meta.url).meta, JSON.stringify(meta, null, 2));
+    }
+
+    /**
+     * Fetch a page, conditionally if a copy is cached.
+     * Rejects (with `status`) unless the page is 200 or an unchanged 304.
+     * @param {string} url
+     * @returns {Promise<{ url: string, html: string, unchanged: boolean, meta: object }>}
+     */
+    async function get(url) {
+        const cached = readEntry(url);
+        const headers = {};
+        if (cached?.etag) headers['If-None-Match'] = cached.etag;
+        if (cached?.last_modified) headers['If-Modified-Since'] = cached.last_modified;
+
+        const res = await fetcher.request(url, { headers });
+        const now = new Date().toISOString();
+
+        if (res.status === 304 && cached) {
+            const meta = { ...cached, checked_at: now };
+            writeMeta(meta);
+            return { url, html: fs.readFileSync(filesFor(url).html, 'utf8'), unchanged: true, meta };
+        }
+        if (res.status !== 200) throw httpError(res.status, url);
+
+        const meta = {
+            url,
+            etag: res.headers.etag || null,
+            last_modified: res.headers['last-modified'] || null,
+            fetched_at: now,
+            checked_at: now,
+            parsed: { version, results: {} },
+        };
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(filesFor(url).html, res.body);
+        writeMeta(meta);
+        return { url, html: res.body, unchanged: false, meta };
+    }
+
+    /**
+     * Parse a page, reusing saved output for the same parser and arguments.
+     * Saved output always belongs to the HTML on disk: a 200 clears it.
+     * @param {object} page - From get
+     * @param {Array} key - Parser name and any arguments it takes
+     * @param {Function} parse - () → JSON-serializable output
+     * @returns {*} a fresh copy, safe to modify
+     */
+    function parsePage(page, key, parse) {
+        const id = JSON.stringify(key);
+        if (page.meta.parsed?.version !== version) page.meta.parsed = { version, results: {} };
+        const saved = page.meta.parsed.results;
+        if (!(id in saved)) {
+            saved[id] = parse();
+            writeMeta(page.meta);
+        }
+        return JSON.parse(JSON.stringify(saved[id]));
+    }
+
+    return { get, parsePage };
+}
+
+module.exports = {
+    PAGE_CACHE_DIR,
+    sourceVersion,
+    cacheName,
+    createPageCache,
+};
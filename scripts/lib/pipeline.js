@@ -0,0 +1,527 @@
+/**
+ * Soccer Pool Tracker — Shared Update Pipeline
+ *
+ * Collects data from a provider chain, normalizes it into the rules
+ * engine's apiData shape, scores it with computeResults, runs the data
+ * integrity gate and writes results.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { computeResults, validatePhaseSwaps, validateTransactions } = require('../../js/rules-engine.js');
+const { collectFromChain } = require('../providers');
+const { POLICIES, REPORT_PATH, reconcileMetric, writeReport, describeDiscrepancy } = require('./reconcile');
+const { GOAL_EVENTS_PATH, countedGoals, loadGoalEvents, updateGoalEvents } = require('./goal-events');
+const { SNAPSHOTS_PATH, loadSnapshots, recordSnapshot, missingBoundaries } = require('./snapshots');
+const { SOURCES_PATH, loadSources, missingSources } = require('./sources');
+const { MATCH_REPORT_PATH, resetMatchLog, matchReport, writeMatchReport } = require('./matching');
+const { carryForward, describeCarried } = require('./carry-forward');
+
+const ROSTERS_PATH = path.join(__dirname, '..', '..', 'data', 'rosters.json');
+const RESULTS_PATH = path.join(__dirname, '..', '..', 'data', 'results.json');
+const RULES_PATH = path.join(__dirname, '..', '..', 'data', 'rules.json');
+const TRANSACTIONS_PATH = path.join(__dirname, '..', '..', 'data', 'transactions.json');
+
+/**
+ * Every file a run reads or writes, inside one data directory. The default
+ * is data/; a replayed recording (lib/recording.js) runs against a copy.
+ * @param {string} [dataDir]
+ * @returns {object} { rosters, rules, transactions, sources, results, goalEvents, snapshots, matchReport, reconciliation }
+ */
+function dataFiles(dataDir = path.dirname(RESULTS_PATH)) {
+    const file = defaultPath => path.join(dataDir, path.basename(defaultPath));
+    return {
+        rosters: file(ROSTERS_PATH),
+        rules: file(RULES_PATH),
+        transactions: file(TRANSACTIONS_PATH),
+        sources: file(SOURCES_PATH),
+        results: file(RESULTS_PATH),
+        goalEvents: file(GOAL_EVENTS_PATH),
+        snapshots: file(SNAPSHOTS_PATH),
+        matchReport: file(MATCH_REPORT_PATH),
+        reconciliation: file(REPORT_PATH),
+    };
+}
+
+// ══════════════════════════════════════════════════════════════════
+// NORMALIZATION
+// ══════════════════════════════════════════════════════════════════
+
+/**
+ * Build the provider context from rosters.json, the run's scoring rules
+ * and the time the run stands for.
+ * @param {object} rosters
+ * @param {object} [rules] - data/rules.json as loaded for the run
+ * @param {Date} [now] - The run's clock (see runPipeline's options.now)
+ * @returns {{ season: string, teams: string[], players: string[], rules?: object, now?: Date }}
+ */
+function buildContext(rosters, rules, now) {
+    const teams = new Set();
+    const players = new Set();
+    for (const roster of rosters.rosters) {
+        for (const team of roster.teams) teams.add(team.name);
+        for (const player of roster.players) players.add(player.name);
+    }
+    return { season: rosters.pool_metadata.season, teams: [...teams], players: [...players], rules, now };
+}
+
+/**
+ * Load the trade log. A log from another season is ignored.
+ * @param {string} season - e.g. "2025-2026"
+ * @param {string} [filePath]
+ * @returns {{ season: string, trades: Array }}
+ */
+function loadTransactions(season, filePath = TRANSACTIONS_PATH) {
+    try {
+        const log = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (log.season === season) return log;
+        console.log(`   ⚠️  ${path.basename(filePath)} is for ${log.season}, ignoring its trades`);
+    } catch (e) {
+        // No trades logged yet
+    }
+    return { season, trades: [] };
+}
+
+/**
+ * Normalize merged provider results into computeResults' apiData.
+ * Teams always get an entry (missing values count as 0); players only get
+ * one when some provider reported goals for them. Players whose match-level
+ * goal events add up to their reported season total are scored from those,
+ * so every exclusion rule applies. The rest are scored from the season
+ * total: event lists only cover the match reports that were read, so a
+ * shorter list would undercount (see findEventGaps). Entities with a value carried
+ * forward from the previous results (see lib/carry-forward.js) are listed
+ * under apiData.stale with the oldest refreshed date among their values.
+ *
+ * @param {object} ctx
+ * @param {object} collected - { leagueStandings, uefaStandings, playerGoals, cupProgress } merged maps
+ * @param {object} [goalEvents] - Goal event store players map { player: events[] }
+ * @returns {object} apiData
+ */
+function buildApiData(ctx, collected, goalEvents = {}) {
+    const apiData = { teams: {}, players: {} };
+    const stale = { teams: {}, players: {} };
+
+    for (const teamName of ctx.teams) {
+        const cup = collected.cupProgress[teamName]?.value || {};
+        const since = [collected.leagueStandings, collected.uefaStandings, collected.cupProgress]
+            .map(map => map[teamName]?.stale)
+            .filter(Boolean)
+            .sort()[0];
+        if (since) stale.teams[teamName] = since;
+        apiData.teams[teamName] = {
+            league_points: collected.leagueStandings[teamName]?.value || 0,
+            ...(collected.leagueStandings[teamName]?.split ? { league_split: collected.leagueStandings[teamName].split } : {}),
+            uefa_league_phase_points: collected.uefaStandings[teamName]?.value || 0,
+            domestic_cup: cup.domestic_cup || null,
+            uefa_cup: cup.uefa_cup || null,
+        };
+    }
+
+    for (const playerName of ctx.players) {
+        const events = goalEvents[playerName];
+        const entry = collected.playerGoals[playerName];
+        if (events && events.length > 0 && (!entry || countedGoals(events) === entry.value)) apiData.players[playerName] = events;
+        else if (entry) {
+            apiData.players[playerName] = { season_total: entry.value };
+            if (entry.stale) stale.players[playerName] = entry.stale;
+        }
+    }
+
+    if (Object.keys(stale.teams).length > 0 || Object.keys(stale.players).length > 0) apiData.stale = stale;
+    return apiData;
+}
+
+/**
+ * Shout about roster teams no provider found in any league table: they
+ * would silently score 0 league points.
+ * @param {object} ctx
+ * @param {object} leagueStandings - Merged league points
+ * @returns {string[]} unmatched roster teams
+ */
+function warnUnmatchedTeams(ctx, leagueStandings) {
+    const unmatched = ctx.teams.filter(team => !leagueStandings[team]);
+    if (unmatched.length > 0) {
+        console.log(`\n   🚨 ${unmatched.length} roster team${unmatched.length === 1 ? '' : 's'} matched no league standings table and will score 0 league points:`);
+        unmatched.forEach(team => console.log(`      • ${team}`));
+        console.log('   🚨 Check the club\'s league this season and the team name aliases.\n');
+    }
+    return unmatched;
+}
+
+/**
+ * Loudly list roster players no provider found any goals for. Unlike a
+ * player on 0 goals, these are usually a missing or stale club season page.
+ * @param {{ players: string[] }} ctx
+ * @param {object} playerGoals - Merged season totals
+ * @returns {string[]} players with no goal data
+ */
+function warnUnmappedPlayers(ctx, playerGoals) {
+    const unmapped = ctx.players.filter(player => !playerGoals[player]);
+    if (unmapped.length > 0) {
+        console.log(`\n   🚨 ${unmapped.length} roster player${unmapped.length === 1 ? '' : 's'} matched no scorer table or club season page and will score 0 goals:`);
+        unmapped.forEach(player => console.log(`      • ${player}`));
+        console.log('   🚨 Run `npm run discover-pages` and review data/source-proposals.json.\n');
+    }
+    return unmapped;
+}
+
+/**
+ * Players whose goal events don't add up to the season total a provider
+ * reports — usually match reports that weren't parsed, or API-Football's
+ * events window. buildApiData scores them from the season total instead,
+ * and runPipeline lists them under `warnings` in the reconciliation report.
+ * @param {{ players: string[] }} ctx
+ * @param {object} playerGoals - Merged season totals
+ * @param {object} [goalEvents] - Goal event store players map { player: events[] }
+ * @returns {Array<{ player: string, events: number, season_total: number }>}
+ */
+function findEventGaps(ctx, playerGoals, goalEvents = {}) {
+    const gaps = [];
+    for (const player of ctx.players) {
+        const events = goalEvents[player];
+        const total = playerGoals[player]?.value;
+        if (!events || events.length === 0 || typeof total !== 'number') continue;
+        const counted = countedGoals(events);
+        if (counted !== total) gaps.push({ player, events: counted, season_total: total });
+    }
+    return gaps;
+}
+
+/**
+ * Players whose goal events need fetching: those whose season total has
+ * moved on from what their stored events add up to, or who have no total.
+ * Fetching every player's events on every run would take api-football past
+ * its daily quota.
+ * @param {{ players: string[] }} ctx
+ * @param {object} playerGoals - Merged season totals
+ * @param {object} [goalEvents] - Goal event store players map { player: events[] }
+ * @returns {string[]}
+ */
+function playersWithNewGoals(ctx, playerGoals, goalEvents = {}) {
+    return ctx.players.filter(player => {
+        const total = playerGoals[player]?.value;
+        return typeof total !== 'number' || total !== countedGoals(goalEvents[player] || []);
+    });
+}
+
+/**
+ * Dates picks change hands, each of which needs a snapshot taken that day.
+ * A trade logged after its date without one is split at the last snapshot
+ * before it; the giver is never credited up to whenever it was logged.
+ * @param {object} rosters - Parsed rosters.json
+ * @param {object} transactions - Parsed transactions.json
+ * @returns {Array<{ date: string, label: string }>}
+ */
+function pickBoundaries(rosters, transactions) {
+    const drops = rosters.rosters.flatMap(r => [...r.teams, ...r.players]).map(p => p.active_until).filter(Boolean);
+    return [
+        ...[...new Set(drops)].map(date => ({ date, label: 'Phase 2 swaps' })),
+        ...transactions.trades.map(trade => ({ date: trade.date, label: `trade ${trade.id}` })),
+    ];
+}
+
+/**
+ * Stop the run without writing results.json. Thrown rather than exiting so
+ * callers (and tests) decide what a failed run means; the CLIs exit 1.
+ * @param {string} reason
+ */
+function abort(reason) {
+    console.log('\n   ⚠️  Aborting. Existing results.json preserved.');
+    throw new Error(`Update aborted: ${reason}`);
+}
+
+// ══════════════════════════════════════════════════════════════════
+// DATA INTEGRITY GATE
+// ══════════════════════════════════════════════════════════════════
+
+function validateResults(newResults, previousResults) {
+    const errors = [];
+
+    // Rule B: Check for null, NaN, negative
+    for (const entry of newResults.team_pool || []) {
+        if (entry.total_points == null || isNaN(entry.total_points) || entry.total_points < 0) {
+            errors.push(`Rule B: ${entry.participant} team points invalid (${entry.total_points})`);
+        }
+    }
+    for (const entry of newResults.goals_pool || []) {
+        if (entry.total_goals == null || isNaN(entry.total_goals) || entry.total_goals < 0) {
+            errors.push(`Rule B: ${entry.participant} goals invalid (${entry.total_goals})`);
+        }
+    }
+
+    // Rule A: No participant's total can drop below previous cache
+    if (previousResults && previousResults.team_pool) {
+        for (const prev of previousResults.team_pool) {
+            const curr = (newResults.team_pool || []).find(e => e.participant === prev.participant);
+            if (curr && curr.total_points < prev.total_points) {
+                errors.push(`Rule A: ${prev.participant} team points dropped ${prev.total_points} → ${curr.total_points}`);
+            }
+        }
+    }
+    if (previousResults && previousResults.goals_pool) {
+        for (const prev of previousResults.goals_pool) {
+            const curr = (newResults.goals_pool || []).find(e => e.participant === prev.participant);
+            if (curr && curr.total_goals < prev.total_goals) {
+                errors.push(`Rule A: ${prev.participant} goals dropped ${prev.total_goals} → ${curr.total_goals}`);
+            }
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+// ══════════════════════════════════════════════════════════════════
+// MAIN PIPELINE
+// ══════════════════════════════════════════════════════════════════
+
+/**
+ * Collect one numeric metric. Without a reconciliation policy this is plain
+ * chain fallback; with one, every provider is asked and the policy picks
+ * the value per entity.
+ *
+ * @returns {Promise<{ merged: object, discrepancies: Array }>}
+ */
+async function collectMetric(providers, method, metric, ctx, entities, policy) {
+    if (!policy) {
+        const { merged } = await collectFromChain(providers, method, ctx, entities);
+        return { merged, discrepancies: [] };
+    }
+    const { bySource } = await collectFromChain(providers, method, ctx, entities, { exhaustive: true });
+    return reconcileMetric(metric, entities, bySource, providers.map(p => p.name), policy);
+}
+
+/**
+ * Run a full update with the given provider chain.
+ * Throws, leaving results.json as it was, if the rosters or trade log are
+ * invalid, the integrity gate fails, or the block-on-disagreement policy
+ * finds sources that disagree. What was scored less exactly than it should
+ * have been is listed under `warnings` in the reconciliation report.
+ *
+ * @param {Array<object>} providers - From providers.resolveProviders, in fallback order
+ * @param {object} [options]
+ * @param {string} [options.reconcile] - Reconciliation policy (see lib/reconcile.js)
+ * @param {string} [options.dataDir] - Data directory to read and write (default data/)
+ * @param {string} [options.now] - ISO time the run stands for (default now); sets
+ *   results.json's last_updated and the date snapshots and stale values are stamped with
+ * @returns {Promise<object>} the results written
+ */
+async function runPipeline(providers, options = {}) {
+    if (options.reconcile && !POLICIES.includes(options.reconcile)) {
+        throw new Error(`Unknown reconciliation policy "${options.reconcile}" (available: ${POLICIES.join(', ')})`);
+    }
+    const files = dataFiles(options.dataDir);
+    const now = options.now ? new Date(options.now) : new Date();
+    console.log('🔄 Soccer Pool Tracker — Data Update');
+    console.log(`   Time: ${now.toISOString()}`);
+    console.log(`   Providers: ${providers.map(p => p.name).join(' → ')}`);
+    if (options.reconcile) console.log(`   Reconciliation: ${options.reconcile}`);
+    console.log('');
+
+    resetMatchLog();
+    const rosters = JSON.parse(fs.readFileSync(files.rosters, 'utf8'));
+    const rules = JSON.parse(fs.readFileSync(files.rules, 'utf8'));
+    const ctx = buildContext(rosters, rules, now);
+    console.log(`   Scoring rules: v${rules.version}\n`);
+
+    const swapErrors = validatePhaseSwaps(rosters);
+    if (swapErrors.length > 0) {
+        console.log('   ❌ Invalid Phase 2 swaps in rosters.json:');
+        swapErrors.forEach(e => console.log(`      • ${e}`));
+        abort('invalid Phase 2 swaps');
+    }
+
+    const transactions = loadTransactions(ctx.season, files.transactions);
+    const tradeErrors = validateTransactions(rosters, transactions);
+    if (tradeErrors.length > 0) {
+        console.log('   ❌ Invalid trades in transactions.json:');
+        tradeErrors.forEach(e => console.log(`      • ${e}`));
+        abort('invalid trades');
+    }
+    if (transactions.trades.length > 0) console.log(`   Trades logged: ${transactions.trades.length}\n`);
+
+    // Picks without a sources.json entry are still fetched by name, but
+    // without aliases, club pages or external IDs they usually come back empty
+    const sourceProblems = missingSources(rosters, loadSources(files.sources));
+    if (sourceProblems.length > 0) {
+        console.log('   ⚠️  Incomplete sources.json:');
+        sourceProblems.forEach(p => console.log(`      • ${p}`));
+        console.log('');
+    }
+
+    // Load previous results for integrity gate
+    let previousResults = null;
+    try {
+        previousResults = JSON.parse(fs.readFileSync(files.results, 'utf8'));
+    } catch (e) {
+        console.log('   ⚠️  No previous results.json (first run)\n');
+    }
+    // Last season's totals are neither a floor for Rule A nor values to carry forward
+    if (previousResults && previousResults.season !== ctx.season) {
+        console.log(`   ⚠️  Previous results.json is for ${previousResults.season}, not ${ctx.season}: ignoring it\n`);
+        previousResults = null;
+    }
+
+    // Source values are counted under the rules (supercup keywords decide
+    // goal totals), so ones recorded under other rules aren't carried forward
+    let previousInputs = previousResults?.inputs;
+    if (previousInputs && previousInputs.rules_version !== rules.version) {
+        console.log(`   ⚠️  Previous results' inputs were recorded under rules v${previousInputs.rules_version || '?'}, not v${rules.version}: nothing will be carried forward\n`);
+        previousInputs = undefined;
+    }
+
+    // ── Phase 1-3: Collect from the provider chain ──
+    const policy = options.reconcile;
+    console.log('📊 Fetching domestic league standings...');
+    const leagueStandings = await collectMetric(providers, 'fetchLeagueStandings', 'league_points', ctx, ctx.teams, policy);
+    const unmatchedTeams = warnUnmatchedTeams(ctx, leagueStandings.merged);
+
+    console.log('\n🏆 Fetching UEFA standings...');
+    const uefaStandings = await collectMetric(providers, 'fetchUefaStandings', 'uefa_league_phase_points', ctx, ctx.teams, policy);
+
+    console.log('\n⚽ Fetching player goals...');
+    const playerGoals = await collectMetric(providers, 'fetchPlayerGoals', 'goals', ctx, ctx.players, policy);
+    const unmappedPlayers = warnUnmappedPlayers(ctx, playerGoals.merged);
+
+    console.log('\n🥇 Fetching cup progress...');
+    const cupProgress = await collectFromChain(providers, 'fetchCupProgress', ctx, ctx.teams);
+
+    // Every provider's events are merged and deduped into the event store.
+    // Only players with goals the store hasn't seen are asked for
+    console.log('\n🎯 Fetching goal events...');
+    const storedEvents = loadGoalEvents(ctx.season, files.goalEvents);
+    const eventPlayers = playersWithNewGoals(ctx, playerGoals.merged, storedEvents.players);
+    console.log(`   ${eventPlayers.length} of ${ctx.players.length} players have goals the event store hasn't seen`);
+    const goalEvents = eventPlayers.length > 0
+        ? await collectFromChain(providers, 'fetchGoalEvents', { ...ctx, players: eventPlayers }, eventPlayers, { exhaustive: true })
+        : { bySource: {} };
+    const { store: eventStore, added } = updateGoalEvents(storedEvents, goalEvents.bySource, providers.map(p => p.name), files.goalEvents);
+    console.log(`   ${added} new goal event${added === 1 ? '' : 's'} → ${path.relative(process.cwd(), files.goalEvents)}`);
+
+    const fresh = {
+        leagueStandings: leagueStandings.merged,
+        uefaStandings: uefaStandings.merged,
+        playerGoals: playerGoals.merged,
+        cupProgress: cupProgress.merged,
+    };
+
+    // A failed source page leaves its teams/players out of this run; reuse
+    // their last known values (marked stale) instead of scoring them 0
+    const today = now.toISOString().slice(0, 10);
+    const { collected, inputs, carried } = carryForward(ctx, fresh, previousInputs, today);
+    if (carried.length > 0) {
+        console.log(`   🕰️  ${carried.length} value${carried.length === 1 ? '' : 's'} carried forward from the previous results:`);
+        carried.forEach(c => console.log(`      • ${describeCarried(c)}`));
+    }
+
+    // Names the matcher wouldn't accept on its own, and what the unmatched
+    // roster names came closest to — candidates for new aliases
+    const matches = writeMatchReport(matchReport({ teams: unmatchedTeams, players: unmappedPlayers }), files.matchReport);
+    if (matches.borderline.length > 0 || matches.unmatched.length > 0) {
+        console.log(`\n🔤 ${matches.borderline.length} borderline name match${matches.borderline.length === 1 ? '' : 'es'}, ${matches.unmatched.length} unmatched roster name${matches.unmatched.length === 1 ? '' : 's'} → ${path.relative(process.cwd(), files.matchReport)}`);
+        matches.borderline.forEach(b => console.log(`   ⚠️  "${b.name}" ≈ ${b.candidate} (${b.score}${b.reason === 'low confidence' ? '' : `, ${b.reason}`}) — not matched`));
+    }
+
+    // Players whose goal events don't add up are scored from their season
+    // total, so excluded goal types and pick windows over events don't apply
+    const warnings = findEventGaps(ctx, collected.playerGoals, eventStore.players).map(g => {
+        console.log(`   ⚠️  ${g.player}: ${g.events} goal events but ${g.season_total} season goals reported — scored from the season total, without goal type exclusions or event dates`);
+        return { type: 'event_gap', ...g };
+    });
+
+    // ── Phase 3.5: Cross-source reconciliation ──
+    const discrepancies = [
+        ...leagueStandings.discrepancies,
+        ...uefaStandings.discrepancies,
+        ...playerGoals.discrepancies,
+    ];
+    const report = () => writeReport({ policy: policy || null, providers: providers.map(p => p.name), discrepancies, warnings }, files.reconciliation);
+    if (policy) {
+        console.log('\n⚖️  Reconciling sources...');
+        discrepancies.forEach(d => console.log(`   ⚠️  ${describeDiscrepancy(d)}`));
+        console.log(`   ${discrepancies.length} discrepanc${discrepancies.length === 1 ? 'y' : 'ies'} → ${path.relative(process.cwd(), files.reconciliation)}`);
+
+        if (report().blocked) {
+            console.log('\n   ❌ Sources disagree and policy is block-on-disagreement.');
+            abort('sources disagree');
+        }
+    }
+
+    // ── Phase 4: Compute results ──
+    console.log('\n📋 Computing results...');
+    const apiData = buildApiData(ctx, collected, eventStore.players);
+
+    // Picks that changed hands are scored against the snapshot taken on that
+    // day; today's snapshot feeds weekly/monthly deltas and any later boundary
+    const snapshotStore = loadSnapshots(ctx.season, files.snapshots);
+    const recorded = recordSnapshot(snapshotStore, now, apiData, files.snapshots);
+    if (recorded) console.log(`   📸 Snapshot for ${recorded} → ${path.relative(process.cwd(), files.snapshots)}`);
+    // A boundary no run snapshotted is split at the last snapshot before it:
+    // the new owner misses a few days rather than the old one keeping them
+    const missed = missingBoundaries(snapshotStore, pickBoundaries(rosters, transactions), today);
+    const unsplittable = missed.filter(b => !b.fallback);
+    if (unsplittable.length > 0) {
+        console.log('   ❌ No snapshot was taken on or before these dates, so picks changing hands then can\'t be split:');
+        unsplittable.forEach(b => console.log(`      • ${b.date} (${b.label})`));
+        console.log(`   Add a snapshot for that day to ${path.relative(process.cwd(), files.snapshots)}, or correct the date.`);
+        abort('no snapshot to split picks at');
+    }
+    for (const b of missed) {
+        console.log(`   ⚠️  No snapshot taken on ${b.date} (${b.label}): split at the ${b.fallback} snapshot instead`);
+        warnings.push({ type: 'boundary_fallback', date: b.date, label: b.label, snapshot: b.fallback });
+    }
+    report();
+    apiData.snapshots = snapshotStore.snapshots;
+    apiData.as_of = today;
+    const results = computeResults(rosters, apiData, rules, transactions);
+    results.last_updated = now.toISOString();
+    results.inputs = { rules_version: rules.version, ...inputs };
+
+    // ── Phase 5: Data Integrity Gate ──
+    console.log('\n🔒 Data Integrity Gate...');
+    const validation = validateResults(results, previousResults);
+
+    if (!validation.valid) {
+        console.log('   ❌ INTEGRITY CHECK FAILED:');
+        validation.errors.forEach(e => console.log(`      • ${e}`));
+        abort('integrity check failed');
+    }
+    console.log('   ✅ All checks passed');
+
+    // ── Phase 6: Write results ──
+    fs.writeFileSync(files.results, JSON.stringify(results, null, 2));
+    console.log(`\n✅ Results written to ${files.results}`);
+    for (const provider of providers) {
+        console.log(`   ${provider.name} requests: ${provider.getRequestCount()}`);
+    }
+
+    // Summary
+    console.log('\n=== TEAM POOL ===');
+    results.team_pool.forEach(t => console.log(`   ${t.tied ? 'T' : ''}${t.rank}. ${t.participant}: ${t.total_points} pts`));
+    console.log('\n=== GOALS POOL ===');
+    results.goals_pool.forEach(g => console.log(`   ${g.tied ? 'T' : ''}${g.rank}. ${g.participant}: ${g.total_goals} goals`));
+
+    // Missing data warnings
+    const missingTeams = ctx.teams.filter(t => !(t in collected.leagueStandings) && !(t in collected.uefaStandings));
+    const missingPlayers = ctx.players.filter(p => !(p in collected.playerGoals));
+    if (missingTeams.length > 0) console.log(`\n⚠️  Missing teams (0 pts): ${missingTeams.join(', ')}`);
+    if (missingPlayers.length > 0) console.log(`⚠️  Missing players (0 goals): ${missingPlayers.join(', ')}`);
+    return results;
+}
+
+module.exports = {
+    ROSTERS_PATH,
+    RESULTS_PATH,
+    RULES_PATH,
+    TRANSACTIONS_PATH,
+    dataFiles,
+    loadTransactions,
+    buildContext,
+    buildApiData,
+    findEventGaps,
+    playersWithNewGoals,
+    warnUnmatchedTeams,
+    warnUnmappedPlayers,
+    validateResults,
+    runPipeline,
+};
@@ -0,0 +1,105 @@
+/**
+ * Soccer Pool Tracker — Cross-Source Reconciliation
+ *
+ * Compares the numbers each provider reports for the same roster entity
+ * (league points, UEFA points, player goals) and decides which value wins
+ * according to a policy:
+ *   - prefer-primary:         the first provider in the chain that has a value
+ *   - take-max:               the highest value any provider reports
+ *   - block-on-disagreement:  like prefer-primary, but any disagreement blocks the run
+ *
+ * Every disagreement is recorded in a discrepancy report so vandalised or
+ * lagging source tables are caught before they reach results.json. The
+ * report is written on every run, with or without a policy, and also lists
+ * the run's scoring warnings.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPORT_PATH = path.join(__dirname, '..', '..', 'data', 'reconciliation-report.json');
+const POLICIES = ['prefer-primary', 'take-max', 'block-on-disagreement'];
+
+/**
+ * Reconcile one metric across providers.
+ *
+ * @param {string} metric - Label for the report (e.g. 'league_points')
+ * @param {string[]} entities - Roster names to reconcile
+ * @param {object} bySource - { providerName: { entity: { value, sources } } }
+ * @param {string[]} providerOrder - Provider names in chain order (primary first)
+ * @param {string} policy - One of POLICIES
+ * @returns {{ merged: object, discrepancies: Array }}
+ *   merged: { entity: { value, sources, provider, ...extra provider fields } }
+ */
+function reconcileMetric(metric, entities, bySource, providerOrder, policy) {
+    if (!POLICIES.includes(policy)) {
+        throw new Error(`Unknown reconciliation policy "${policy}" (available: ${POLICIES.join(', ')})`);
+    }
+
+    const merged = {};
+    const discrepancies = [];
+
+    for (const entity of entities) {
+        const reported = providerOrder
+            .filter(name => bySource[name] && bySource[name][entity])
+            .map(name => ({ provider: name, value: bySource[name][entity].value, sources: bySource[name][entity].sources || [] }));
+        if (reported.length === 0) continue;
+
+        let chosen = reported[0];
+        if (policy === 'take-max') {
+            chosen = reported.reduce((best, r) => (r.value > best.value ? r : best), reported[0]);
+        }
+        // Extra fields (e.g. a league's split-season breakdown) travel with the chosen value
+        merged[entity] = { ...bySource[chosen.provider][entity], value: chosen.value, sources: chosen.sources, provider: chosen.provider };
+
+        const distinct = new Set(reported.map(r => r.value));
+        if (distinct.size > 1) {
+            discrepancies.push({
+                metric,
+                entity,
+                values: reported,
+                chosen: policy === 'block-on-disagreement' ? null : { provider: chosen.provider, value: chosen.value },
+            });
+        }
+    }
+
+    return { merged, discrepancies };
+}
+
+/**
+ * Write the discrepancy report for this run. `warnings` lists what the run
+ * scored less exactly than it should have (see runPipeline).
+ * @param {{ policy: string|null, providers: string[], discrepancies: Array, warnings?: Array }} report
+ * @param {string} [reportPath]
+ */
+function writeReport(report, reportPath = REPORT_PATH) {
+    const body = {
+        generated_at: new Date().toISOString(),
+        policy: report.policy,
+        providers: report.providers,
+        blocked: report.policy === 'block-on-disagreement' && report.discrepancies.length > 0,
+        discrepancies: report.discrepancies,
+        warnings: report.warnings || [],
+    };
+    fs.writeFileSync(reportPath, JSON.stringify(body, null, 2));
+    return body;
+}
+
+/**
+ * One-line summary of a discrepancy for console output.
+ * @param {object} d
+ * @returns {string}
+ */
+function describeDiscrepancy(d) {
+    const values = d.values.map(v => `${v.provider}=${v.value}`).join(', ');
+    const outcome = d.chosen ? ` → using ${d.chosen.provider} (${d.chosen.value})` : ' → blocked';
+    return `${d.metric} ${d.entity}: ${values}${outcome}`;
+}
+
+module.exports = {
+    POLICIES,
+    REPORT_PATH,
+    reconcileMetric,
+    writeReport,
+    describeDiscrepancy,
+};
@@ -0,0 +1,141 @@
+/**
+ * Soccer Pool Tracker — Recorded Runs
+ *
+ * A recording is a directory holding everything one Wikipedia run read, so
+ * the run can be repeated offline and give the same results.json:
+ *
+ *   recording.json  — { recorded_at, provider, reconcile? }
+ *   data/           — the data files as they were before the run (rosters,
+ *                     rules, transactions, sources, goal events, standings
+ *                     history and the previous results.json)
+ *   pages/          — every page the run fetched, as <title>.<hash>.html
+ *   results.json    — what the run wrote
+ *
+ * Replaying copies data/ to replay/ and runs the pipeline against that copy
+ * with the recorded clock, serving pages from pages/. A page the recorded
+ * run failed to fetch isn't in pages/ and fails the same way on replay.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dataFiles } = require('./pipeline');
+const { cacheName } = require('./page-cache');
+const { httpError } = require('./http');
+
+const MANIFEST = 'recording.json';
+
+// Files a run reads before it writes anything
+const INPUTS = ['rosters', 'rules', 'transactions', 'sources', 'goalEvents', 'snapshots', 'results'];
+
+function pagePath(dir, url) {
+    return path.join(dir, 'pages', `${cacheName(url)}.html`);
+}
+
+/**
+ * Save every page a page source serves (see lib/page-cache.js).
+ * @param {{ get: Function, parsePage: Function }} pages
+ * @param {string} dir - Recording directory
+ * @returns {{ get: Function, parsePage: Function }}
+ */
+function recordPages(pages, dir) {
+    fs.mkdirSync(path.join(dir, 'pages'), { recursive: true });
+    return {
+        async get(url) {
+            const page = await pages.get(url);
+            fs.writeFileSync(pagePath(dir, url), page.html);
+            return page;
+        },
+        parsePage: pages.parsePage,
+    };
+}
+
+/**
+ * Serve pages from a recording; nothing is fetched and nothing is cached.
+ * @param {string} dir - Recording directory
+ * @returns {{ get: Function, parsePage: Function }}
+ */
+function replayPages(dir) {
+    return {
+        async get(url) {
+            const file = pagePath(dir, url);
+            if (!fs.existsSync(file)) throw Object.assign(httpError(404, url), { message: 'Not in the recording' });
+            return { url, html: fs.readFileSync(file, 'utf8'), unchanged: false, meta: {} };
+        },
+        parsePage: (page, key, parse) => parse(),
+    };
+}
+
+/**
+ * Start a recording: copy the run's input files and write the manifest.
+ * Refuses a directory that already holds a recording.
+ * @param {string} dir
+ * @param {object} manifest - { recorded_at, provider, reconcile? }
+ * @param {string} [dataDir] - default data/
+ */
+function startRecording(dir, manifest, dataDir) {
+    if (fs.existsSync(path.join(dir, MANIFEST))) throw new Error(`${dir} already holds a recording`);
+    const from = dataFiles(dataDir);
+    const to = dataFiles(path.join(dir, 'data'));
+    fs.mkdirSync(path.join(dir, 'data'), { recursive: true });
+    for (const key of INPUTS) {
+        if (fs.existsSync(from[key])) fs.copyFileSync(from[key], to[key]);
+    }
+    fs.writeFileSync(path.join(dir, MANIFEST), JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Keep the results the recorded run wrote.
+ * @param {string} dir
+ * @param {string} [dataDir] - default data/
+ */
+function finishRecording(dir, dataDir) {
+    fs.copyFileSync(dataFiles(dataDir).results, path.join(dir, 'results.json'));
+}
+
+/**
+ * Set up a replay: a fresh copy of the recorded inputs in <dir>/replay/.
+ * @param {string} dir
+ * @returns {{ manifest: object, dataDir: string }}
+ */
+function prepareReplay(dir) {
+    const manifestPath = path.join(dir, MANIFEST);
+    if (!fs.existsSync(manifestPath)) throw new Error(`${dir} is not a recording (no ${MANIFEST})`);
+    const dataDir = path.join(dir, 'replay');
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    fs.cpSync(path.join(dir, 'data'), dataDir, { recursive: true });
+    return { manifest: JSON.parse(fs.readFileSync(manifestPath, 'utf8')), dataDir };
+}
+
+/**
+ * Compare replayed results with the recorded ones.
+ * @param {string} dir
+ * @returns {{ identical: boolean, differences: string[] }} differences: top-level keys and
+ *   participants whose entries differ
+ */
+function compareReplay(dir) {
+    const recordedPath = path.join(dir, 'results.json');
+    if (!fs.existsSync(recordedPath)) return { identical: false, differences: ['the recorded run wrote no results.json'] };
+    const recorded = JSON.parse(fs.readFileSync(recordedPath, 'utf8'));
+    const replayed = JSON.parse(fs.readFileSync(dataFiles(path.join(dir, 'replay')).results, 'utf8'));
+
+    const differences = [];
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    for (const key of new Set([...Object.keys(recorded), ...Object.keys(replayed)])) {
+        if (same(recorded[key], replayed[key])) continue;
+        const participants = (key === 'team_pool' || key === 'goals_pool')
+            ? (recorded[key] || []).filter(entry => !same(entry, (replayed[key] || []).find(e => e.participant === entry.participant)))
+            : [];
+        if (participants.length === 0) differences.push(key);
+        participants.forEach(entry => differences.push(`${key}: ${entry.participant}`));
+    }
+    return { identical: differences.length === 0, differences };
+}
+
+module.exports = {
+    recordPages,
+    replayPages,
+    startRecording,
+    finishRecording,
+    prepareReplay,
+    compareReplay,
+};
@@ -0,0 +1,75 @@
+/**
+ * Soccer Pool Tracker — Scraper
+ *
+ * The update run behind scripts/scrape-fbref.js, importable so it can be
+ * driven from tests and other scripts. With a snapshot directory the run is
+ * recorded (every fetched page and the data files it started from) or a
+ * recording is replayed offline: see lib/recording.js.
+ *
+ *   await scrape({ provider: 'wikipedia' });                                       // live
+ *   await scrape({ snapshotDir: 'snapshots/2026-10-19', snapshotMode: 'record' });  // live, recorded
+ *   const { replay } = await scrape({ snapshotDir: 'snapshots/2026-10-19', snapshotMode: 'replay' });
+ */
+
+const { resolveProviders } = require('../providers');
+const { runPipeline, dataFiles } = require('./pipeline');
+const { loadSources } = require('./sources');
+const {
+    recordPages, replayPages, startRecording, finishRecording, prepareReplay, compareReplay,
+} = require('./recording');
+
+const SNAPSHOT_MODES = ['record', 'replay'];
+
+/**
+ * Run an update.
+ *
+ * @param {object} [options]
+ * @param {string} [options.provider] - Comma-separated provider chain (default 'wikipedia')
+ * @param {string} [options.reconcile] - Reconciliation policy (see lib/reconcile.js)
+ * @param {string} [options.dataDir] - Data directory for live and recorded runs (default data/)
+ * @param {string} [options.snapshotDir] - Recording directory
+ * @param {string} [options.snapshotMode] - 'record' (default) or 'replay'
+ * @returns {Promise<{ results: object, replay?: { identical: boolean, differences: string[] } }>}
+ *   replay: how the replayed results compare with the recorded ones
+ */
+async function scrape(options = {}) {
+    const spec = options.provider || 'wikipedia';
+    const providers = resolveProviders(spec);
+    if (!options.snapshotDir) {
+        return { results: await runPipeline(providers, { reconcile: options.reconcile, dataDir: options.dataDir }) };
+    }
+
+    const mode = options.snapshotMode || 'record';
+    if (!SNAPSHOT_MODES.includes(mode)) {
+        throw new Error(`Unknown snapshot mode "${mode}" (available: ${SNAPSHOT_MODES.join(', ')})`);
+    }
+    // Only Wikipedia pages are recorded; API-Football answers would not replay
+    if (providers.length !== 1 || providers[0].name !== 'wikipedia') {
+        throw new Error('Snapshots record and replay the wikipedia provider only');
+    }
+    const [wikipedia] = providers;
+    const dir = options.snapshotDir;
+
+    try {
+        if (mode === 'record') {
+            const now = new Date().toISOString();
+            startRecording(dir, { recorded_at: now, provider: spec, ...(options.reconcile && { reconcile: options.reconcile }) }, options.dataDir);
+            wikipedia.configure({ sources: loadSources(dataFiles(options.dataDir).sources), pages: recordPages(wikipedia.livePages, dir) });
+            const results = await runPipeline(providers, { reconcile: options.reconcile, dataDir: options.dataDir, now });
+            finishRecording(dir, options.dataDir);
+            return { results };
+        }
+
+        const { manifest, dataDir } = prepareReplay(dir);
+        wikipedia.configure({ sources: loadSources(dataFiles(dataDir).sources), pages: replayPages(dir) });
+        const results = await runPipeline(providers, { reconcile: manifest.reconcile, dataDir, now: manifest.recorded_at });
+        return { results, replay: compareReplay(dir) };
+    } finally {
+        wikipedia.configure({ sources: loadSources(), pages: wikipedia.livePages });
+    }
+}
+
+module.exports = {
+    SNAPSHOT_MODES,
+    scrape,
+};
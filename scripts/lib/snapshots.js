@@ -0,0 +1,123 @@
+/**
+ * Soccer Pool Tracker — Standings Snapshots
+ *
+ * Dated copies of every roster team's scoring inputs and every season-total
+ * player's goals, kept in data/standings-history.json. The rules engine
+ * differences them to score picks that were only held for part of the
+ * season (Phase 2 swaps, trades) and to work out weekly and monthly deltas.
+ *
+ * Every run records a snapshot for its own date unless one exists, so the
+ * first (morning) run of a day stands for that day's opening numbers.
+ * Snapshots are never backdated: a boundary (a Phase 2 drop or a trade date)
+ * is split at the snapshot of that day. One that passed with no run to take
+ * it falls back to the nearest earlier snapshot, and missingBoundaries
+ * reports it, rather than being filled with later numbers. `captured_at`
+ * records when a snapshot was taken; one captured after its date doesn't
+ * count as the boundary's.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { countedGoals } = require('./goal-events');
+
+const SNAPSHOTS_PATH = path.join(__dirname, '..', '..', 'data', 'standings-history.json');
+
+/**
+ * Load the snapshot store. A store from another season is ignored.
+ * @param {string} season - e.g. "2025-2026"
+ * @param {string} [filePath]
+ * @returns {{ season: string, snapshots: Array }}
+ */
+function loadSnapshots(season, filePath = SNAPSHOTS_PATH) {
+    try {
+        const store = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (store.season === season) return store;
+        console.log(`   ⚠️  ${path.basename(filePath)} is for ${store.season}, starting a fresh ${season} store`);
+    } catch (e) {
+        // First run — no store yet
+    }
+    return { season, snapshots: [] };
+}
+
+/**
+ * Snapshot the scoring inputs in apiData.
+ * Players scored from goal events are recorded with the goals a season total
+ * would count, in case they are scored from a season total later on.
+ * @param {object} apiData
+ * @param {string} date - YYYY-MM-DD the snapshot stands for
+ * @param {string} [capturedAt] - ISO timestamp, defaults to now
+ * @returns {object}
+ */
+function takeSnapshot(apiData, date, capturedAt = new Date().toISOString()) {
+    const players = {};
+    for (const [name, data] of Object.entries(apiData.players)) {
+        if (Array.isArray(data)) players[name] = countedGoals(data);
+        else if (data && typeof data.season_total === 'number') players[name] = data.season_total;
+    }
+    return {
+        date,
+        captured_at: capturedAt,
+        teams: JSON.parse(JSON.stringify(apiData.teams)),
+        players,
+    };
+}
+
+/**
+ * Record the snapshot for the run's own date unless one exists, and write
+ * the store.
+ * @param {object} store - From loadSnapshots
+ * @param {Date} now - The run's clock
+ * @param {object} apiData
+ * @param {string} [filePath]
+ * @returns {string|null} the date recorded, or null if there already was one
+ */
+function recordSnapshot(store, now, apiData, filePath = SNAPSHOTS_PATH) {
+    const today = now.toISOString().slice(0, 10);
+    if (store.snapshots.some(s => s.date === today)) return null;
+    store.snapshots.push(takeSnapshot(apiData, today, now.toISOString()));
+    store.snapshots.sort((a, b) => a.date.localeCompare(b.date));
+    fs.writeFileSync(filePath, JSON.stringify(store, null, 2));
+    return today;
+}
+
+/**
+ * Whether a snapshot was taken on the day it stands for. Snapshots from
+ * before `captured_at` was recorded are taken on trust.
+ * @param {object} snapshot
+ * @returns {boolean}
+ */
+function isOnTime(snapshot) {
+    return !snapshot.captured_at || snapshot.captured_at.slice(0, 10) <= snapshot.date;
+}
+
+/**
+ * Boundaries that have passed without a snapshot taken that day. Picks
+ * changing hands on them are split at `fallback`, the latest snapshot dated
+ * on or before the boundary (the one the rules engine scores them up to), so
+ * the new owner misses what was earned in between. With no such snapshot
+ * (null) they can't be split at all: any later numbers would credit the old
+ * owner with what was earned after the boundary.
+ * @param {object} store - From loadSnapshots
+ * @param {Array<{ date: string, label: string }>} boundaries - Dates picks change hands
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Array<{ date: string, label: string, fallback: string|null }>}
+ */
+function missingBoundaries(store, boundaries, today) {
+    return boundaries
+        .filter(b => b.date && b.date <= today)
+        .filter(b => !store.snapshots.some(s => s.date === b.date && isOnTime(s)))
+        .map(b => {
+            const earlier = store.snapshots.filter(s => s.date <= b.date).map(s => s.date).sort();
+            return { ...b, fallback: earlier.length > 0 ? earlier[earlier.length - 1] : null };
+        })
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = {
+    SNAPSHOTS_PATH,
+    loadSnapshots,
+    takeSnapshot,
+    recordSnapshot,
+    isOnTime,
+    missingBoundaries,
+};
@@ -0,0 +1,141 @@
+/**
+ * Soccer Pool Tracker — Source Config
+ *
+ * data/sources.json describes every roster team and player once: name
+ * aliases, league membership, Wikipedia season pages and API-Football IDs,
+ * plus the league, UEFA and cup articles to scrape. Providers and the
+ * utility scripts read it instead of keeping their own tables, so changing
+ * a pick is a data edit here (and in rosters.json), not a code change.
+ *
+ * Shape:
+ *   leagues: { name: { country, api_football_id, wikipedia?, wikipedia_profile? } }
+ *   uefa:    { name: { competition, api_football_id, wikipedia, wikipedia_knockout? } }
+ *   cups:    { name: { wikipedia } }
+ *   teams:   { name: { league, api_football_id, aliases, season_page? } }
+ *   players: { name: { api_football_id, api_football_search?, wikipedia_article?, aliases,
+ *                      stints: [{ club, api_football_team_id, wikipedia, from?, until? }], note? } }
+ *   (wikipedia_article: the player's own article when it isn't titled with
+ *   their roster name; used by scripts/discover-pages.js. wikipedia_knockout:
+ *   the article with the knockout rounds' match boxes, when the season
+ *   article only shows them as a bracket)
+ *
+ * Wikipedia pages are article title templates, not URLs, so one config
+ * carries over between seasons. Placeholders are filled from the season
+ * ("2025-2026"): {season} → "2025–26", {start} → "2025", {end} → "2026".
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCES_PATH = path.join(__dirname, '..', '..', 'data', 'sources.json');
+
+/**
+ * Load the source config.
+ * @param {string} [filePath]
+ * @returns {object}
+ */
+function loadSources(filePath = SOURCES_PATH) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Season prefix used in article titles: "2025-2026" → "2025–26".
+ * @param {string} season
+ * @returns {string}
+ */
+function seasonTitle(season) {
+    const [start, end] = String(season).split('-');
+    return `${start}–${String(end).slice(-2)}`;
+}
+
+/**
+ * English Wikipedia URL for an article title.
+ * @param {string} title
+ * @returns {string}
+ */
+function wikiUrl(title) {
+    return `https://en.wikipedia.org/wiki/${encodeURIComponent(title.replace(/ /g, '_'))}`;
+}
+
+/**
+ * Wikipedia URL for a title template in a given season.
+ * @param {string} template - e.g. "{season} Premier League"
+ * @param {string} season - e.g. "2025-2026"
+ * @returns {string}
+ */
+function wikiPageUrl(template, season) {
+    const [start, end] = String(season).split('-');
+    const title = template
+        .replace(/\{season\}/g, seasonTitle(season))
+        .replace(/\{start\}/g, start)
+        .replace(/\{end\}/g, end);
+    return wikiUrl(title);
+}
+
+/**
+ * Every Wikipedia page the config points at for a season, labelled by what
+ * it is for (league, UEFA, cup, team season page, player stint).
+ * @param {object} sources
+ * @param {string} season
+ * @returns {Array<{ label: string, url: string }>}
+ */
+function seasonPages(sources, season) {
+    const pages = [];
+    const add = (label, template) => {
+        if (template) pages.push({ label, url: wikiPageUrl(template, season) });
+    };
+    for (const [name, league] of Object.entries(sources.leagues)) add(`League: ${name}`, league.wikipedia);
+    for (const [name, comp] of Object.entries(sources.uefa)) {
+        add(`UEFA: ${name}`, comp.wikipedia);
+        add(`UEFA knockout: ${name}`, comp.wikipedia_knockout);
+    }
+    for (const [name, cup] of Object.entries(sources.cups)) add(`Cup: ${name}`, cup.wikipedia);
+    for (const [name, team] of Object.entries(sources.teams)) add(`Team: ${name}`, team.season_page);
+    for (const [name, player] of Object.entries(sources.players)) {
+        for (const stint of player.stints || []) add(`Player: ${name} (${stint.club})`, stint.wikipedia);
+    }
+    return pages;
+}
+
+/**
+ * Roster picks (including traded-in and Phase 2 picks) with no entry in the
+ * source config, team entries pointing at a league it doesn't list, and a
+ * config left over from another season.
+ * Providers can still try such picks by name, but without aliases or IDs.
+ *
+ * @param {object} rosters - rosters.json
+ * @param {object} sources - sources.json
+ * @returns {string[]} problems, empty if every pick is covered
+ */
+function missingSources(rosters, sources) {
+    const problems = [];
+    const season = rosters.pool_metadata?.season;
+    if (season && sources.season !== season) {
+        problems.push(`sources.json is for ${sources.season}, rosters.json for ${season}`);
+    }
+    const seen = new Set();
+    for (const roster of rosters.rosters) {
+        for (const [kind, table] of [['teams', sources.teams], ['players', sources.players]]) {
+            for (const pick of roster[kind]) {
+                const key = `${kind}:${pick.name}`;
+                if (seen.has(key) || table[pick.name]) continue;
+                seen.add(key);
+                problems.push(`${kind === 'teams' ? 'Team' : 'Player'} "${pick.name}" (${roster.participant}) is not in sources.json`);
+            }
+        }
+    }
+    for (const [team, entry] of Object.entries(sources.teams)) {
+        if (!sources.leagues[entry.league]) problems.push(`Team "${team}" is in unknown league "${entry.league}"`);
+    }
+    return problems;
+}
+
+module.exports = {
+    SOURCES_PATH,
+    loadSources,
+    seasonTitle,
+    wikiUrl,
+    wikiPageUrl,
+    seasonPages,
+    missingSources,
+};
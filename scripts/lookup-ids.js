@@ -1,14 +1,18 @@
 /**
  * Utility script to look up API-Football team and player IDs.
+ * Names and search terms come from data/sources.json; copy the IDs it
+ * prints back into the api_football_id fields there.
  * Run: API_FOOTBALL_KEY=xxx node scripts/lookup-ids.js
  */
 
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const { loadSources } = require('./lib/sources');
 
 const API_KEY = process.env.API_FOOTBALL_KEY || '';
 const API_HOST = 'v3.football.api-sports.io';
+const SOURCES = loadSources();
 
 function apiGet(endpoint, params = {}) {
     return new Promise((resolve, reject) => {
@@ -28,21 +32,15 @@ function apiGet(endpoint, params = {}) {
     });
 }
 
+// Player search term: the sources.json override, else the unaccented surname
+function searchTerm(playerName) {
+    const override = SOURCES.players[playerName]?.api_football_search;
+    if (override) return override;
+    return playerName.split(' ').pop().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
 async function lookupTeams() {
-    const teams = [
-        // Erik
-        "Manchester City", "Atletico Madrid", "Benfica", "Ajax", "Feyenoord", "Fiorentina",
-        // Henry
-        "Bayern Munich", "Liverpool", "Borussia Dortmund", "Sporting CP", "Atalanta", "Lyon",
-        // Owen
-        "Arsenal", "Chelsea", "Celtic", "Fenerbahce", "Slavia Praha", "AS Monaco",
-        // Ian
-        "Real Madrid", "Inter Milan", "Red Star Belgrade", "Olympiacos", "Sparta Praha", "Union SG",
-        // Scott
-        "PSG", "Napoli", "FC Porto", "Bayer Leverkusen", "Rangers", "Ipswich Town",
-        // Josh
-        "Barcelona", "Galatasaray", "PSV Eindhoven", "Aston Villa", "AS Roma", "Strasbourg",
-    ];
+    const teams = Object.keys(SOURCES.teams);
 
     console.log('=== TEAM ID LOOKUP ===\n');
 
@@ -86,36 +84,13 @@ async function lookupTeams() {
 }
 
 async function lookupPlayers() {
-    const players = [
-        // Erik
-        "Mbappe", "Isak", "Guirassy", "Duran", "Hojlund", "Biereth",
-        // Henry
-        "Haaland", "Saka", "Barcola", "Julian Alvarez", "Jonathan David", "Aghehowa",
-        // Owen
-        "Gyokeres", "Raphinha", "Yamal", "Olise", "Gakpo", "Doue",
-        // Ian
-        "Lewandowski", "Dembele", "Pavlidis", "Sorloth", "Kean", "Watkins",
-        // Scott
-        "Salah", "Osimhen", "Vinicius", "Palmer", "Openda", "Vlahovic",
-        // Josh
-        "Kane", "Lautaro", "Marmoush", "Ekitike", "Plea", "Emegha",
-    ];
-
-    const fullNames = [
-        "Kylian Mbappe", "Alexander Isak", "Serhou Guirassy", "Jhon Duran", "Rasmus Højlund", "Mika Biereth",
-        "Erling Haaland", "Bukayo Saka", "Bradley Barcola", "Julian Alvarez", "Jonathan David", "Victor Aghehowa",
-        "Viktor Gyökeres", "Raphinha", "Lamine Yamal", "Michael Olise", "Cody Gakpo", "Desire Doue",
-        "Robert Lewandowski", "Ousmane Dembele", "Vangelis Pavlidis", "Alexander Sorloth", "Moise Kean", "Ollie Watkins",
-        "Mohamed Salah", "Victor Osimhen", "Vinícius Júnior", "Cole Palmer", "Lois Openda", "Dusan Vlahovic",
-        "Harry Kane", "Lautaro Martinez", "Omar Marmoush", "Hugo Ekitike", "Alassane Plea", "Emanuel Emegha",
-    ];
+    const fullNames = Object.keys(SOURCES.players);
 
     console.log('\n=== PLAYER ID LOOKUP ===\n');
 
     const results = {};
-    for (let i = 0; i < players.length; i++) {
-        const searchName = players[i];
-        const fullName = fullNames[i];
+    for (const fullName of fullNames) {
+        const searchName = searchTerm(fullName);
         try {
             const res = await apiGet('/players', { search: searchName, season: 2024 });
             const matches = res.response || [];
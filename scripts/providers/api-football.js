@@ -0,0 +1,381 @@
+/**
+ * Soccer Pool Tracker — API-Football Data Provider
+ *
+ * Fetches standings, player goals and per-fixture goal events from
+ * API-Football (v3.football.api-sports.io).
+ * Requires API_FOOTBALL_KEY. The API season defaults to the first year of
+ * pool_metadata.season; set API_FOOTBALL_SEASON to override it (the free
+ * plan only serves seasons up to 2024). League, team and player IDs come
+ * from data/sources.json.
+ *
+ * API Budget: standings and player totals take ~54 requests per run (the
+ * quota check, one per league, three UEFA tables, one per player). Goal
+ * events are only fetched for players who scored since the event store was
+ * last updated (see playersWithNewGoals in lib/pipeline.js): they reuse the
+ * player requests and add one /fixtures request per club those players
+ * appear for and one /fixtures/events request per finished fixture of those
+ * clubs in the 7-day window. On a typical matchday that is a handful of
+ * scorers and ~10-20 more requests, within the free plan's 100 a day; a run
+ * where most roster players scored can still go over. Backfills with
+ * API_FOOTBALL_EVENTS_FROM cost one more request per extra fixture.
+ */
+
+const https = require('https');
+const { isSupercup } = require('../../js/rules-engine.js');
+const { loadSources } = require('../lib/sources');
+
+const API_KEY = process.env.API_FOOTBALL_KEY || '';
+const API_HOST = 'v3.football.api-sports.io';
+const API_DELAY = 6500; // free plan: 10 requests/minute
+const EVENTS_LOOKBACK_DAYS = 7; // goal events: fixtures finished in the last week
+
+// ══════════════════════════════════════════════════════════════════
+// LEAGUE & TEAM ID MAPPINGS — API-Football IDs from data/sources.json
+// ══════════════════════════════════════════════════════════════════
+
+const SOURCES = loadSources();
+
+// League id -> { name, country } (domestic leagues and UEFA competitions)
+const LEAGUES = Object.fromEntries([
+    ...Object.entries(SOURCES.leagues).map(([name, league]) => [league.api_football_id, { name, country: league.country }]),
+    ...Object.entries(SOURCES.uefa).map(([name, comp]) => [comp.api_football_id, { name: `UEFA ${name}`, country: 'Europe' }]),
+]);
+
+// Team name -> { api_id, league_id }
+const TEAM_MAP = Object.fromEntries(Object.entries(SOURCES.teams).map(([name, team]) =>
+    [name, { api_id: team.api_football_id, league_id: SOURCES.leagues[team.league]?.api_football_id }]));
+
+// Player name -> api_id (verified from /players/squads endpoint)
+const PLAYER_MAP = Object.fromEntries(Object.entries(SOURCES.players)
+    .filter(([, player]) => player.api_football_id)
+    .map(([name, player]) => [name, player.api_football_id]));
+
+const UEFA_LEAGUE_IDS = Object.values(SOURCES.uefa).map(comp => comp.api_football_id);
+
+// ══════════════════════════════════════════════════════════════════
+// API UTILITY
+// ══════════════════════════════════════════════════════════════════
+
+let requestCount = 0;
+let quotaLogged = false;
+const responseMemo = new Map(); // url → Promise<response>, per run
+
+function apiUrl(endpoint, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return `https://${API_HOST}${endpoint}?${query}`;
+}
+
+function apiGet(endpoint, params = {}) {
+    if (!API_KEY) {
+        return Promise.reject(new Error('No API key. Set API_FOOTBALL_KEY environment variable.'));
+    }
+    return new Promise((resolve, reject) => {
+        const query = new URLSearchParams(params).toString();
+        const fullUrl = apiUrl(endpoint, params);
+        requestCount++;
+        console.log(`   [API ${requestCount}] GET ${endpoint}?${query.slice(0, 80)}`);
+
+        const options = {
+            headers: { 'x-apisports-key': API_KEY },
+        };
+
+        https.get(fullUrl, options, (res) => {
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => {
+                try {
+                    const parsed = JSON.parse(data);
+                    if (parsed.errors && Object.keys(parsed.errors).length > 0) {
+                        console.log(`   ⚠️  API Error: ${JSON.stringify(parsed.errors)}`);
+                    }
+                    resolve(parsed);
+                } catch (e) {
+                    reject(new Error(`Parse error: ${e.message}`));
+                }
+            });
+        }).on('error', reject);
+    });
+}
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+/**
+ * GET once per run, pacing network requests by API_DELAY.
+ * Lets fetchPlayerGoals and fetchGoalEvents share /players lookups.
+ * @param {string} endpoint
+ * @param {object} params
+ * @returns {Promise<object>}
+ */
+function apiGetOnce(endpoint, params = {}) {
+    const url = apiUrl(endpoint, params);
+    if (!responseMemo.has(url)) {
+        responseMemo.set(url, apiGet(endpoint, params).then(async (res) => {
+            await sleep(API_DELAY);
+            return res;
+        }));
+    }
+    return responseMemo.get(url);
+}
+
+/**
+ * Logs the remaining daily quota once per run.
+ */
+async function logQuota() {
+    if (quotaLogged) return;
+    quotaLogged = true;
+    const status = await apiGet('/status');
+    const remaining = status.response?.requests;
+    console.log(`   API Quota: ${remaining?.current || '?'}/${remaining?.limit_day || '?'} used today`);
+}
+
+/**
+ * API-Football identifies seasons by their starting year.
+ * @param {{ season: string }} ctx - season like "2025-2026"
+ * @returns {number}
+ */
+function apiSeason(ctx) {
+    if (process.env.API_FOOTBALL_SEASON) return parseInt(process.env.API_FOOTBALL_SEASON, 10);
+    return parseInt(String(ctx.season).slice(0, 4), 10);
+}
+
+/**
+ * Roster team names keyed by API-Football team ID, limited to this run's teams.
+ * @param {{ teams: string[] }} ctx
+ * @returns {object} { api_id: rosterTeam }
+ */
+function rosterTeamsById(ctx) {
+    const byId = {};
+    for (const name of ctx.teams) {
+        if (TEAM_MAP[name]) byId[TEAM_MAP[name].api_id] = name;
+    }
+    return byId;
+}
+
+// ══════════════════════════════════════════════════════════════════
+// PROVIDER INTERFACE
+// ══════════════════════════════════════════════════════════════════
+
+/**
+ * Fetch standings tables and map entries onto roster teams.
+ * @param {number[]} leagueIds
+ * @param {object} ctx
+ * @returns {Promise<object>} { rosterTeam: { value: points, sources: [url] } }
+ */
+async function fetchStandingsFor(leagueIds, ctx) {
+    await logQuota();
+    const season = apiSeason(ctx);
+    const byId = rosterTeamsById(ctx);
+    const result = {};
+
+    for (const leagueId of leagueIds) {
+        const params = { league: leagueId, season };
+        try {
+            const res = await apiGet('/standings', params);
+            const standings = res.response?.[0]?.league?.standings;
+            for (const entry of (standings || []).flat()) {
+                const rosterName = byId[entry.team.id];
+                if (!rosterName) continue;
+                result[rosterName] = { value: entry.points || 0, sources: [apiUrl('/standings', params)] };
+            }
+            console.log(`   ✅ ${LEAGUES[leagueId]?.name || `League ${leagueId}`}`);
+            await sleep(API_DELAY);
+        } catch (err) {
+            console.log(`   ❌ Failed to fetch league ${leagueId}: ${err.message}`);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Domestic league points per roster team.
+ * @param {{ teams: string[], season: string }} ctx
+ */
+async function fetchLeagueStandings(ctx) {
+    const leagueIds = [...new Set(ctx.teams.filter(t => TEAM_MAP[t]).map(t => TEAM_MAP[t].league_id))];
+    return fetchStandingsFor(leagueIds.filter(id => !UEFA_LEAGUE_IDS.includes(id)), ctx);
+}
+
+/**
+ * UEFA league-phase points per roster team (Champions, Europa, Conference).
+ * @param {{ teams: string[], season: string }} ctx
+ */
+async function fetchUefaStandings(ctx) {
+    return fetchStandingsFor(UEFA_LEAGUE_IDS, ctx);
+}
+
+/**
+ * A player's season goals from their /players statistics, one entry per
+ * competition, leaving out the supercups the run's rules name.
+ * @param {Array} statistics - response[0].statistics
+ * @param {object} [rules] - The run's scoring rules (supercup_keywords)
+ * @returns {number}
+ */
+function countSeasonGoals(statistics, rules) {
+    let totalGoals = 0;
+    for (const stat of statistics || []) {
+        if (isSupercup(stat.league?.name, rules)) continue;
+        totalGoals += stat.goals?.total || 0;
+    }
+    return totalGoals;
+}
+
+/**
+ * Season goal totals per roster player from individual player stats.
+ * Players the API has no data for are left out so a fallback provider can fill them.
+ * @param {{ players: string[], season: string, rules?: object }} ctx
+ * @returns {Promise<object>} { rosterPlayer: { value: goals, sources: [url] } }
+ */
+async function fetchPlayerGoals(ctx) {
+    await logQuota();
+    const season = apiSeason(ctx);
+    const result = {};
+
+    for (const playerName of ctx.players) {
+        const playerId = PLAYER_MAP[playerName];
+        if (!playerId) {
+            console.log(`   ⚠️  ${playerName}: No API-Football ID`);
+            continue;
+        }
+        const params = { id: playerId, season };
+        try {
+            const res = await apiGetOnce('/players', params);
+
+            const playerData = res.response?.[0];
+            if (playerData) {
+                const totalGoals = countSeasonGoals(playerData.statistics, ctx.rules);
+                result[playerName] = { value: totalGoals, sources: [apiUrl('/players', params)] };
+                console.log(`   ⚽ ${playerName}: ${totalGoals} goals`);
+            } else {
+                console.log(`   ⚠️  ${playerName}: No data found (ID: ${playerId})`);
+            }
+        } catch (err) {
+            console.log(`   ❌ ${playerName}: ${err.message}`);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Date window for goal events. Runs are daily and the goal event store keeps
+ * everything collected before, so only recently finished fixtures are asked
+ * for. Set API_FOOTBALL_EVENTS_FROM=YYYY-MM-DD to backfill a longer stretch.
+ * @param {Date} [now] - The run's clock, so a backdated run asks for its own week
+ * @returns {{ from: string, to: string }}
+ */
+function eventsWindow(now = new Date()) {
+    const to = now.toISOString().slice(0, 10);
+    if (process.env.API_FOOTBALL_EVENTS_FROM) return { from: process.env.API_FOOTBALL_EVENTS_FROM, to };
+    const from = new Date(now.getTime() - EVENTS_LOOKBACK_DAYS * 86400000).toISOString().slice(0, 10);
+    return { from, to };
+}
+
+/**
+ * Map one /fixtures/events goal onto the rules engine's goal event shape.
+ * @param {object} ev - API event
+ * @param {object} fixture - API fixture the event belongs to
+ * @returns {object|null} null for missed penalties
+ */
+function toGoalEvent(ev, fixture) {
+    if (ev.detail === 'Missed Penalty') return null;
+    const shootout = /shootout/i.test(ev.comments || '');
+    let type = 'normal';
+    if (shootout) type = 'penalty_shootout';
+    else if (ev.detail === 'Own Goal') type = 'own_goal';
+    else if (ev.detail === 'Penalty') type = 'penalty';
+    return {
+        date: fixture.fixture.date.slice(0, 10),
+        minute: shootout ? null : ev.time.elapsed,
+        stoppage: shootout ? 0 : (ev.time.extra || 0),
+        type,
+        competition: fixture.league.name,
+    };
+}
+
+/**
+ * Match-level goal events per roster player from the fixtures/events endpoints.
+ * Finds each player's clubs from their season stats, lists the clubs'
+ * finished fixtures in the events window and reads each fixture's goals.
+ * @param {{ players: string[], season: string, now?: Date }} ctx
+ * @returns {Promise<object>} { rosterPlayer: { value: goalEvents[], sources: [url] } }
+ */
+async function fetchGoalEvents(ctx) {
+    await logQuota();
+    const season = apiSeason(ctx);
+    const { from, to } = eventsWindow(ctx.now);
+    const rosterById = {};
+    for (const name of ctx.players) {
+        if (PLAYER_MAP[name]) rosterById[PLAYER_MAP[name]] = name;
+    }
+
+    // Clubs the roster players have appeared for in league or UEFA play
+    const clubIds = new Set();
+    for (const playerId of Object.keys(rosterById)) {
+        try {
+            const res = await apiGetOnce('/players', { id: playerId, season });
+            for (const stat of res.response?.[0]?.statistics || []) {
+                if (LEAGUES[stat.league?.id] && stat.team?.id) clubIds.add(stat.team.id);
+            }
+        } catch (err) {
+            console.log(`   ❌ ${rosterById[playerId]}: ${err.message}`);
+        }
+    }
+
+    // Finished fixtures in the window, deduped across clubs
+    const fixtures = new Map();
+    for (const team of clubIds) {
+        try {
+            const res = await apiGetOnce('/fixtures', { team, season, from, to, status: 'FT-AET-PEN' });
+            for (const fixture of res.response || []) fixtures.set(fixture.fixture.id, fixture);
+        } catch (err) {
+            console.log(`   ❌ Fixtures for team ${team}: ${err.message}`);
+        }
+    }
+    console.log(`   ${fixtures.size} finished fixture${fixtures.size === 1 ? '' : 's'} ${from} → ${to}`);
+
+    const result = {};
+    for (const [fixtureId, fixture] of fixtures) {
+        const params = { fixture: fixtureId, type: 'Goal' };
+        const source = apiUrl('/fixtures/events', params);
+        try {
+            const res = await apiGetOnce('/fixtures/events', params);
+            for (const ev of res.response || []) {
+                const rosterName = rosterById[ev.player?.id];
+                const event = rosterName && toGoalEvent(ev, fixture);
+                if (!event) continue;
+                const entry = result[rosterName] || { value: [], sources: [] };
+                entry.value.push({ ...event, sources: [source] });
+                if (!entry.sources.includes(source)) entry.sources.push(source);
+                result[rosterName] = entry;
+                console.log(`   ⚽ ${rosterName}: ${event.type} ${event.minute ?? ''}' (${event.competition}, ${event.date})`);
+            }
+        } catch (err) {
+            console.log(`   ❌ Events for fixture ${fixtureId}: ${err.message}`);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Domestic and UEFA cup milestones per roster team.
+ * Cup rounds are not fetched from API-Football yet, so no team reports progress.
+ * @returns {Promise<object>} { rosterTeam: { value: { domestic_cup, uefa_cup }, sources: [url] } }
+ */
+async function fetchCupProgress() {
+    return {};
+}
+
+module.exports = {
+    name: 'api-football',
+    fetchLeagueStandings,
+    fetchUefaStandings,
+    fetchPlayerGoals,
+    fetchCupProgress,
+    fetchGoalEvents,
+    getRequestCount: () => requestCount,
+    countSeasonGoals,
+    eventsWindow,
+    toGoalEvent,
+};
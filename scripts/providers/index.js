@@ -0,0 +1,97 @@
+/**
+ * Soccer Pool Tracker — Data Provider Registry
+ *
+ * Every provider implements the same interface, keyed by roster names:
+ *   fetchLeagueStandings(ctx) → { team:   { value: points, split?: { regular, carried, playoff }, sources: [url] } }
+ *   fetchUefaStandings(ctx)   → { team:   { value: points, sources: [url] } }
+ *   fetchPlayerGoals(ctx)     → { player: { value: goals,  sources: [url] } }
+ *   fetchCupProgress(ctx)     → { team:   { value: { domestic_cup, uefa_cup }, sources: [url] } }
+ *   fetchGoalEvents(ctx)      → { player: { value: [{ date, minute, stoppage, type, competition, sources }], sources: [url] } }
+ *
+ * ctx = { season, teams: [rosterTeam], players: [rosterPlayer], rules, now }
+ *
+ * League `value` is always the league's own table total; split-season leagues
+ * may add the `split` breakdown so the scoring rules can decide what counts.
+ *
+ * Providers can be chained: the first provider answers for every entity it
+ * knows, and each later provider only fills entities still missing.
+ */
+
+const PROVIDERS = {
+    'wikipedia': require('./wikipedia'),
+    'api-football': require('./api-football'),
+};
+
+const PROVIDER_METHODS = ['fetchLeagueStandings', 'fetchUefaStandings', 'fetchPlayerGoals', 'fetchCupProgress', 'fetchGoalEvents'];
+
+/**
+ * Resolve a comma-separated provider list ("wikipedia,api-football").
+ * @param {string} spec
+ * @returns {Array<object>} providers in fallback order
+ */
+function resolveProviders(spec) {
+    const names = String(spec || '').split(',').map(s => s.trim()).filter(Boolean);
+    if (names.length === 0) throw new Error('No data provider given');
+    return names.map(name => {
+        const provider = PROVIDERS[name];
+        if (!provider) {
+            throw new Error(`Unknown data provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+        }
+        return provider;
+    });
+}
+
+/**
+ * Run one interface method across a provider chain with fallback.
+ * A provider that throws is skipped; entities it would have covered are
+ * filled by the next provider in the chain.
+ *
+ * @param {Array<object>} providers
+ * @param {string} method - One of PROVIDER_METHODS
+ * @param {object} ctx
+ * @param {string[]} entities - Roster names this method should cover
+ * @param {object} [options]
+ * @param {boolean} [options.exhaustive] - Ask every provider even when earlier ones
+ *   covered everything (needed to reconcile sources against each other)
+ * @returns {Promise<{ merged: object, bySource: object }>}
+ *   merged: { entity: { value, sources, provider } }
+ *   bySource: { providerName: rawResult } — every provider's own answer
+ */
+async function collectFromChain(providers, method, ctx, entities, options = {}) {
+    const merged = {};
+    const bySource = {};
+
+    for (const provider of providers) {
+        const missing = entities.filter(e => !(e in merged));
+        if (missing.length === 0 && !options.exhaustive) break;
+
+        let result;
+        try {
+            result = await provider[method](ctx);
+        } catch (err) {
+            console.log(`   ❌ ${provider.name}.${method}: ${err.message}`);
+            continue;
+        }
+        bySource[provider.name] = result;
+
+        let filled = 0;
+        for (const entity of missing) {
+            if (result[entity]) {
+                merged[entity] = { ...result[entity], provider: provider.name };
+                filled++;
+            }
+        }
+        if (provider !== providers[0] && filled > 0) {
+            console.log(`   ↳ ${provider.name} filled ${filled} missing entr${filled === 1 ? 'y' : 'ies'}`);
+        }
+    }
+
+    return { merged, bySource };
+}
+
+module.exports = {
+    PROVIDERS,
+    PROVIDER_METHODS,
+    resolveProviders,
+    collectFromChain,
+};
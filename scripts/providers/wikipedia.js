@@ -0,0 +1,1493 @@
+/**
+ * Soccer Pool Tracker — Wikipedia Data Provider
+ *
+ * Scrapes current-season standings and player goals from Wikipedia.
+ *
+ * Data Sources:
+ *   - League standings: "<season> <League>" Wikipedia articles → standings table
+ *     (roster teams in none of them: league from the club season page infobox)
+ *   - Player goals: Same articles → "Top scorers/goalscorers" table,
+ *     then club season pages (every stint) for roster players not listed
+ *     there or who changed clubs mid-season
+ *   - UEFA standings: "<season> UEFA Champions/Europa/Conference League" articles
+ *     (league-phase table); UEFA cup milestones from their "... knockout phase"
+ *     articles, which carry the semi-final and final football boxes
+ *   - Goal events: club season pages (one per club stint) → match football boxes
+ *   - Cup progress: "<season> <Cup>" articles → semi-final and final football boxes
+ *
+ * Article titles, name aliases and club stints come from data/sources.json;
+ * titles are templated on the season, which comes from pool_metadata.season.
+ * Pages go through lib/http.js (timeouts, retries, a few at a time with a
+ * polite gap between requests) and are memoized for the run, so league
+ * pages shared by standings and scorers are downloaded once. Across runs,
+ * lib/page-cache.js keeps every page on disk and asks Wikipedia whether it
+ * changed; parser output for unchanged pages is reused (see parsePage).
+ */
+
+const cheerio = require('cheerio');
+const { getUefaCupBonus } = require('../../js/rules-engine.js');
+const { loadSources, seasonTitle, wikiUrl, wikiPageUrl } = require('../lib/sources');
+const { normalizeName, matchName } = require('../lib/matching');
+const { createFetcher } = require('../lib/http');
+const { createPageCache, sourceVersion } = require('../lib/page-cache');
+
+const REQUEST_DELAY = 1000; // minimum gap between request starts to Wikipedia
+const CONCURRENCY = 3;      // pages in flight at once
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) SoccerPoolTracker/1.0';
+
+// Club season page sections whose matches never count
+const FRIENDLY_PATTERN = /friendl|pre-season|preseason/i;
+
+// ══════════════════════════════════════════════════════════════════
+// WIKIPEDIA PAGES — from data/sources.json
+// ══════════════════════════════════════════════════════════════════
+
+// sources.json and the tables derived from it (see configure)
+let SOURCES;
+let TEAM_ALIASES;
+let PLAYER_ALIASES;
+let PLAYER_STINTS;
+let CLUB_SEASON_PAGES;
+
+// Article titles are sources.json templates ("{season} Premier League"),
+// resolved against the run's season (pool_metadata.season).
+
+/**
+ * League articles (standings + top scorers). Leagues listed without a
+ * Wikipedia page (e.g. the EFL Championship) are API-Football only.
+ * @param {string} season
+ * @returns {Array<{ name: string, url: string, profile?: string }>}
+ */
+function leaguePages(season) {
+    return Object.entries(SOURCES.leagues)
+        .filter(([, league]) => league.wikipedia)
+        .map(([name, league]) => ({ name, url: wikiPageUrl(league.wikipedia, season), profile: league.wikipedia_profile }));
+}
+
+// How a league's article lays out its points (sources.json `wikipedia_profile`, default 'standard').
+//   standard:  one league table; the first Pts table is the one
+//   split_*:   a regular-season table, then the league splits into play-off
+//              groups (championship round, Europe play-offs, ...) that start
+//              from the regular-season points — in full, or halved and rounded up
+const LEAGUE_PROFILES = {
+    standard: { split: false },
+    split_full: { split: true, carry_over: 'full' },
+    split_halved: { split: true, carry_over: 'halved' },
+};
+
+// Headings of the post-split group tables on split-season league articles
+const PLAYOFF_HEADING_PATTERN = /play-?offs?|championship round|relegation round|(championship|relegation|europe) group/i;
+
+/**
+ * UEFA competition articles: the season article (league phase) and the
+ * one with the knockout rounds' match boxes. Season articles only show the
+ * knockout rounds as a bracket, so without a `wikipedia_knockout` title the
+ * season article is read and usually yields no milestones.
+ * @param {string} season
+ * @returns {Array<{ name: string, competition: string, url: string, knockoutUrl: string }>}
+ */
+function uefaPages(season) {
+    return Object.entries(SOURCES.uefa).map(([name, comp]) => ({
+        name,
+        competition: comp.competition,
+        url: wikiPageUrl(comp.wikipedia, season),
+        knockoutUrl: wikiPageUrl(comp.wikipedia_knockout || comp.wikipedia, season),
+    }));
+}
+
+/**
+ * Domestic cup season articles (knockout rounds → cup milestones).
+ * @param {string} season
+ * @returns {Array<{ name: string, url: string }>}
+ */
+function cupPages(season) {
+    return Object.entries(SOURCES.cups).map(([name, cup]) => ({ name, url: wikiPageUrl(cup.wikipedia, season) }));
+}
+
+// ══════════════════════════════════════════════════════════════════
+// NAME MATCHING — Map Wikipedia names to roster names
+// ══════════════════════════════════════════════════════════════════
+
+/**
+ * Build a name → value lookup from one of the sources.json tables.
+ * @param {object} table
+ * @param {Function} fn - (entry, name) → value
+ * @returns {object}
+ */
+function byName(table, fn) {
+    return Object.fromEntries(Object.entries(table).map(([name, entry]) => [name, fn(entry, name)]));
+}
+
+/**
+ * Load a sources.json into the provider's lookup tables.
+ * @param {object} sources
+ */
+function useSources(sources) {
+    SOURCES = sources;
+    TEAM_ALIASES = byName(sources.teams, (team, name) => team.aliases || [name]);
+    PLAYER_ALIASES = byName(sources.players, (player, name) => player.aliases || [name]);
+
+    // Player → club stints this season, oldest first. Each stint is a club season
+    // page plus the dates the player was there (`from` inclusive, `until`
+    // exclusive, YYYY-MM-DD); an open end means the start or end of the season.
+    PLAYER_STINTS = byName(sources.players, player => player.stints || []);
+
+    // Club season page templates for roster teams outside the league pages whose
+    // title isn't "<season> <Team> F.C. season" / "... FC season" (see clubSeasonPages)
+    CLUB_SEASON_PAGES = byName(sources.teams, team => team.season_page);
+}
+
+// Season articles linked from a club infobox that are not the club's league
+const NON_LEAGUE_PATTERN = /cup|pokal|coupe|copa|coppa|ta[çc]a|shield|troph|champions league|europa|conference league|play-?offs?/i;
+
+// ══════════════════════════════════════════════════════════════════
+// HTTP FETCHING
+// ══════════════════════════════════════════════════════════════════
+
+const fetcher = createFetcher({
+    concurrency: CONCURRENCY,
+    hostDelay: REQUEST_DELAY,
+    headers: { 'User-Agent': USER_AGENT },
+    log: line => console.log(`   ${line.replace('https://en.wikipedia.org/wiki/', '')}`),
+});
+// Saved parser output is only reused while the parsing code is unchanged
+const pageCache = createPageCache(fetcher, { version: sourceVersion([__filename, require.resolve('../lib/matching')]) });
+let pageSource = pageCache; // { get, parsePage }: live by default, or a recording (see configure)
+const pageMemo = new Map(); // url → Promise<page>, per run
+
+/**
+ * Point the provider at a sources.json and/or a page source. At load it
+ * reads data/sources.json and fetches live through the page cache; a
+ * recorded run (lib/recording.js) swaps in its own copies of both.
+ * @param {object} [options]
+ * @param {object} [options.sources] - Parsed sources.json
+ * @param {{ get: Function, parsePage: Function }} [options.pages] - Same interface as lib/page-cache.js
+ */
+function configure({ sources, pages } = {}) {
+    if (sources) useSources(sources);
+    if (pages) pageSource = pages;
+    pageMemo.clear();
+}
+
+/**
+ * Fetch a page once per run through the page source. Live, that is the
+ * shared fetcher (timeouts, retries, redirect cap, bounded concurrency and
+ * per-host pacing: see lib/http.js), conditionally if the page cache has a copy.
+ * @param {string} url
+ * @returns {Promise<{ url: string, html: string, unchanged: boolean }>}
+ */
+function loadPage(url) {
+    if (!pageMemo.has(url)) pageMemo.set(url, pageSource.get(url));
+    return pageMemo.get(url);
+}
+
+/**
+ * A page's HTML.
+ * @param {string} url
+ * @returns {Promise<string>} HTML
+ */
+async function getPage(url) {
+    return (await loadPage(url)).html;
+}
+
+/**
+ * Run a parser over a page. A page Wikipedia reports unchanged since the
+ * last run isn't parsed again: the output saved with it is returned.
+ * @param {string} url
+ * @param {Function} parser - (html, ...args) → JSON-serializable output
+ * @param {...*} args - Extra parser arguments (part of the saved output's key)
+ * @returns {Promise<*>}
+ */
+async function parsePage(url, parser, ...args) {
+    const page = await loadPage(url);
+    return pageSource.parsePage(page, [parser.name, ...args], () => parser(page.html, ...args));
+}
+
+/**
+ * Start fetching pages a loop is about to read one by one, so the pool can
+ * work on several at once. Failures surface when the loop awaits getPage.
+ * @param {string[]} urls
+ */
+function prefetch(urls) {
+    for (const url of urls) getPage(url).catch(() => {});
+}
+
+// ══════════════════════════════════════════════════════════════════
+// NAME MATCHING
+// ══════════════════════════════════════════════════════════════════
+
+function matchTeamName(wikiName) {
+    // Clean up wiki artifacts: styles, footnotes, "(C)" / "(C, Q)" markers
+    const cleaned = wikiName
+        .replace(/\.mw-parser-output[\s\S]*?(?=[A-Z])/g, '')
+        .replace(/\[.*?\]/g, '')
+        .replace(/\s*\([a-z](, ?[a-z])*\)$/i, '')
+        .trim();
+    return matchName(cleaned, TEAM_ALIASES, 'team');
+}
+
+/**
+ * Match-report scorer lists often show only a surname ("Saka").
+ * Resolve it against a short list of candidates, never the whole roster.
+ * @param {string} text
+ * @param {string[]} candidates - Roster players expected on this page
+ * @returns {string|null}
+ */
+function matchSurname(text, candidates) {
+    const textNorm = normalizeName(text);
+    const hits = candidates.filter(rosterName => [rosterName, ...(PLAYER_ALIASES[rosterName] || [])]
+        .some(alias => normalizeName(alias).split(' ').pop() === textNorm));
+    return hits.length === 1 ? hits[0] : null;
+}
+
+function matchPlayerName(wikiName) {
+    return matchName(wikiName, PLAYER_ALIASES, 'player');
+}
+
+// ══════════════════════════════════════════════════════════════════
+// HTML PARSERS
+// ══════════════════════════════════════════════════════════════════
+
+/**
+ * Parse league standings table from Wikipedia.
+ * Looks for tables with 'Pts' column header.
+ * Returns: { teamName: points }
+ */
+function parseStandings(html) {
+    const $ = cheerio.load(html);
+    let standings = {};
+
+    $('table.wikitable').each((_, table) => {
+        standings = { ...standings, ...parseStandingsTable($, $(table)) };
+
+        // If we found data, stop looking at more tables
+        if (Object.keys(standings).length > 5) return false;
+    });
+
+    return standings;
+}
+
+/**
+ * Read one standings table. Tables without a 'Pts' column give {}.
+ * Returns: { teamName: points }
+ */
+function parseStandingsTable($, $table) {
+    const standings = {};
+    const headers = [];
+    $table.find('tr').first().find('th').each((__, th) => {
+        headers.push($(th).text().trim());
+    });
+
+    if (!headers.includes('Pts')) return standings;
+
+    // Find Team and Pts column indices
+    let teamIdx = headers.indexOf('Team');
+    if (teamIdx === -1) teamIdx = 1; // fallback to second column
+    const ptsIdx = headers.indexOf('Pts');
+
+    $table.find('tbody tr, tr').slice(1).each((__, row) => {
+        const $row = $(row);
+        if ($row.find('th').length > 2) return; // skip header rows
+
+        const cells = $row.find('th, td');
+        const teamCell = cells.eq(teamIdx);
+        const ptsCell = cells.eq(ptsIdx);
+
+        // Get team name — look for link text first, then plain text
+        let teamName = teamCell.find('a').last().text().trim() || teamCell.text().trim();
+        // Clean up Wikipedia formatting artifacts
+        teamName = teamName.replace(/\(.\)$/, '').replace(/\[.*?\]/g, '').trim();
+
+        const ptsText = ptsCell.text().replace(/[^0-9]/g, '').trim();
+        const pts = parseInt(ptsText, 10);
+
+        if (teamName && !isNaN(pts)) {
+            standings[teamName] = pts;
+        }
+    });
+
+    return standings;
+}
+
+/**
+ * Parse a split-season league article: the regular-season table plus the
+ * play-off group tables that follow the split. Play-off tables include the
+ * carried-over points, so what a team earned in the play-offs is its group
+ * total minus the carry-over. Before the split every team is on its
+ * regular-season points.
+ *
+ * Returns: { teamName: { points, split: { regular, carried, playoff } } }
+ *   points is the league's own (official) total
+ */
+function parseSplitStandings(html, profile) {
+    const $ = cheerio.load(html);
+    let regular = {};
+    const playoffs = {};
+    let heading = '';
+
+    $('h2, h3, h4, table.wikitable').each((_, el) => {
+        if (el.tagName !== 'table') {
+            heading = $(el).find('.mw-headline').text().trim() || $(el).text().replace(/\[edit\]/g, '').trim();
+            return;
+        }
+        const table = parseStandingsTable($, $(el));
+        if (Object.keys(table).length === 0) return;
+        if (PLAYOFF_HEADING_PATTERN.test(heading)) Object.assign(playoffs, table);
+        else if (Object.keys(regular).length === 0) regular = table;
+    });
+
+    const standings = {};
+    for (const [team, regularPts] of Object.entries(regular)) {
+        if (!(team in playoffs)) {
+            standings[team] = { points: regularPts, split: { regular: regularPts, carried: regularPts, playoff: 0 } };
+            continue;
+        }
+        const carried = profile.carry_over === 'halved' ? Math.ceil(regularPts / 2) : regularPts;
+        standings[team] = {
+            points: playoffs[team],
+            split: { regular: regularPts, carried, playoff: Math.max(0, playoffs[team] - carried) },
+        };
+    }
+    return standings;
+}
+
+/**
+ * Find the league a club plays in this season from its season page infobox.
+ * Infoboxes either label the row with the league's season article
+ * ("[2025–26 EFL Championship|Championship] | 3rd") or use a plain "League"
+ * row linking to it; cup and UEFA rows are skipped.
+ *
+ * Returns: { name, url } or null
+ */
+function parseSeasonLeague(html) {
+    const $ = cheerio.load(html);
+    let league = null;
+
+    $('table.infobox tr').each((_, row) => {
+        const $row = $(row);
+        const label = $row.find('th').first().text().trim();
+        const $link = /^league$/i.test(label) ? $row.find('td a').first() : $row.find('th a').first();
+        const title = linkTitle($link.attr('href'));
+        if (!/^\d{4}[–-]\d{2,4} /.test(title) || NON_LEAGUE_PATTERN.test(title)) return;
+
+        league = { name: $link.text().trim() || title, url: wikiUrl(title) };
+        return false;
+    });
+
+    return league;
+}
+
+/**
+ * Article title an internal link points at ("/wiki/SSC_Napoli" or
+ * "./SSC_Napoli" → "SSC Napoli").
+ * @param {string} [href]
+ * @returns {string}
+ */
+function linkTitle(href) {
+    return decodeURIComponent((href || '').split('/wiki/').pop().replace(/^\.\//, '').split('#')[0]).replace(/_/g, ' ');
+}
+
+/**
+ * Read a player's current club from their article's infobox ("Current
+ * team" row). On a loan the row starts with the loan club, which is where
+ * the player's goals count.
+ *
+ * Returns: { name, title } (title = club article) or null
+ */
+function parseCurrentClub(html) {
+    const $ = cheerio.load(html);
+    let club = null;
+
+    $('table.infobox tr').each((_, row) => {
+        const $row = $(row);
+        if (!/^current (team|club)$/i.test($row.find('th').first().text().trim())) return;
+        const $link = $row.find('td a').first();
+        if (!$link.length) return;
+        club = { name: $link.text().trim(), title: linkTitle($link.attr('href')) };
+        return false;
+    });
+
+    return club;
+}
+
+/**
+ * Find the season article a club article links to ("Current season" in
+ * the infobox, or the first "<season> ... season" link on the page).
+ *
+ * Returns: article title or null
+ */
+function parseClubSeasonLink(html, season) {
+    const $ = cheerio.load(html);
+    const prefix = `${seasonTitle(season)} `;
+    const titles = $links => $links.toArray()
+        .map(a => linkTitle($(a).attr('href')))
+        .filter(linked => linked.startsWith(prefix) && / season$/.test(linked));
+
+    return titles($('table.infobox a'))[0] || titles($('a'))[0] || null;
+}
+
+/**
+ * Parse top scorers table from Wikipedia.
+ * Looks for tables near "Top scorers" or "Top goalscorers" headings.
+ * Returns: { playerName: goals }
+ */
+function parseTopScorers(html) {
+    return Object.fromEntries(Object.entries(parseScorerRows(html)).map(([name, row]) => [name, row.goals]));
+}
+
+/**
+ * Top scorers with the clubs each row names (a Club/Team column; a player
+ * who moved within the competition may list several clubs in one row).
+ * Returns: { playerName: { goals, clubs: [clubName] } }, clubs empty when
+ * the table has no club column
+ */
+function parseScorerRows(html) {
+    const $ = cheerio.load(html);
+    const scorers = {};
+
+    // Strategy: find tables with Player/Goals columns
+    $('table.wikitable').each((_, table) => {
+        const $table = $(table);
+        const headers = [];
+        $table.find('tr').first().find('th').each((__, th) => {
+            // Clean header — remove footnote references
+            const text = $(th).text().replace(/\[.*?\]/g, '').trim();
+            headers.push(text);
+        });
+
+        // Check for scorer table markers
+        const hasPlayer = headers.some(h => h === 'Player' || h === 'Name');
+        const hasGoals = headers.some(h => h === 'Goals' || h === 'Gls' || h.startsWith('Goals'));
+        const hasRank = headers.some(h => h === 'Rank' || h === '#' || h === 'Pos');
+
+        if (!hasPlayer || !hasGoals) return;
+
+        const playerIdx = headers.findIndex(h => h === 'Player' || h === 'Name');
+        const goalsIdx = headers.findIndex(h => h === 'Goals' || h === 'Gls' || h.startsWith('Goals'));
+        const clubIdx = headers.findIndex(h => h === 'Club' || h === 'Team');
+
+        let lastGoals = 0; // for rows whose goals cell can't be read
+        const spanned = []; // column → { $cell, rows } still covered by a rowspan from above
+
+        $table.find('tr').slice(1).each((__, row) => {
+            const $row = $(row);
+            const cells = $row.find('th, td');
+
+            // Tied ranks share rowspanned Rank and Goals cells, so the rows
+            // below have fewer cells: line them up with the header columns
+            const columns = [];
+            const fillSpanned = col => {
+                while (spanned[col]?.rows > 0) {
+                    columns[col] = spanned[col].$cell;
+                    spanned[col].rows--;
+                    col++;
+                }
+                return col;
+            };
+            let col = 0;
+            cells.each((___, cell) => {
+                col = fillSpanned(col);
+                const $cell = $(cell);
+                columns[col] = $cell;
+                const rows = parseInt($cell.attr('rowspan'), 10);
+                if (rows > 1) spanned[col] = { $cell, rows: rows - 1 };
+                col++;
+            });
+            for (; col < spanned.length; col++) col = fillSpanned(col);
+
+            let playerName = '';
+            const playerCell = columns[playerIdx];
+            if (playerCell) playerName = playerCell.find('a').first().text().trim() || playerCell.text().trim();
+
+            // Get goals — try the expected column position
+            const goalsCell = columns[goalsIdx] || cells.last();
+            const goalsText = goalsCell.text().replace(/[^0-9]/g, '').trim();
+            let goals = parseInt(goalsText, 10);
+
+            // If no goals found, use last known goals value
+            if (isNaN(goals) && playerName) {
+                goals = lastGoals;
+            }
+            if (!isNaN(goals)) {
+                lastGoals = goals;
+            }
+
+            // If player name is empty, try the second cell
+            if (!playerName) {
+                const fallback = cells.eq(1);
+                playerName = fallback.find('a').first().text().trim() || fallback.text().trim();
+            }
+
+            if (playerName && !isNaN(goals) && goals > 0) {
+                // Some players might appear in multiple competitions — sum their goals
+                const entry = scorers[playerName] || { goals: 0, clubs: [] };
+                entry.goals += goals;
+                const clubCell = clubIdx >= 0 && columns[clubIdx];
+                if (clubCell) {
+                    clubCell.find('br').replaceWith('\n');
+                    for (const club of clubCell.text().replace(/\[.*?\]/g, '').split('\n')) {
+                        if (club.trim() && !entry.clubs.includes(club.trim())) entry.clubs.push(club.trim());
+                    }
+                }
+                scorers[playerName] = entry;
+            }
+        });
+
+        // If we found scorers, done (take the first matching table)
+        if (Object.keys(scorers).length > 0) return false;
+    });
+
+    return scorers;
+}
+
+/**
+ * Parse goalscorers from a team season page on Wikipedia.
+ * 
+ * Two fundamentally different table types exist:
+ *   TYPE A — Dedicated goalscorer table (has Rank/Rk. column):
+ *     Rank | No. | Pos. | Player | League | Cup | ... | Total
+ *     Here "Total" = total GOALS. Use the Total column directly.
+ *   
+ *   TYPE B — Squad appearances table (no Rank column):
+ *     No. | Pos | Nat | Player | Total | League(Apps|Goals) | Cup(Apps|Goals) | ...
+ *     Here "Total" = total APPEARANCES. Goals are embedded per-competition.
+ *     We must sum the Goals sub-columns for each competition.
+ *
+ * Returns: { playerName: totalGoals }
+ */
+function parseTeamGoalscorers(html, targetPlayerNames) {
+    const $ = cheerio.load(html);
+    const scorers = {};
+    const normTargets = (targetPlayerNames || []).map(n => normalizeName(n));
+
+    // Helper: check if a table row contains sub-headers with Apps|Goals pattern
+    function detectAppsGoalsPattern($table) {
+        // Check second row for Apps/Goals sub-headers
+        const secondRow = $table.find('tr').eq(1);
+        const subText = secondRow.text().toLowerCase();
+        return subText.includes('apps') && subText.includes('goals');
+    }
+
+    // Helper: find the "Total" column index (supports aliases)
+    function findTotalColumn(headers) {
+        let idx = headers.indexOf('Total');
+        if (idx >= 0) return idx;
+        idx = headers.findIndex(h => /^Season total$/i.test(h));
+        if (idx >= 0) return idx;
+        idx = headers.findIndex(h => /^Career club total$/i.test(h));
+        return idx; // returns -1 if not found
+    }
+
+    // Helper: parse a dedicated goalscorer table (Type A)
+    function parseGoalscorerTable($table, headers, headerRowIdx) {
+        headerRowIdx = headerRowIdx || 0;
+        const result = {};
+        const playerIdx = headers.findIndex(h => /^(Player|Name)$/i.test(h));
+        const totalIdx = findTotalColumn(headers);
+        if (playerIdx < 0 || totalIdx < 0) return result;
+
+        // Detect if this table has 2x cell inflation (sub-columns)
+        // This happens when competition headers span 2 sub-cells (Apps|Goals)
+        const firstDataRow = $table.find('tr').eq(1 + headerRowIdx);
+        const firstDataCells = firstDataRow.find('th, td').length;
+        const cellMultiplier = firstDataCells > headers.length * 1.5 ? 2 : 1;
+
+        $table.find('tr').slice(1 + headerRowIdx).each((__, row) => {
+            const cells = $(row).find('th, td');
+            if (cells.length < 3) return;
+
+            const firstText = cells.first().text().trim();
+            if (['Total', 'Totals'].includes(firstText)) return;
+
+            // Handle rowspan offsets AND cell multiplier
+            const offset = Math.max(0, headers.length - cells.length);
+            let effPlayerIdx, effTotalIdx;
+
+            if (cellMultiplier > 1 && cells.length > headers.length) {
+                // 2x cell inflation: info columns (before competitions) are 1:1,
+                // competition columns are 2:1 (apps+goals)
+                const infoCols = playerIdx + 1; // columns before and including Player
+                effPlayerIdx = playerIdx;
+                // After info cols, each header becomes 2 cells
+                effTotalIdx = infoCols + (totalIdx - infoCols) * 2;
+            } else {
+                effPlayerIdx = Math.min(Math.max(0, playerIdx - offset), cells.length - 1);
+                effTotalIdx = Math.min(Math.max(0, totalIdx - offset), cells.length - 1);
+            }
+
+            const playerCell = cells.eq(effPlayerIdx);
+            let name = playerCell.find('a').first().text().trim() || playerCell.text().trim();
+            name = name.replace(/\[.*?\]/g, '').replace(/\(.*?\)/g, '').replace(/\*$/, '').trim();
+            if (!name || name.length < 2) return;
+
+            const goals = parseInt(cells.eq(effTotalIdx).text().replace(/[^0-9]/g, ''), 10);
+            if (!isNaN(goals) && goals > 0) {
+                result[name] = goals;
+            }
+        });
+        return result;
+    }
+
+    // Helper: parse a squad appearances table (Type B)
+    // In these tables, each competition has two sub-columns: Apps | Goals
+    // The "Total" header spans two sub-columns too: total Apps | total Goals
+    function parseSquadAppearancesTable($table, headers, headerRowIdx) {
+        headerRowIdx = headerRowIdx || 0;
+        const result = {};
+        const playerIdx = headers.findIndex(h => /^(Player|Name)$/i.test(h));
+        if (playerIdx < 0) return result;
+
+        // Detect if this has Apps|Goals sub-rows by checking second row
+        const hasSubHeaders = detectAppsGoalsPattern($table);
+        if (!hasSubHeaders) {
+            // No Apps|Goals sub-headers — probably not a squad table
+            return result;
+        }
+
+        // The data rows start at index 2 + headerRowIdx offset
+        $table.find('tr').slice(2 + headerRowIdx).each((__, row) => {
+            const cells = $(row).find('th, td');
+            if (cells.length < 5) return;
+
+            const firstText = cells.first().text().trim();
+            if (['Goalkeepers', 'Defenders', 'Midfielders', 'Forwards', 'Total', 'Totals'].includes(firstText)) return;
+
+            // Player cell is at the expected position
+            const playerCell = cells.eq(Math.min(playerIdx, cells.length - 1));
+            let name = playerCell.find('a').first().text().trim() || playerCell.text().trim();
+            name = name.replace(/\[.*?\]/g, '').replace(/\(.*?\)/g, '').replace(/\*$/, '').trim();
+            if (!name || name.length < 2) return;
+
+            // Goals are in every other column after the player + info columns
+            // Pattern: No | Pos | Nat | Player | Total(Apps) | Total(Goals) | League(Apps) | League(Goals) | ...
+            // OR:      No | Pos | Nat | Player | League(Apps) | League(Goals) | Cup(Apps) | Cup(Goals) | ... | Total(Apps) | Total(Goals)
+            // We need to find the "Total" goals sub-column
+
+            // Strategy: sum ALL even-indexed cells after the player metadata columns
+            // (every other cell is a Goals column)
+            // Better strategy: find the total by checking header positions
+
+            // The Total header index tells us where total apps are. Total goals is at position totalIdx + 1 equivalent
+            const totalHeaderIdx = findTotalColumn(headers);
+            if (totalHeaderIdx >= 0) {
+                // In the sub-row layout, each header becomes 2 cells
+                // Cells before player metadata: the info columns (No, Pos, Nat) each take 1 cell
+                // After player: each competition header becomes 2 cells (Apps|Goals) 
+                // Count info columns (before and including Player)
+                const infoCols = playerIdx + 1; // e.g. No(0), Pos(1), Nat(2), Player(3) = 4 info cols
+                // Count competition columns after player
+                const compIdx = totalHeaderIdx - infoCols; // index among competition headers
+                // In data row, data starts after infoCols
+                // Each competition occupies 2 cells (apps, goals)
+                const totalAppsCell = infoCols + (compIdx * 2);
+                const totalGoalsCell = totalAppsCell + 1;
+
+                if (totalGoalsCell < cells.length) {
+                    const goals = parseInt(cells.eq(totalGoalsCell).text().replace(/[^0-9]/g, ''), 10);
+                    if (!isNaN(goals) && goals > 0) {
+                        result[name] = goals;
+                        return;
+                    }
+                }
+            }
+
+            // Fallback: sum the goals from each competition
+            // Goals are in odd-indexed cells after info columns (Apps=even, Goals=odd)
+            let totalGoals = 0;
+            const infoCols2 = playerIdx + 1;
+            for (let ci = infoCols2 + 1; ci < cells.length; ci += 2) {
+                const g = parseInt(cells.eq(ci).text().replace(/[^0-9]/g, ''), 10);
+                if (!isNaN(g)) totalGoals += g;
+            }
+            if (totalGoals > 0) {
+                result[name] = totalGoals;
+            }
+        });
+        return result;
+    }
+
+    // Collect all candidate tables
+    const candidates = [];
+    $('table.wikitable').each((tableIdx, table) => {
+        const $table = $(table);
+        let headers = [];
+        let headerRowIdx = 0; // track which row has the real headers
+
+        $table.find('tr').first().find('th').each((__, th) => {
+            let text = $(th).text()
+                .replace(/\.mw-parser-output[\s\S]*?(?=[A-Z])/g, '')
+                .replace(/\[.*?\]/g, '')
+                .trim();
+            headers.push(text);
+        });
+
+        // Detect title rows: if first row has only 1-2 headers (spanning title),
+        // the real column headers are in the SECOND row
+        if (headers.length <= 2) {
+            const row2Headers = [];
+            $table.find('tr').eq(1).find('th').each((__, th) => {
+                let text = $(th).text()
+                    .replace(/\.mw-parser-output[\s\S]*?(?=[A-Z])/g, '')
+                    .replace(/\[.*?\]/g, '')
+                    .trim();
+                row2Headers.push(text);
+            });
+            if (row2Headers.length > headers.length) {
+                headers = row2Headers;
+                headerRowIdx = 1;
+            }
+        }
+
+        const hasPlayer = headers.some(h => /^(Player|Name)$/i.test(h));
+        const hasTotal = findTotalColumn(headers) >= 0;
+        // Support Rk., Rank, #
+        const hasRank = headers.some(h => /^(Rank|Rk\.?|#)$/i.test(h));
+        const hasGoals = headers.some(h => /^(Goals|Gls)$/i.test(h));
+        const hasPos = headers.some(h => /^Pos\.?$/i.test(h));
+
+        if (!hasPlayer) return; // must have Player/Name column
+        if (!hasTotal && !hasGoals) return; // must have Total or Goals column
+
+        // Determine table type
+        const isGoalscorerTable = hasRank; // Rank column → dedicated goalscorer table
+        const priority = isGoalscorerTable ? 10 : (hasPos ? 5 : 1);
+
+        candidates.push({ $table, headers, tableIdx, priority, isGoalscorerTable, hasTotal, hasGoals, headerRowIdx });
+    });
+
+    // Sort: goalscorer tables first
+    candidates.sort((a, b) => b.priority - a.priority);
+
+    for (const { $table, headers, isGoalscorerTable, headerRowIdx } of candidates) {
+        let tableScorers;
+
+        if (isGoalscorerTable) {
+            tableScorers = parseGoalscorerTable($table, headers, headerRowIdx);
+        } else {
+            // Try as squad appearances table first, then as simple table
+            tableScorers = parseSquadAppearancesTable($table, headers, headerRowIdx);
+            if (Object.keys(tableScorers).length === 0) {
+                // Fallback: treat as goalscorer table (use Total directly)
+                tableScorers = parseGoalscorerTable($table, headers, headerRowIdx);
+            }
+        }
+
+        if (Object.keys(tableScorers).length === 0) continue;
+
+        // Merge new scorers (don't overwrite existing — first found wins)
+        for (const [name, goals] of Object.entries(tableScorers)) {
+            if (!(name in scorers)) {
+                scorers[name] = goals;
+            }
+        }
+
+        // Check if we've found all target players
+        if (normTargets.length > 0) {
+            const foundTargets = normTargets.filter(t => {
+                return Object.keys(scorers).some(wikiName => {
+                    const normWiki = normalizeName(wikiName);
+                    return normWiki.includes(t) || t.includes(normWiki);
+                });
+            });
+            if (foundTargets.length === normTargets.length) break; // all found
+        }
+    }
+
+    return scorers;
+}
+
+/**
+ * A football box's date as YYYY-MM-DD: the ISO date in its hidden
+ * sortable span, else the visible text read as a UTC date. Date.parse
+ * makes a date out of almost anything ("Matchday 7" is July 2001), so
+ * text without a year isn't read at all.
+ * @param {string} text - Text of the box's .fdate cell
+ * @returns {string|null} null when it isn't a date (e.g. "TBD")
+ */
+function parseBoxDate(text) {
+    const iso = text.match(/\d{4}-\d{2}-\d{2}/);
+    if (iso) return iso[0];
+    if (!/\b\d{4}\b/.test(text)) return null;
+    const time = Date.parse(`${text.trim()} UTC`);
+    return Number.isNaN(time) ? null : new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse match-level goals from a club season page's football boxes.
+ * The competition is the heading a box sits under ("Premier League",
+ * "FA Cup", ...); boxes under pre-season/friendly headings are skipped.
+ * Penalty shootout kicks are listed in a separate "Penalties" row.
+ *
+ * Returns: [{ scorer, date, minute, stoppage, type, competition }]
+ *   scorer is the linked article title when there is one, else the text
+ */
+function parseMatchGoals(html) {
+    const $ = cheerio.load(html);
+    const goals = [];
+    let section = '';
+    let subsection = '';
+
+    const headingText = el => $(el).find('.mw-headline').text().trim()
+        || $(el).text().replace(/\[edit\]/g, '').trim();
+
+    $('h2, h3, .footballbox').each((_, el) => {
+        if (el.tagName === 'h2') { section = headingText(el); subsection = ''; return; }
+        if (el.tagName === 'h3') { subsection = headingText(el); return; }
+
+        const competition = (/^competitions$/i.test(section) && subsection) ? subsection : section;
+        if (FRIENDLY_PATTERN.test(section) || FRIENDLY_PATTERN.test(competition)) return;
+
+        const $box = $(el);
+        const parsed = parseBoxDate($box.find('.fdate').text());
+        if (!parsed) return;
+
+        $box.find('tr').each((__, row) => {
+            const $row = $(row);
+            const isShootout = $row.find('th').toArray().some(th => /^penalties$/i.test($(th).text().trim()));
+
+            $row.find('.fhgoal, .fagoal').find('li').each((___, li) => {
+                const $li = $(li);
+                const $link = $li.find('a').first();
+                const scorer = ($link.attr('title') || $link.text() || $li.text().split(/\d/)[0]).trim();
+                if (!scorer) return;
+
+                if (isShootout) {
+                    // Kicks carry a scored/missed icon; only scored kicks count as goals
+                    if (/missed|saved/i.test($li.html())) return;
+                    goals.push({ scorer, date: parsed, minute: null, stoppage: 0, type: 'penalty_shootout', competition });
+                    return;
+                }
+
+                const text = $li.text().replace(/\s+/g, ' ');
+                const minutePattern = /(\d+)(?:\s*\+\s*(\d+))?\s*['′]\s*(\((?:pen|p|o\.?\s?g)\.?\))?/gi;
+                let m;
+                while ((m = minutePattern.exec(text)) !== null) {
+                    const marker = (m[3] || '').toLowerCase();
+                    goals.push({
+                        scorer,
+                        date: parsed,
+                        minute: parseInt(m[1], 10),
+                        stoppage: m[2] ? parseInt(m[2], 10) : 0,
+                        type: marker.includes('o') ? 'own_goal' : marker ? 'penalty' : 'normal',
+                        competition,
+                    });
+                }
+            });
+        });
+    });
+
+    return goals;
+}
+
+// Milestones in ascending order; a team keeps the furthest one it reached
+const MILESTONE_ORDER = ['semifinal', 'runner_up', 'winner'];
+
+/**
+ * Keep the further of two milestones.
+ * @param {string|null} a
+ * @param {string|null} b
+ * @returns {string|null}
+ */
+function furthestMilestone(a, b) {
+    return MILESTONE_ORDER.indexOf(b) > MILESTONE_ORDER.indexOf(a) ? b : a;
+}
+
+/**
+ * Parse knockout progress from a cup season page or a UEFA knockout phase
+ * article. Reads the football boxes under "Semi-finals" and "Final" headings
+ * (brackets and summary tables are skipped):
+ *   - every team in a semi-final box has reached the semifinal
+ *   - both finalists are at least runner_up (reaching the final guarantees it)
+ *   - the final's winner, once it has a score (penalties decide a draw), is winner
+ *
+ * Returns: { wikiTeamName: 'semifinal'|'runner_up'|'winner' }
+ */
+function parseKnockoutProgress(html) {
+    const $ = cheerio.load(html);
+    const progress = {};
+    let round = null;
+
+    const reach = (team, milestone) => {
+        if (team) progress[team] = furthestMilestone(progress[team] || null, milestone);
+    };
+    // The club link, not the flag icon's (which has no text)
+    const teamName = $cell => ($cell.find('a').filter((__, a) => $(a).text().trim()).last().text() || $cell.text())
+        .replace(/\[.*?\]/g, '').trim();
+
+    $('h2, h3, h4, .footballbox').each((_, el) => {
+        if (el.tagName !== 'div') {
+            const heading = ($(el).find('.mw-headline').text() || $(el).text()).replace(/\[edit\]/g, '').trim();
+            if (/^semi[- ]?finals?$/i.test(heading)) round = 'semifinal';
+            else if (/^finals?$/i.test(heading)) round = 'final';
+            else if (el.tagName === 'h2' || /round|quarter|play-?off|group|league phase/i.test(heading)) round = null;
+            return;
+        }
+        if (!round) return;
+
+        const $box = $(el);
+        const home = teamName($box.find('.fhome').first());
+        const away = teamName($box.find('.faway').first());
+        if (round === 'semifinal') {
+            reach(home, 'semifinal');
+            reach(away, 'semifinal');
+            return;
+        }
+
+        reach(home, 'runner_up');
+        reach(away, 'runner_up');
+        const winner = finalWinner($, $box);
+        if (winner === 'home') reach(home, 'winner');
+        if (winner === 'away') reach(away, 'winner');
+    });
+
+    return progress;
+}
+
+/**
+ * Decide a final from its football box: the score, then a shootout.
+ * @returns {'home'|'away'|null} null while the final is unplayed
+ */
+function finalWinner($, $box) {
+    const scoreOf = text => {
+        const m = (text || '').match(/(\d+)\s*[–—-]\s*(\d+)/);
+        return m ? [parseInt(m[1], 10), parseInt(m[2], 10)] : null;
+    };
+    const pick = ([h, a]) => (h > a ? 'home' : a > h ? 'away' : null);
+
+    const scoreText = $box.find('.fscore').first().text();
+    const score = scoreOf(scoreText);
+    if (!score) return null;
+    if (score[0] !== score[1]) return pick(score);
+
+    // Level after extra time: "1–1 (4–3 p)" or a "Penalties" row with the shootout score
+    const inline = scoreText.match(/\((\d+)\s*[–—-]\s*(\d+)\s*p/i);
+    if (inline) return pick([parseInt(inline[1], 10), parseInt(inline[2], 10)]);
+    const penaltyRow = $box.find('tr').filter((__, tr) => /penalties/i.test($(tr).find('th').text())).first();
+    const shootout = scoreOf(penaltyRow.find('th').text());
+    return shootout ? pick(shootout) : null;
+}
+
+/**
+ * Choose each team's UEFA cup milestone across the three competitions.
+ * A team that played the league phase in one competition and continued in
+ * a lower one (e.g. dropped from the UCL into the UEL) is credited with
+ * whichever milestone is worth the larger bonus, and the drop is recorded.
+ *
+ * @param {object} progressByCompetition - { competition: { rosterTeam: milestone } }
+ * @param {object} leaguePhase - { rosterTeam: competition whose league phase it played }
+ * @param {object} [rules] - the run's scoring rules, which set the bonus values
+ * @returns {object} { rosterTeam: { competition, milestone, dropped_from? } }
+ */
+function pickUefaMilestones(progressByCompetition, leaguePhase, rules) {
+    const picked = {};
+    for (const [competition, progress] of Object.entries(progressByCompetition)) {
+        for (const [team, milestone] of Object.entries(progress)) {
+            const candidate = { competition, milestone };
+            if (!picked[team] || getUefaCupBonus(candidate, rules) > getUefaCupBonus(picked[team], rules)) picked[team] = candidate;
+        }
+    }
+    for (const [team, cup] of Object.entries(picked)) {
+        if (leaguePhase[team] && leaguePhase[team] !== cup.competition) cup.dropped_from = leaguePhase[team];
+    }
+    return picked;
+}
+
+// ══════════════════════════════════════════════════════════════════
+// PROVIDER INTERFACE
+// ══════════════════════════════════════════════════════════════════
+
+function pageLabel(url) {
+    return url.split('/wiki/')[1] || url;
+}
+
+/**
+ * Candidate season page URLs for a club, most likely first.
+ * @param {string} team - Roster team name
+ * @param {string} season
+ * @returns {string[]}
+ */
+function clubSeasonPages(team, season) {
+    if (CLUB_SEASON_PAGES[team]) return [wikiPageUrl(CLUB_SEASON_PAGES[team], season)];
+    const prefix = seasonTitle(season);
+    return [`${team} F.C.`, `${team} FC`, team].map(club => wikiUrl(`${prefix} ${club} season`));
+}
+
+/**
+ * Work out which league a roster team plays in this season from its club
+ * season page. Pages that don't exist are skipped.
+ * @param {string} team
+ * @param {string} season
+ * @returns {Promise<{ name: string, url: string }|null>}
+ */
+async function detectLeague(team, season) {
+    for (const url of clubSeasonPages(team, season)) {
+        let html;
+        try {
+            html = await getPage(url);
+        } catch (err) {
+            continue;
+        }
+        const league = parseSeasonLeague(html);
+        if (league) {
+            console.log(`   🔎 ${team}: plays in ${league.name} this season (${pageLabel(url)})`);
+            return league;
+        }
+        console.log(`   ⚠️  ${team}: no league in the ${pageLabel(url)} infobox`);
+        return null;
+    }
+    console.log(`   ⚠️  ${team}: no club season page found`);
+    return null;
+}
+
+/**
+ * Work out a roster player's club season page from their own article:
+ * current club from the infobox, then "<season> <club article> season",
+ * falling back to the season article the club article links to.
+ * The article title is the player's name unless sources.json sets
+ * `wikipedia_article`.
+ *
+ * @param {string} playerName
+ * @param {string} season
+ * @returns {Promise<{ article: string, club?: string, club_article?: string, wikipedia?: string, reason?: string }>}
+ *   `wikipedia` is a sources.json title template; `reason` says why discovery failed
+ */
+async function discoverClubSeasonPage(playerName, season) {
+    const article = SOURCES.players[playerName]?.wikipedia_article || playerName;
+    let html;
+    try {
+        html = await getPage(wikiUrl(article));
+    } catch (err) {
+        return { article, reason: `player article "${article}" not found (${err.message})` };
+    }
+
+    const club = parseCurrentClub(html);
+    if (!club) return { article, reason: `no current team in the "${article}" infobox` };
+
+    const prefix = seasonTitle(season);
+    let title = `${prefix} ${club.title} season`;
+    try {
+        await getPage(wikiUrl(title));
+    } catch (err) {
+        let clubHtml;
+        try {
+            clubHtml = await getPage(wikiUrl(club.title));
+        } catch (clubErr) {
+            return { article, club: club.name, club_article: club.title, reason: `club article "${club.title}" not found (${clubErr.message})` };
+        }
+        title = parseClubSeasonLink(clubHtml, season);
+        if (!title) {
+            return { article, club: club.name, club_article: club.title, reason: `no ${prefix} season article for ${club.title}` };
+        }
+    }
+
+    return { article, club: club.name, club_article: club.title, wikipedia: `{season}${title.slice(prefix.length)}` };
+}
+
+/**
+ * Domestic league points per roster team. Split-season leagues also
+ * report how those points break down (see parseSplitStandings). Teams no
+ * fixed league page lists get their league detected (see detectLeague).
+ * @param {{ season: string, teams: string[] }} ctx
+ * @returns {Promise<object>} { rosterTeam: { value: points, split?, sources: [url] } }
+ */
+async function fetchLeagueStandings(ctx) {
+    const result = {};
+    const leagues = leaguePages(ctx.season);
+    prefetch(leagues.map(p => p.url));
+    for (const league of leagues) {
+        try {
+            const profile = LEAGUE_PROFILES[league.profile || 'standard'];
+            const standings = profile.split
+                ? await parsePage(league.url, parseSplitStandings, profile)
+                : await parsePage(league.url, parseStandings);
+
+            let matched = 0;
+            for (const [wikiName, row] of Object.entries(standings)) {
+                const rosterName = matchTeamName(wikiName);
+                if (rosterName && ctx.teams.includes(rosterName)) {
+                    if (profile.split) {
+                        result[rosterName] = { value: row.points, split: row.split, sources: [league.url] };
+                        console.log(`      ✅ ${rosterName}: ${row.points} pts (regular ${row.split.regular}, carried ${row.split.carried}, play-offs ${row.split.playoff})`);
+                    } else {
+                        result[rosterName] = { value: row, sources: [league.url] };
+                        console.log(`      ✅ ${rosterName}: ${row} pts`);
+                    }
+                    matched++;
+                }
+            }
+            console.log(`   ✅ ${league.name}: ${Object.keys(standings).length} teams (${matched} matched)`);
+        } catch (err) {
+            console.log(`   ❌ ${league.name}: ${err.message}`);
+        }
+    }
+
+    // Promoted/relegated roster teams aren't in any of the fixed leagues:
+    // find their league from the club season page and read that table too
+    const knownPages = new Set(leaguePages(ctx.season).map(l => decodeURIComponent(l.url)));
+    for (const team of ctx.teams.filter(t => !result[t])) {
+        const league = await detectLeague(team, ctx.season);
+        if (!league) continue;
+        if (knownPages.has(decodeURIComponent(league.url))) {
+            console.log(`   ⚠️  ${team}: ${league.name} is already scraped, but its table has no match for them`);
+            continue;
+        }
+        try {
+            const standings = await parsePage(league.url, parseStandings);
+            for (const [wikiName, pts] of Object.entries(standings)) {
+                const rosterName = matchTeamName(wikiName);
+                if (rosterName && ctx.teams.includes(rosterName) && !result[rosterName]) {
+                    result[rosterName] = { value: pts, sources: [league.url] };
+                    console.log(`      ✅ ${rosterName}: ${pts} pts`);
+                }
+            }
+            console.log(`   ✅ ${league.name}: ${Object.keys(standings).length} teams`);
+        } catch (err) {
+            console.log(`   ❌ ${league.name}: ${err.message}`);
+        }
+    }
+    return result;
+}
+
+/**
+ * UEFA league-phase points per roster team, summed across competitions.
+ * @param {{ season: string, teams: string[] }} ctx
+ * @returns {Promise<object>} { rosterTeam: { value: points, sources: [url] } }
+ */
+async function fetchUefaStandings(ctx) {
+    const result = {};
+    const comps = uefaPages(ctx.season);
+    prefetch(comps.map(p => p.url));
+    for (const comp of comps) {
+        try {
+            const standings = await parsePage(comp.url, parseStandings);
+
+            let matched = 0;
+            for (const [wikiName, pts] of Object.entries(standings)) {
+                const rosterName = matchTeamName(wikiName);
+                if (rosterName && ctx.teams.includes(rosterName)) {
+                    const entry = result[rosterName] || { value: 0, sources: [] };
+                    entry.value += pts;
+                    entry.sources.push(comp.url);
+                    result[rosterName] = entry;
+                    matched++;
+                    console.log(`      ✅ ${rosterName}: ${pts} UEFA pts`);
+                }
+            }
+            console.log(`   ✅ ${comp.name}: ${Object.keys(standings).length} teams (${matched} matched)`);
+        } catch (err) {
+            console.log(`   ❌ ${comp.name}: ${err.message}`);
+        }
+    }
+    return result;
+}
+
+/**
+ * Season goal totals per roster player.
+ * Sums the league and UEFA top-scorer tables, then reads club season
+ * pages for players none of those tables list and for players with more
+ * than one club stint, merged club by club (see mergeStintGoals).
+ * @param {{ season: string, players: string[] }} ctx
+ * @returns {Promise<object>} { rosterPlayer: { value: goals, sources: [url] } }
+ */
+async function fetchPlayerGoals(ctx) {
+    const result = {};
+    const tableRows = {}; // player → [{ url, goals, clubs }]
+
+    const pages = [...leaguePages(ctx.season), ...uefaPages(ctx.season)];
+    prefetch(pages.map(p => p.url));
+    for (const page of pages) {
+        try {
+            const scorers = await parsePage(page.url, parseScorerRows);
+
+            let matched = 0;
+            for (const [wikiName, { goals, clubs }] of Object.entries(scorers)) {
+                const rosterName = matchPlayerName(wikiName);
+                if (rosterName && ctx.players.includes(rosterName)) {
+                    const entry = result[rosterName] || { value: 0, sources: [] };
+                    entry.value += goals;
+                    entry.sources.push(page.url);
+                    result[rosterName] = entry;
+                    (tableRows[rosterName] = tableRows[rosterName] || []).push({ url: page.url, goals, clubs });
+                    matched++;
+                    console.log(`      ⚽ ${rosterName}: +${goals} goals`);
+                }
+            }
+            console.log(`   ✅ ${page.name}: ${Object.keys(scorers).length} scorers (${matched} matched)`);
+        } catch (err) {
+            console.log(`   ❌ ${page.name}: ${err.message}`);
+        }
+    }
+
+    // Club season pages for players missing from every scorer table, and for
+    // players who changed clubs: a competition table can't see all their stints
+    const needPages = ctx.players.filter(p => !(p in result) || playerStints(p, ctx.season).length > 1);
+    if (needPages.length === 0) return result;
+    console.log(`\n👤 Scraping club season pages for ${needPages.length} players...`);
+
+    // Deduplicate URLs — multiple players may share a club page
+    const urlToPlayers = {};
+    for (const playerName of needPages) {
+        const stints = playerStints(playerName, ctx.season);
+        if (stints.length === 0) {
+            console.log(`   ⚠️  No club season page for ${playerName}`);
+            continue;
+        }
+        for (const stint of stints) {
+            if (!urlToPlayers[stint.url]) urlToPlayers[stint.url] = [];
+            urlToPlayers[stint.url].push(playerName);
+        }
+    }
+
+    const stintGoals = {}; // player → { url: goals }
+    prefetch(Object.keys(urlToPlayers));
+    for (const [url, players] of Object.entries(urlToPlayers)) {
+        try {
+            const teamScorers = await parsePage(url, parseTeamGoalscorers, players);
+            const scorerCount = Object.keys(teamScorers).length;
+
+            for (const playerName of players) {
+                const wikiName = Object.keys(teamScorers).find(n => matchPlayerName(n) === playerName);
+                if (wikiName) {
+                    (stintGoals[playerName] = stintGoals[playerName] || {})[url] = teamScorers[wikiName];
+                    console.log(`      ⚽ ${playerName}: ${teamScorers[wikiName]} goals (${pageLabel(url)})`);
+                } else {
+                    console.log(`      ⚠️  ${playerName}: not in team scorers (${scorerCount} listed)`);
+                }
+            }
+        } catch (err) {
+            console.log(`   ❌ ${pageLabel(url)}: ${err.message}`);
+            for (const p of players) {
+                console.log(`      ⚠️  ${p}: skipped (page error)`);
+            }
+        }
+    }
+
+    for (const [playerName, goalsByUrl] of Object.entries(stintGoals)) {
+        const stints = playerStints(playerName, ctx.season).map(stint => ({ ...stint, goals: goalsByUrl[stint.url] }));
+        result[playerName] = mergeStintGoals(tableRows[playerName] || [], stints);
+    }
+
+    return result;
+}
+
+/**
+ * Combine a player's scorer-table rows with their club-page totals.
+ * Club pages count every competition for one club; scorer tables count
+ * every club in one competition, so the same goals show up in both. The
+ * merge is keyed on club: a club page that was read counts in full, and a
+ * table row only adds what its clubs' pages don't cover. A row naming both
+ * a covered club and one without a page (or no club at all, which means
+ * any of the player's clubs) can't be split, so it adds at least what the
+ * covered clubs can't account for.
+ *
+ * @param {Array<{ url: string, goals: number, clubs: string[] }>} tableRows - The player's scorer-table rows
+ * @param {Array<{ url: string, club: string, goals?: number }>} stints - Every stint; goals only where the club page listed the player
+ * @returns {{ value: number, sources: string[] }}
+ */
+function mergeStintGoals(tableRows, stints) {
+    const read = stints.filter(s => s.goals !== undefined);
+    const covered = new Map(read.map(s => [clubKey(s.club), s.goals]));
+    const merged = { value: read.reduce((sum, s) => sum + s.goals, 0), sources: read.map(s => s.url) };
+
+    for (const row of tableRows) {
+        const clubs = (row.clubs.length > 0 ? row.clubs : stints.map(s => s.club)).map(clubKey);
+        const coveredClubs = clubs.filter(club => covered.has(club));
+        if (clubs.length > 0 && coveredClubs.length === clubs.length) continue;
+        const uncounted = row.goals - coveredClubs.reduce((sum, club) => sum + covered.get(club), 0);
+        if (uncounted > 0) {
+            merged.value += uncounted;
+            merged.sources.push(row.url);
+        }
+    }
+    return merged;
+}
+
+/**
+ * One key per club, whichever of its aliases a page uses.
+ * @param {string} name
+ * @returns {string}
+ */
+function clubKey(name) {
+    const norm = normalizeName(name);
+    const team = Object.keys(TEAM_ALIASES).find(t => [t, ...TEAM_ALIASES[t]].some(alias => normalizeName(alias) === norm));
+    return normalizeName(team || name);
+}
+
+/**
+ * A player's club stints this season (see PLAYER_STINTS), with the club
+ * season page resolved to a URL.
+ * @param {string} playerName
+ * @param {string} season
+ * @returns {Array<{ url: string, club: string, from?: string, until?: string }>}
+ */
+function playerStints(playerName, season) {
+    return (PLAYER_STINTS[playerName] || []).map(stint => ({ ...stint, url: wikiPageUrl(stint.wikipedia, season) }));
+}
+
+/**
+ * Whether a YYYY-MM-DD date falls inside a stint.
+ * @param {string} date
+ * @param {{ from?: string, until?: string }} stint
+ * @returns {boolean}
+ */
+function inStint(date, stint) {
+    return (!stint.from || date >= stint.from) && (!stint.until || date < stint.until);
+}
+
+/**
+ * Match-level goal events per roster player from the club season page of
+ * every stint. Scorers are matched by article title, then by surname against
+ * the players that page is expected to cover. Only goals inside the stint's
+ * dates count, so a player scoring against their old club isn't picked up
+ * from the old club's page.
+ * @param {{ season: string, players: string[] }} ctx
+ * @returns {Promise<object>} { rosterPlayer: { value: goalEvents[], sources: [url] } }
+ */
+async function fetchGoalEvents(ctx) {
+    const result = {};
+    const urlToPlayers = {};
+    for (const playerName of ctx.players) {
+        for (const stint of playerStints(playerName, ctx.season)) {
+            if (!urlToPlayers[stint.url]) urlToPlayers[stint.url] = [];
+            urlToPlayers[stint.url].push(playerName);
+        }
+    }
+
+    prefetch(Object.keys(urlToPlayers));
+    for (const [url, players] of Object.entries(urlToPlayers)) {
+        try {
+            const goals = await parsePage(url, parseMatchGoals);
+
+            for (const goal of goals) {
+                const rosterName = matchPlayerName(goal.scorer) || matchSurname(goal.scorer, players);
+                if (!rosterName || !players.includes(rosterName)) continue;
+                const stint = playerStints(rosterName, ctx.season).find(st => st.url === url);
+                if (!inStint(goal.date, stint)) continue;
+                const { scorer, ...event } = goal;
+                const entry = result[rosterName] || { value: [], sources: [] };
+                entry.value.push({ ...event, sources: [url] });
+                if (!entry.sources.includes(url)) entry.sources.push(url);
+                result[rosterName] = entry;
+            }
+            for (const playerName of players) {
+                const count = result[playerName]?.value.length || 0;
+                console.log(`      ⚽ ${playerName}: ${count} goal event${count === 1 ? '' : 's'}`);
+            }
+            console.log(`   ✅ ${pageLabel(url)}: ${goals.length} goals in match reports`);
+        } catch (err) {
+            console.log(`   ❌ ${pageLabel(url)}: ${err.message}`);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Domestic and UEFA cup milestones per roster team.
+ * Domestic cups come from each cup's season article and UEFA cups from the
+ * UEFA knockout phase articles; teams with no semifinal (or
+ * better) in either are left out.
+ * @param {{ season: string, teams: string[], rules?: object }} ctx
+ * @returns {Promise<object>} { rosterTeam: { value: { domestic_cup, uefa_cup }, sources: [url] } }
+ */
+async function fetchCupProgress(ctx) {
+    const result = {};
+    const entryFor = team => {
+        if (!result[team]) result[team] = { value: { domestic_cup: null, uefa_cup: null }, sources: [] };
+        return result[team];
+    };
+
+    const cups = cupPages(ctx.season);
+    prefetch(cups.map(p => p.url));
+    for (const cup of cups) {
+        try {
+            const progress = await parsePage(cup.url, parseKnockoutProgress);
+
+            let matched = 0;
+            for (const [wikiName, milestone] of Object.entries(progress)) {
+                const rosterName = matchTeamName(wikiName);
+                if (!rosterName || !ctx.teams.includes(rosterName)) continue;
+                const entry = entryFor(rosterName);
+                const current = entry.value.domestic_cup?.milestone || null;
+                if (furthestMilestone(current, milestone) !== current) {
+                    entry.value.domestic_cup = { milestone, competition: cup.name };
+                }
+                entry.sources.push(cup.url);
+                matched++;
+                console.log(`      🏆 ${rosterName}: ${cup.name} ${milestone}`);
+            }
+            console.log(`   ✅ ${cup.name}: ${Object.keys(progress).length} teams in the last four (${matched} matched)`);
+        } catch (err) {
+            console.log(`   ❌ ${cup.name}: ${err.message}`);
+        }
+    }
+
+    // UEFA knockout brackets, plus which league phase each team played
+    const progressByCompetition = {};
+    const leaguePhase = {};
+    const uefaSources = {};
+    const comps = uefaPages(ctx.season);
+    prefetch([...new Set(comps.flatMap(p => [p.url, p.knockoutUrl]))]);
+    for (const comp of comps) {
+        try {
+            for (const wikiName of Object.keys(await parsePage(comp.url, parseStandings))) {
+                const rosterName = matchTeamName(wikiName);
+                if (rosterName && ctx.teams.includes(rosterName) && !leaguePhase[rosterName]) {
+                    leaguePhase[rosterName] = comp.competition;
+                }
+            }
+
+            const progress = {};
+            for (const [wikiName, milestone] of Object.entries(await parsePage(comp.knockoutUrl, parseKnockoutProgress))) {
+                const rosterName = matchTeamName(wikiName);
+                if (!rosterName || !ctx.teams.includes(rosterName)) continue;
+                progress[rosterName] = milestone;
+                (uefaSources[rosterName] = uefaSources[rosterName] || []).push(comp.knockoutUrl);
+            }
+            progressByCompetition[comp.competition] = progress;
+            console.log(`   ✅ ${comp.name} knockout: ${Object.keys(progress).length} roster teams in the last four`);
+        } catch (err) {
+            console.log(`   ❌ ${comp.name} knockout: ${err.message}`);
+        }
+    }
+
+    for (const [rosterName, cup] of Object.entries(pickUefaMilestones(progressByCompetition, leaguePhase, ctx.rules))) {
+        const entry = entryFor(rosterName);
+        entry.value.uefa_cup = cup;
+        entry.sources.push(...uefaSources[rosterName]);
+        const dropped = cup.dropped_from ? ` (dropped from ${cup.dropped_from})` : '';
+        console.log(`      🏆 ${rosterName}: ${cup.competition} ${cup.milestone}${dropped}`);
+    }
+
+    return result;
+}
+
+useSources(loadSources());
+
+module.exports = {
+    name: 'wikipedia',
+    fetchLeagueStandings,
+    fetchUefaStandings,
+    fetchPlayerGoals,
+    fetchCupProgress,
+    fetchGoalEvents,
+    getRequestCount: () => fetcher.requestCount(),
+    configure,
+    livePages: pageCache,
+    LEAGUE_PROFILES,
+    parseStandings,
+    parseTopScorers,
+    parseScorerRows,
+    parseTeamGoalscorers,
+    parseSplitStandings,
+    parseSeasonLeague,
+    parseCurrentClub,
+    parseClubSeasonLink,
+    clubSeasonPages,
+    discoverClubSeasonPage,
+    mergeStintGoals,
+    inStint,
+    parseMatchGoals,
+    parseKnockoutProgress,
+    pickUefaMilestones,
+};
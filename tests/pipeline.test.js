@@ -0,0 +1,1365 @@
+/**
+ * Update Pipeline Unit Tests — provider chain and apiData normalization
+ * Run: node tests/pipeline.test.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { collectFromChain } = require('../scripts/providers');
+const { buildContext, buildApiData, findEventGaps, playersWithNewGoals, warnUnmatchedTeams, warnUnmappedPlayers, validateResults, runPipeline } = require('../scripts/lib/pipeline.js');
+const { carryForward } = require('../scripts/lib/carry-forward.js');
+const { reconcileMetric } = require('../scripts/lib/reconcile.js');
+const { mergeGoalEvents } = require('../scripts/lib/goal-events.js');
+const { recordSnapshot, missingBoundaries } = require('../scripts/lib/snapshots.js');
+const { loadSources, missingSources, wikiPageUrl, seasonPages } = require('../scripts/lib/sources.js');
+const { nextSeason, bootstrapSeason } = require('../scripts/lib/bootstrap.js');
+const {
+    LEAGUE_PROFILES, parseSplitStandings, parseSeasonLeague, clubSeasonPages, mergeStintGoals, inStint,
+    parseMatchGoals, parseKnockoutProgress, pickUefaMilestones, parseCurrentClub, parseClubSeasonLink,
+    parseStandings, parseTopScorers, parseScorerRows, parseTeamGoalscorers,
+} = require('../scripts/providers/wikipedia.js');
+const wikipedia = require('../scripts/providers/wikipedia.js');
+const { proposeStint, discoverPages } = require('../scripts/lib/discovery.js');
+const { nameSimilarity, scoreName, matchName, resetMatchLog, matchReport } = require('../scripts/lib/matching.js');
+const { createFetcher, retryAfterMs } = require('../scripts/lib/http.js');
+const { createPageCache, cacheName } = require('../scripts/lib/page-cache.js');
+const { recordPages, replayPages } = require('../scripts/lib/recording.js');
+const { scrape } = require('../scripts/lib/scraper.js');
+const { toGoalEvent, eventsWindow, countSeasonGoals } = require('../scripts/providers/api-football.js');
+const { computeResults } = require('../js/rules-engine.js');
+
+let passed = 0;
+let failed = 0;
+const queue = [];
+
+function test(name, fn) {
+    queue.push({ name, fn });
+}
+
+// Section headers are queued too so they print alongside their tests
+function section(title) {
+    queue.push({ title });
+}
+
+async function run() {
+    for (const { name, fn, title } of queue) {
+        if (title) {
+            console.log(title);
+            continue;
+        }
+        try {
+            await fn();
+            console.log(`  ✅ ${name}`);
+            passed++;
+        } catch (err) {
+            console.log(`  ❌ ${name}`);
+            console.log(`     ${err.message}`);
+            failed++;
+        }
+    }
+}
+
+// Silence provider progress logging while the chain runs
+async function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+function fakeProvider(name, answers) {
+    const provider = { name, calls: 0, getRequestCount: () => 0 };
+    for (const method of ['fetchLeagueStandings', 'fetchUefaStandings', 'fetchPlayerGoals', 'fetchCupProgress', 'fetchGoalEvents']) {
+        provider[method] = async () => {
+            provider.calls++;
+            const answer = answers[method];
+            if (answer instanceof Error) throw answer;
+            return answer || {};
+        };
+    }
+    return provider;
+}
+
+console.log('\n🔌 Soccer Pool Tracker — Pipeline Tests\n');
+
+// ═══════════════════════════════════════════════════════════════════
+// Provider chain with fallback
+// ═══════════════════════════════════════════════════════════════════
+section('Provider Chain');
+
+test('Primary provider wins; fallback only fills missing entities', async () => {
+    const primary = fakeProvider('primary', {
+        fetchLeagueStandings: { Arsenal: { value: 70, sources: ['p/arsenal'] } },
+    });
+    const fallback = fakeProvider('fallback', {
+        fetchLeagueStandings: {
+            Arsenal: { value: 99, sources: ['f/arsenal'] },
+            Celtic: { value: 60, sources: ['f/celtic'] },
+        },
+    });
+    const { merged, bySource } = await quietly(() =>
+        collectFromChain([primary, fallback], 'fetchLeagueStandings', {}, ['Arsenal', 'Celtic']));
+    assert.strictEqual(merged.Arsenal.value, 70);
+    assert.strictEqual(merged.Arsenal.provider, 'primary');
+    assert.strictEqual(merged.Celtic.value, 60);
+    assert.strictEqual(merged.Celtic.provider, 'fallback');
+    assert.deepStrictEqual(Object.keys(bySource), ['primary', 'fallback']);
+});
+
+test('A failing provider is skipped and the next one answers', async () => {
+    const broken = fakeProvider('broken', { fetchPlayerGoals: new Error('No API key') });
+    const backup = fakeProvider('backup', { fetchPlayerGoals: { 'Harry Kane': { value: 20, sources: [] } } });
+    const { merged } = await quietly(() =>
+        collectFromChain([broken, backup], 'fetchPlayerGoals', {}, ['Harry Kane']));
+    assert.strictEqual(merged['Harry Kane'].value, 20);
+    assert.strictEqual(merged['Harry Kane'].provider, 'backup');
+});
+
+test('Fallback is not called once every entity is covered', async () => {
+    const primary = fakeProvider('primary', { fetchUefaStandings: { Arsenal: { value: 18, sources: [] } } });
+    const fallback = fakeProvider('fallback', {});
+    await quietly(() => collectFromChain([primary, fallback], 'fetchUefaStandings', {}, ['Arsenal']));
+    assert.strictEqual(fallback.calls, 0);
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// apiData normalization
+// ═══════════════════════════════════════════════════════════════════
+section('\napiData Normalization');
+
+test('Merged provider maps become computeResults apiData', () => {
+    const ctx = buildContext({
+        pool_metadata: { season: '2025-2026' },
+        rosters: [{
+            participant: 'A',
+            teams: [{ name: 'Arsenal' }, { name: 'Ipswich Town' }],
+            players: [{ name: 'Bukayo Saka' }, { name: 'Jhon Duran' }],
+        }],
+    });
+    const apiData = buildApiData(ctx, {
+        leagueStandings: { Arsenal: { value: 70 } },
+        uefaStandings: { Arsenal: { value: 18 } },
+        playerGoals: { 'Bukayo Saka': { value: 12 } },
+        cupProgress: { Arsenal: { value: { domestic_cup: { milestone: 'semifinal' }, uefa_cup: null } } },
+    });
+    assert.deepStrictEqual(apiData.teams.Arsenal, {
+        league_points: 70,
+        uefa_league_phase_points: 18,
+        domestic_cup: { milestone: 'semifinal' },
+        uefa_cup: null,
+    });
+    assert.strictEqual(apiData.teams['Ipswich Town'].league_points, 0);
+    assert.deepStrictEqual(apiData.players['Bukayo Saka'], { season_total: 12 });
+    assert.strictEqual('Jhon Duran' in apiData.players, false);
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Cross-source reconciliation
+// ═══════════════════════════════════════════════════════════════════
+section('\nReconciliation');
+
+const disagreeing = {
+    wikipedia: {
+        Arsenal: { value: 73, sources: ['https://en.wikipedia.org/wiki/PL'] },
+        Celtic: { value: 70, sources: ['https://en.wikipedia.org/wiki/SPFL'] },
+    },
+    'api-football': {
+        Arsenal: { value: 76, sources: ['https://v3.football.api-sports.io/standings?league=39'] },
+        Celtic: { value: 70, sources: [] },
+        Chelsea: { value: 48, sources: [] },
+    },
+};
+
+test('prefer-primary keeps the first source and reports the disagreement', () => {
+    const { merged, discrepancies } = reconcileMetric('league_points', ['Arsenal', 'Celtic', 'Chelsea'],
+        disagreeing, ['wikipedia', 'api-football'], 'prefer-primary');
+    assert.strictEqual(merged.Arsenal.value, 73);
+    assert.strictEqual(merged.Chelsea.value, 48); // only the fallback knows Chelsea
+    assert.strictEqual(discrepancies.length, 1);
+    assert.strictEqual(discrepancies[0].entity, 'Arsenal');
+    assert.deepStrictEqual(discrepancies[0].values.map(v => v.value), [73, 76]);
+    assert.deepStrictEqual(discrepancies[0].values[1].sources, ['https://v3.football.api-sports.io/standings?league=39']);
+    assert.deepStrictEqual(discrepancies[0].chosen, { provider: 'wikipedia', value: 73 });
+});
+
+test('take-max uses the highest reported value', () => {
+    const { merged } = reconcileMetric('league_points', ['Arsenal'],
+        disagreeing, ['wikipedia', 'api-football'], 'take-max');
+    assert.strictEqual(merged.Arsenal.value, 76);
+    assert.strictEqual(merged.Arsenal.provider, 'api-football');
+});
+
+test('block-on-disagreement marks discrepancies as unresolved', () => {
+    const { discrepancies } = reconcileMetric('league_points', ['Arsenal', 'Celtic'],
+        disagreeing, ['wikipedia', 'api-football'], 'block-on-disagreement');
+    assert.strictEqual(discrepancies.length, 1);
+    assert.strictEqual(discrepancies[0].chosen, null);
+});
+
+test('Unknown policy is rejected', () => {
+    assert.throws(() => reconcileMetric('goals', [], {}, [], 'average'), /Unknown reconciliation policy/);
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Goal event ingestion
+// ═══════════════════════════════════════════════════════════════════
+section('\nGoal Events');
+
+// Trimmed club season page: one league match, one cup tie won on penalties, one friendly
+const clubSeasonHtml = `
+<h2>Pre-season and friendlies</h2>
+<div class="footballbox"><div class="fdate">20 July 2025<span>(2025-07-20)</span></div>
+  <table class="fevent"><tr class="fgoals"><td class="fhgoal"><ul><li><a title="Bukayo Saka">Saka</a> 10'</li></ul></td></tr></table></div>
+<h2>Competitions</h2>
+<h3>Premier League</h3>
+<div class="footballbox"><div class="fdate">16 August 2025<span>(2025-08-16)</span></div>
+  <table class="fevent">
+    <tr class="fgoals">
+      <td class="fhgoal"><ul><li><a title="Bukayo Saka">Saka</a> 23', 45+2' (pen.)</li></ul></td>
+      <td class="fagoal"><ul><li><a title="William Saliba">Saliba</a> 67' (o.g.)</li></ul></td>
+    </tr>
+  </table></div>
+<h3>EFL Cup</h3>
+<div class="footballbox"><div class="fdate">24 September 2025<span>(2025-09-24)</span></div>
+  <table class="fevent">
+    <tr class="fgoals"><td class="fhgoal"><ul><li>Saka 88'</li></ul></td></tr>
+    <tr class="fgoals"><td class="fhgoal"><ul><li>Saka <img alt="Penalty scored"></li><li>Rice <img alt="Penalty missed"></li></ul></td><th>Penalties</th></tr>
+  </table></div>`;
+
+test('Club season football boxes become goal events', () => {
+    const goals = parseMatchGoals(clubSeasonHtml);
+    const saka = goals.filter(g => g.scorer === 'Bukayo Saka' || g.scorer === 'Saka');
+    assert.deepStrictEqual(saka.map(g => [g.date, g.minute, g.stoppage, g.type, g.competition]), [
+        ['2025-08-16', 23, 0, 'normal', 'Premier League'],
+        ['2025-08-16', 45, 2, 'penalty', 'Premier League'],
+        ['2025-09-24', 88, 0, 'normal', 'EFL Cup'],
+        ['2025-09-24', null, 0, 'penalty_shootout', 'EFL Cup'],
+    ]);
+    assert.strictEqual(goals.find(g => g.scorer === 'William Saliba').type, 'own_goal');
+    assert.ok(!goals.some(g => g.scorer === 'Rice'), 'missed kicks are not goals');
+});
+
+test('Boxes whose date is not a date are skipped; the rest of the page still parses', () => {
+    const goal = date => `<div class="footballbox"><div class="fdate">${date}</div>
+  <table class="fevent"><tr class="fgoals"><td class="fhgoal"><ul><li><a title="Bukayo Saka">Saka</a> 10'</li></ul></td></tr></table></div>`;
+    const html = `<h2>Premier League</h2>${goal('TBD')}${goal('Matchday 7 (postponed)')}${goal('4 October 2025')}`;
+    assert.deepStrictEqual(parseMatchGoals(html).map(g => g.date), ['2025-10-04']);
+});
+
+test('API-Football events map onto the same shape', () => {
+    const fixture = { fixture: { date: '2025-08-16T14:00:00+00:00' }, league: { name: 'Premier League' } };
+    assert.deepStrictEqual(toGoalEvent({ detail: 'Penalty', time: { elapsed: 45, extra: 2 } }, fixture),
+        { date: '2025-08-16', minute: 45, stoppage: 2, type: 'penalty', competition: 'Premier League' });
+    assert.strictEqual(toGoalEvent({ detail: 'Penalty', comments: 'Penalty Shootout', time: { elapsed: 120 } }, fixture).type, 'penalty_shootout');
+    assert.strictEqual(toGoalEvent({ detail: 'Missed Penalty', time: { elapsed: 30 } }, fixture), null);
+});
+
+test('API-Football season goals leave out the supercups the run\'s rules name', () => {
+    const statistics = [
+        { league: { name: 'Premier League' }, goals: { total: 9 } },
+        { league: { name: 'FA Community Shield' }, goals: { total: 1 } },
+        { league: { name: 'Emirates Cup' }, goals: { total: 2 } },
+    ];
+    assert.strictEqual(countSeasonGoals(statistics), 11);
+    const rules = JSON.parse(JSON.stringify(require('../data/rules.json')));
+    rules.scoring.supercup_keywords.push('emirates cup');
+    assert.strictEqual(countSeasonGoals(statistics, rules), 9);
+});
+
+test('The API-Football events window follows the run\'s clock', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-clock-'));
+    try {
+        fs.cpSync(path.join(__dirname, 'fixtures', 'recorded-run', 'data'), dir, { recursive: true });
+        const provider = fakeProvider('wikipedia', {
+            fetchLeagueStandings: { Arsenal: { value: 3, sources: [] }, Liverpool: { value: 1, sources: [] }, Chelsea: { value: 1, sources: [] } },
+        });
+        let window = null;
+        provider.fetchGoalEvents = async ctx => { window = eventsWindow(ctx.now); return {}; };
+        await quietly(() => runPipeline([provider], { dataDir: dir, now: '2025-08-25T08:00:00.000Z' }));
+        assert.deepStrictEqual(window, { from: '2025-08-18', to: '2025-08-25' });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('The same goal from two sources is stored once', () => {
+    const wiki = [
+        { date: '2025-08-16', minute: 45, stoppage: 2, type: 'penalty', competition: 'Premier League', sources: ['wiki'] },
+        { date: '2025-08-16', minute: 23, stoppage: 0, type: 'normal', competition: 'Premier League', sources: ['wiki'] },
+    ];
+    const api = [
+        { date: '2025-08-16', minute: 45, stoppage: 2, type: 'penalty', competition: 'Premier League', sources: ['api'] },
+        { date: '2025-08-16', minute: 24, stoppage: 0, type: 'normal', competition: 'Premier League', sources: ['api'] },
+        { date: '2025-08-23', minute: 10, stoppage: 0, type: 'normal', competition: 'Premier League', sources: ['api'] },
+    ];
+    const merged = mergeGoalEvents(wiki, api);
+    assert.strictEqual(merged.length, 3);
+    assert.deepStrictEqual(merged[0].sources, ['wiki', 'api']);
+    assert.deepStrictEqual(merged.map(e => e.minute), [23, 45, 10]);
+});
+
+test('Goals close together in one source are all kept', () => {
+    const brace = [
+        { date: '2025-08-16', minute: 23, stoppage: 0, type: 'normal', sources: ['wiki'] },
+        { date: '2025-08-16', minute: 24, stoppage: 0, type: 'normal', sources: ['wiki'] },
+        { date: '2025-08-16', minute: 45, stoppage: 2, type: 'normal', sources: ['wiki'] },
+        { date: '2025-08-16', minute: 47, stoppage: 0, type: 'normal', sources: ['wiki'] },
+    ];
+    assert.strictEqual(mergeGoalEvents(brace).length, 4);
+    // Each earlier goal takes at most one report per source, exact minute first
+    const merged = mergeGoalEvents(brace, brace.map(e => ({ ...e, sources: ['api'] })));
+    assert.strictEqual(merged.length, 4);
+    assert.ok(merged.every(e => e.sources.join() === 'wiki,api'));
+    assert.strictEqual(mergeGoalEvents(brace.slice(0, 1), [{ ...brace[1], sources: ['api'] }, { ...brace[0], sources: ['api'] }]).length, 2);
+});
+
+test('Shootout kicks are deduped by count per match', () => {
+    const kick = { date: '2025-09-24', minute: null, type: 'penalty_shootout', competition: 'EFL Cup' };
+    assert.strictEqual(mergeGoalEvents([kick], [kick]).length, 1);
+});
+
+test('Players with goal events are scored with every exclusion rule', () => {
+    const ctx = { season: '2025-2026', teams: [], players: ['Bukayo Saka'] };
+    const events = [
+        { date: '2025-08-16', minute: 23, type: 'normal', competition: 'Premier League' },
+        { date: '2025-08-10', minute: 50, type: 'normal', competition: 'FA Community Shield' },
+        { date: '2025-09-24', minute: null, type: 'penalty_shootout', competition: 'EFL Cup' },
+        { date: '2025-10-01', minute: 12, type: 'own_goal', competition: 'Premier League' },
+    ];
+    const empty = { leagueStandings: {}, uefaStandings: {}, cupProgress: {} };
+    const apiData = buildApiData(ctx, { ...empty, playerGoals: { 'Bukayo Saka': { value: 2 } } }, { 'Bukayo Saka': events });
+    assert.strictEqual(apiData.players['Bukayo Saka'], events);
+
+    const rosters = {
+        pool_metadata: { season: '2025-2026' },
+        rosters: [{ participant: 'A', teams: [], players: [{ name: 'Bukayo Saka', active_from_date: '2025-08-01' }] }],
+    };
+    assert.strictEqual(computeResults(rosters, apiData).goals_pool[0].total_goals, 1);
+});
+
+test('Events that fall short of the season total are not scored', () => {
+    const ctx = { season: '2025-2026', teams: [], players: ['Bukayo Saka', 'Cole Palmer'] };
+    // The last week of API-Football fixtures, not the season
+    const lastWeek = [{ date: '2026-03-07', minute: 23, type: 'normal', competition: 'Premier League' }];
+    const collected = {
+        leagueStandings: {}, uefaStandings: {}, cupProgress: {},
+        playerGoals: { 'Bukayo Saka': { value: 9 }, 'Cole Palmer': { value: 1 } },
+    };
+    const events = { 'Bukayo Saka': lastWeek, 'Cole Palmer': lastWeek };
+    const apiData = buildApiData(ctx, collected, events);
+    assert.deepStrictEqual(apiData.players['Bukayo Saka'], { season_total: 9 });
+    assert.strictEqual(apiData.players['Cole Palmer'], lastWeek);
+    assert.deepStrictEqual(findEventGaps(ctx, collected.playerGoals, events), [{ player: 'Bukayo Saka', events: 1, season_total: 9 }]);
+});
+
+test('A player scored from the season total instead of events is reported', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-gap-'));
+    try {
+        fs.cpSync(path.join(__dirname, 'fixtures', 'recorded-run', 'data'), dir, { recursive: true });
+        const provider = fakeProvider('wikipedia', {
+            fetchLeagueStandings: { Arsenal: { value: 3, sources: [] }, Liverpool: { value: 1, sources: [] }, Chelsea: { value: 1, sources: [] } },
+            fetchPlayerGoals: { 'Bukayo Saka': { value: 3, sources: [] } },
+            fetchGoalEvents: { 'Bukayo Saka': { value: [
+                { date: '2025-08-23', minute: 10, type: 'normal', competition: 'Premier League', sources: [] },
+                { date: '2025-08-23', minute: 50, type: 'own_goal', competition: 'Premier League', sources: [] },
+            ], sources: [] } },
+        });
+        const results = await quietly(() => runPipeline([provider], { dataDir: dir, now: '2025-08-25T08:00:00.000Z' }));
+        assert.strictEqual(results.goals_pool.find(e => e.participant === 'Erik').total_goals, 3);
+        const report = JSON.parse(fs.readFileSync(path.join(dir, 'reconciliation-report.json'), 'utf8'));
+        assert.deepStrictEqual(report.warnings, [{ type: 'event_gap', player: 'Bukayo Saka', events: 1, season_total: 3 }]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('Goal events are only fetched for players with goals the store has not seen', async () => {
+    const ctx = { season: '2025-2026', teams: [], players: ['Bukayo Saka', 'Alexander Isak', 'Cole Palmer'] };
+    const stored = { 'Bukayo Saka': [{ date: '2025-09-13', minute: 23, type: 'normal', competition: 'Premier League' }] };
+    const totals = { 'Bukayo Saka': { value: 1 }, 'Alexander Isak': { value: 2 } };
+    assert.deepStrictEqual(playersWithNewGoals(ctx, totals, stored), ['Alexander Isak', 'Cole Palmer']);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-players-'));
+    try {
+        fs.cpSync(path.join(__dirname, 'fixtures', 'recorded-run', 'data'), dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, 'goal-events.json'), JSON.stringify({ season: '2025-2026', players: stored }));
+        const provider = fakeProvider('wikipedia', {
+            fetchLeagueStandings: { Arsenal: { value: 3, sources: [] }, Liverpool: { value: 1, sources: [] }, Chelsea: { value: 1, sources: [] } },
+            fetchPlayerGoals: { 'Bukayo Saka': { value: 1, sources: [] }, 'Alexander Isak': { value: 0, sources: [] }, 'Cole Palmer': { value: 0, sources: [] } },
+        });
+        const asked = [];
+        provider.fetchGoalEvents = async eventCtx => { asked.push(eventCtx.players); return {}; };
+        await quietly(() => runPipeline([provider], { dataDir: dir, now: '2025-09-14T08:00:00.000Z' }));
+        assert.deepStrictEqual(asked, []);
+
+        provider.fetchPlayerGoals = async () => ({ 'Bukayo Saka': { value: 1, sources: [] }, 'Alexander Isak': { value: 1, sources: [] }, 'Cole Palmer': { value: 0, sources: [] } });
+        await quietly(() => runPipeline([provider], { dataDir: dir, now: '2025-09-21T08:00:00.000Z' }));
+        assert.deepStrictEqual(asked, [['Alexander Isak']]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Cup progress
+// ═══════════════════════════════════════════════════════════════════
+section('\nCup Progress');
+
+const box = (home, score, away, extra = '') => `
+<div class="footballbox"><table class="fevent">
+  <tr><th class="fhome"><a>${home}</a></th><th class="fscore">${score}</th><th class="faway"><a>${away}</a></th></tr>${extra}
+</table></div>`;
+
+const cupHtml = `
+<h2>Quarter-finals</h2>${box('Arsenal', '2–0', 'Fulham')}
+<h2>Semi-finals</h2>${box('Arsenal', '1–0', 'Chelsea')}${box('Liverpool', '3–1', 'Ipswich Town')}
+<h2>Final</h2>${box('Arsenal', '1–1 (a.e.t.)', 'Liverpool', '<tr><td class="fhgoal"></td><th>Penalties<br>4–3</th><td class="fagoal"></td></tr>')}`;
+
+test('Knockout boxes give each team its furthest milestone', () => {
+    assert.deepStrictEqual(parseKnockoutProgress(cupHtml), {
+        Arsenal: 'winner',
+        Chelsea: 'semifinal',
+        Liverpool: 'runner_up',
+        'Ipswich Town': 'semifinal',
+    });
+});
+
+test('Both finalists are runner_up until the final is played', () => {
+    const progress = parseKnockoutProgress(`<h3>Final</h3>${box('Arsenal', 'v', 'Liverpool')}`);
+    assert.deepStrictEqual(progress, { Arsenal: 'runner_up', Liverpool: 'runner_up' });
+});
+
+test('Two-legged UEFA semi-finals are read under their leg headings', () => {
+    const html = `
+<h2>Knockout phase</h2>
+<h3>Semi-finals</h3><h4>First leg</h4>${box('Barcelona', '2–1', 'Inter Milan')}
+<h4>Second leg</h4>${box('Inter Milan', '4–3 (a.e.t.)', 'Barcelona')}
+<h3>Final</h3>${box('PSG', '5–0', 'Inter Milan')}`;
+    assert.deepStrictEqual(parseKnockoutProgress(html), { Barcelona: 'semifinal', 'Inter Milan': 'runner_up', PSG: 'winner' });
+});
+
+const KNOCKOUT_PHASE = fs.readFileSync(
+    path.join(__dirname, 'fixtures', 'knockout-phase', '2024–25_UEFA_Champions_League_knockout_phase.html'), 'utf8');
+
+test('A UEFA knockout phase article gives the last four their milestones', () => {
+    assert.deepStrictEqual(parseKnockoutProgress(KNOCKOUT_PHASE), {
+        Barcelona: 'semifinal',
+        Arsenal: 'semifinal',
+        'Inter Milan': 'runner_up',
+        'Paris Saint-Germain': 'winner',
+    });
+});
+
+test('UEFA cup milestones are read from the knockout phase article, not the season bracket', async () => {
+    const sources = {
+        leagues: {},
+        uefa: { 'Champions League': { competition: 'champions_league', wikipedia: '{season} UEFA Champions League', wikipedia_knockout: '{season} UEFA Champions League knockout phase' } },
+        cups: {},
+        teams: {
+            Arsenal: { aliases: ['Arsenal'] },
+            'Paris Saint-Germain': { aliases: ['Paris Saint-Germain', 'PSG'] },
+        },
+        players: {},
+    };
+    const pages = {
+        [wikiPageUrl('{season} UEFA Champions League', '2024-2025')]: '<h2>Knockout phase</h2><table><tr><td>Arsenal</td><td>1</td></tr></table>',
+        [wikiPageUrl('{season} UEFA Champions League knockout phase', '2024-2025')]: KNOCKOUT_PHASE,
+    };
+    const requested = [];
+    wikipedia.configure({
+        sources,
+        pages: {
+            async get(url) {
+                requested.push(url);
+                if (!(url in pages)) throw new Error(`HTTP 404 ${url}`);
+                return { url, html: pages[url], unchanged: false };
+            },
+            parsePage: (page, key, parse) => parse(),
+        },
+    });
+    try {
+        const progress = await quietly(() => wikipedia.fetchCupProgress({ season: '2024-2025', teams: ['Arsenal', 'Paris Saint-Germain'] }));
+        assert.deepStrictEqual(progress.Arsenal.value.uefa_cup, { competition: 'champions_league', milestone: 'semifinal' });
+        assert.deepStrictEqual(progress['Paris Saint-Germain'].value.uefa_cup, { competition: 'champions_league', milestone: 'winner' });
+        assert.deepStrictEqual(progress.Arsenal.sources, [wikiPageUrl('{season} UEFA Champions League knockout phase', '2024-2025')]);
+        assert.ok(requested.includes(wikiPageUrl('{season} UEFA Champions League', '2024-2025')), 'league phase still read from the season article');
+    } finally {
+        wikipedia.configure({ sources: loadSources(), pages: wikipedia.livePages });
+    }
+});
+
+test('A team that dropped into the Europa League keeps its best UEFA bonus', () => {
+    const picked = pickUefaMilestones({
+        champions_league: { PSG: 'semifinal' },
+        europa_league: { Benfica: 'winner', PSG: 'semifinal' },
+    }, { PSG: 'champions_league', Benfica: 'champions_league' });
+    assert.deepStrictEqual(picked.PSG, { competition: 'champions_league', milestone: 'semifinal' });
+    assert.deepStrictEqual(picked.Benfica, { competition: 'europa_league', milestone: 'winner', dropped_from: 'champions_league' });
+
+    const results = computeResults({
+        pool_metadata: { season: '2025-2026' },
+        rosters: [{ participant: 'A', teams: [{ name: 'Benfica' }], players: [] }],
+    }, { teams: { Benfica: { league_points: 50, uefa_league_phase_points: 9, uefa_cup: picked.Benfica } }, players: {} });
+    assert.strictEqual(results.team_pool[0].total_points, 50 + 9 + 12);
+});
+
+test('UEFA milestones are ranked with the run\'s rules', () => {
+    const rules = JSON.parse(JSON.stringify(require('../data/rules.json')));
+    rules.scoring.uefa_cup_milestones.europa_league.semifinal = 100;
+    const picked = pickUefaMilestones({
+        champions_league: { PSG: 'semifinal' },
+        europa_league: { PSG: 'semifinal' },
+    }, { PSG: 'champions_league' }, rules);
+    assert.deepStrictEqual(picked.PSG, { competition: 'europa_league', milestone: 'semifinal', dropped_from: 'champions_league' });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Standings snapshots
+// ═══════════════════════════════════════════════════════════════════
+section('\nStandings Snapshots');
+
+test('Each run snapshots its own day once; a missed boundary falls back to the last snapshot before it', () => {
+    const file = path.join(os.tmpdir(), `standings-history-${process.pid}.json`);
+    const store = { season: '2025-2026', snapshots: [] };
+    const apiData = {
+        teams: { Arsenal: { league_points: 40 } },
+        players: { 'Bukayo Saka': { season_total: 9 }, 'Cole Palmer': [{ date: '2025-09-01', minute: 3, type: 'normal' }] },
+    };
+    const phase2 = [{ date: '2026-02-01', label: 'Phase 2 swaps' }];
+    try {
+        assert.strictEqual(recordSnapshot(store, new Date('2026-01-31T07:00:00Z'), apiData, file), '2026-01-31');
+        assert.deepStrictEqual(missingBoundaries(store, phase2, '2026-01-31'), []); // still to come
+        // No run on the boundary day: the next run doesn't stand in for it
+        assert.strictEqual(recordSnapshot(store, new Date('2026-02-02T07:00:00Z'), apiData, file), '2026-02-02');
+        assert.strictEqual(recordSnapshot(store, new Date('2026-02-02T19:00:00Z'), apiData, file), null);
+        assert.deepStrictEqual(missingBoundaries(store, phase2, '2026-02-02'), [{ ...phase2[0], fallback: '2026-01-31' }]);
+
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        assert.deepStrictEqual(saved.snapshots.map(s => [s.date, s.captured_at]), [
+            ['2026-01-31', '2026-01-31T07:00:00.000Z'],
+            ['2026-02-02', '2026-02-02T07:00:00.000Z'],
+        ]);
+        assert.deepStrictEqual(saved.snapshots[0].teams, { Arsenal: { league_points: 40 } });
+        assert.deepStrictEqual(saved.snapshots[0].players, { 'Bukayo Saka': 9, 'Cole Palmer': 1 });
+
+        // A snapshot taken that day covers the boundary; one captured later doesn't
+        const onTheDay = { date: '2026-02-01', captured_at: '2026-02-01T07:00:00.000Z', teams: {}, players: {} };
+        assert.deepStrictEqual(missingBoundaries({ snapshots: [onTheDay] }, phase2, '2026-02-02'), []);
+        const late = { ...onTheDay, captured_at: '2026-02-05T07:00:00.000Z' };
+        assert.deepStrictEqual(missingBoundaries({ snapshots: [late] }, phase2, '2026-02-05'), [{ ...phase2[0], fallback: '2026-02-01' }]);
+        assert.deepStrictEqual(missingBoundaries({ snapshots: [] }, phase2, '2026-02-05'), [{ ...phase2[0], fallback: null }]);
+    } finally {
+        fs.rmSync(file, { force: true });
+    }
+});
+
+test('A backdated trade with no snapshot on its date is split at the last one before it, with a warning', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backdated-trade-'));
+    const snapshot = (date, newcastle, chelsea) => ({
+        date, captured_at: `${date}T07:00:00.000Z`,
+        teams: { Arsenal: { league_points: 50 }, 'Newcastle United': { league_points: newcastle }, Liverpool: { league_points: 50 }, Chelsea: { league_points: chelsea } },
+        players: {},
+    });
+    try {
+        fs.cpSync(path.join(__dirname, 'fixtures', 'recorded-run', 'data'), dir, { recursive: true });
+        // Logged on 14 March, dated 1 March
+        fs.writeFileSync(path.join(dir, 'transactions.json'), JSON.stringify({
+            season: '2025-2026',
+            trades: [{ id: 'T1', date: '2026-03-01', parties: ['Erik', 'Henry'], moves: [
+                { pick: 'Newcastle United', from: 'Erik', to: 'Henry' },
+                { pick: 'Chelsea', from: 'Henry', to: 'Erik' },
+            ] }],
+        }));
+        const history = path.join(dir, 'standings-history.json');
+        fs.writeFileSync(history, JSON.stringify({ season: '2025-2026', snapshots: [snapshot('2026-02-28', 39, 44), snapshot('2026-03-02', 40, 45)] }));
+        const provider = fakeProvider('wikipedia', {
+            fetchLeagueStandings: Object.fromEntries([['Arsenal', 61], ['Newcastle United', 44], ['Liverpool', 57], ['Chelsea', 49]]
+                .map(([team, value]) => [team, { value, sources: [] }])),
+        });
+        const run = () => quietly(() => runPipeline([provider], { dataDir: dir, now: '2026-03-14T08:00:00.000Z' }));
+        const split = results => {
+            const [erik, henry] = ['Erik', 'Henry'].map(p => results.team_pool.find(e => e.participant === p));
+            return [
+                erik.dropped_teams.find(t => t.name === 'Newcastle United').league_points,
+                henry.teams.find(t => t.name === 'Newcastle United').league_points,
+                erik.teams.find(t => t.name === 'Chelsea').league_points,
+            ];
+        };
+        const warnings = () => JSON.parse(fs.readFileSync(path.join(dir, 'reconciliation-report.json'), 'utf8')).warnings;
+
+        assert.deepStrictEqual(split(await run()), [39, 5, 5]);
+        assert.deepStrictEqual(warnings(), [{ type: 'boundary_fallback', date: '2026-03-01', label: 'trade T1', snapshot: '2026-02-28' }]);
+
+        const store = JSON.parse(fs.readFileSync(history, 'utf8'));
+        store.snapshots.push(snapshot('2026-03-01', 40, 45));
+        fs.writeFileSync(history, JSON.stringify(store));
+        assert.deepStrictEqual(split(await run()), [40, 4, 4]);
+        assert.deepStrictEqual(warnings(), []);
+
+        // With no snapshot on or before the date there is nothing to split at
+        fs.writeFileSync(history, JSON.stringify({ season: '2025-2026', snapshots: [snapshot('2026-03-02', 40, 45)] }));
+        fs.rmSync(path.join(dir, 'results.json'));
+        await assert.rejects(run(), /Update aborted: no snapshot to split picks at/);
+        assert.strictEqual(fs.existsSync(path.join(dir, 'results.json')), false);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Carry-forward of last known values
+// ═══════════════════════════════════════════════════════════════════
+section('\nCarry-Forward');
+
+const carryCtx = { teams: ['Arsenal', 'Celtic'], players: ['Bukayo Saka', 'Kyogo Furuhashi'] };
+const carryRosters = {
+    pool_metadata: { season: '2025-2026' },
+    rosters: [
+        { participant: 'Alice', teams: [{ name: 'Arsenal' }], players: [{ name: 'Bukayo Saka' }] },
+        { participant: 'Bob', teams: [{ name: 'Celtic' }], players: [{ name: 'Kyogo Furuhashi' }] },
+    ],
+};
+const emptyCollected = { leagueStandings: {}, uefaStandings: {}, playerGoals: {}, cupProgress: {} };
+
+test('Entities a failed page left out reuse their previous value, keeping its refreshed date', () => {
+    const previousInputs = {
+        league_points: { Arsenal: { value: 30, refreshed: '2025-12-01' }, Celtic: { value: 28, refreshed: '2025-11-28' } },
+        uefa_league_phase_points: {},
+        cup_progress: {},
+        goals: { 'Kyogo Furuhashi': { value: 7, refreshed: '2025-11-28' } },
+    };
+    // The Scottish Premiership page and its club pages failed this run
+    const fresh = {
+        ...emptyCollected,
+        leagueStandings: { Arsenal: { value: 33, sources: ['pl'] } },
+        playerGoals: { 'Bukayo Saka': { value: 5, sources: ['arsenal'] } },
+    };
+    const { collected, inputs, carried } = carryForward(carryCtx, fresh, previousInputs, '2025-12-04');
+
+    assert.deepStrictEqual(carried, [
+        { metric: 'league_points', name: 'Celtic', refreshed: '2025-11-28' },
+        { metric: 'goals', name: 'Kyogo Furuhashi', refreshed: '2025-11-28' },
+    ]);
+    assert.strictEqual(collected.leagueStandings.Celtic.value, 28);
+    assert.deepStrictEqual(inputs.league_points, {
+        Arsenal: { value: 33, refreshed: '2025-12-04' },
+        Celtic: { value: 28, refreshed: '2025-11-28' },
+    });
+
+    const apiData = buildApiData(carryCtx, collected);
+    assert.deepStrictEqual(apiData.stale, { teams: { Celtic: '2025-11-28' }, players: { 'Kyogo Furuhashi': '2025-11-28' } });
+    assert.deepStrictEqual(apiData.players['Kyogo Furuhashi'], { season_total: 7 });
+    assert.strictEqual(buildApiData(carryCtx, { ...emptyCollected, leagueStandings: { Arsenal: { value: 33 } } }).stale, undefined);
+});
+
+test('One failed page no longer trips Rule A; the rest still updates', () => {
+    const previousApiData = {
+        teams: { Arsenal: { league_points: 30 }, Celtic: { league_points: 28 } },
+        players: { 'Bukayo Saka': { season_total: 4 }, 'Kyogo Furuhashi': { season_total: 7 } },
+    };
+    const previous = computeResults(carryRosters, previousApiData);
+    previous.inputs = carryForward(carryCtx, {
+        ...emptyCollected,
+        leagueStandings: { Arsenal: { value: 30 }, Celtic: { value: 28 } },
+        playerGoals: { 'Bukayo Saka': { value: 4 }, 'Kyogo Furuhashi': { value: 7 } },
+    }, null, '2025-11-28').inputs;
+
+    const fresh = {
+        ...emptyCollected,
+        leagueStandings: { Arsenal: { value: 33 } },
+        playerGoals: { 'Bukayo Saka': { value: 5 } },
+    };
+    const withoutCarry = computeResults(carryRosters, buildApiData(carryCtx, fresh));
+    assert.strictEqual(validateResults(withoutCarry, previous).valid, false);
+
+    const { collected } = carryForward(carryCtx, fresh, previous.inputs, '2025-12-04');
+    const results = computeResults(carryRosters, buildApiData(carryCtx, collected));
+    assert.deepStrictEqual(validateResults(results, previous), { valid: true, errors: [] });
+    assert.deepStrictEqual(results.team_pool.map(e => [e.participant, e.total_points]), [['Alice', 33], ['Bob', 28]]);
+    const celtic = results.team_pool.find(e => e.participant === 'Bob').teams[0];
+    assert.deepStrictEqual([celtic.stale, celtic.last_refreshed], [true, '2025-11-28']);
+    assert.strictEqual(results.team_pool.find(e => e.participant === 'Alice').teams[0].stale, undefined);
+});
+
+section('\nSplit-Season Leagues');
+
+// Minimal league article: regular season, then the championship group after the split
+const standingsTable = rows => `
+    <table class="wikitable">
+      <tr><th>Pos</th><th>Team</th><th>Pld</th><th>Pts</th></tr>
+      ${rows.map(([team, pts], i) => `<tr><td>${i + 1}</td><td><a href="#">${team}</a></td><td>30</td><td>${pts}</td></tr>`).join('')}
+    </table>`;
+const splitLeagueHtml = `
+    <h2>Regular season</h2>
+    <h3>League table</h3>
+    ${standingsTable([['Union SG', 65], ['Club Brugge', 62], ['Anderlecht', 55], ['Gent', 48], ['Genk', 47], ['Antwerp', 46]])}
+    <h2>Play-offs</h2>
+    <h3>Champions' play-offs</h3>
+    ${standingsTable([['Union SG', 39], ['Club Brugge', 37], ['Anderlecht', 28]])}
+    <h2>Top scorers</h2>`;
+
+test('Halved leagues recover play-off points from the carried-over half', () => {
+    const standings = parseSplitStandings(splitLeagueHtml, LEAGUE_PROFILES.split_halved);
+    // 65 halves to 33 (rounded up); 39 in the group table → 6 earned in the play-offs
+    assert.deepStrictEqual(standings['Union SG'], { points: 39, split: { regular: 65, carried: 33, playoff: 6 } });
+    assert.deepStrictEqual(standings['Club Brugge'].split, { regular: 62, carried: 31, playoff: 6 });
+});
+
+test('Teams outside the play-off tables keep their regular-season points', () => {
+    const standings = parseSplitStandings(splitLeagueHtml, LEAGUE_PROFILES.split_halved);
+    assert.deepStrictEqual(standings.Gent, { points: 48, split: { regular: 48, carried: 48, playoff: 0 } });
+});
+
+test('Full carry-over leagues subtract the whole regular season', () => {
+    const fullHtml = splitLeagueHtml.replace('<td>39</td>', '<td>71</td>');
+    const standings = parseSplitStandings(fullHtml, LEAGUE_PROFILES.split_full);
+    assert.deepStrictEqual(standings['Union SG'].split, { regular: 65, carried: 65, playoff: 6 });
+});
+
+test('The split breakdown survives reconciliation and reaches apiData', () => {
+    const split = { regular: 65, carried: 33, playoff: 6 };
+    const { merged } = reconcileMetric('league_points', ['Union SG'], {
+        wikipedia: { 'Union SG': { value: 39, split, sources: [] } },
+        'api-football': { 'Union SG': { value: 39, sources: [] } },
+    }, ['wikipedia', 'api-football'], 'prefer-primary');
+    const apiData = buildApiData({ teams: ['Union SG'], players: [] }, {
+        leagueStandings: merged, uefaStandings: {}, playerGoals: {}, cupProgress: {},
+    });
+    assert.strictEqual(apiData.teams['Union SG'].league_points, 39);
+    assert.deepStrictEqual(apiData.teams['Union SG'].league_split, split);
+});
+
+section('\nLeague Detection');
+
+test('The league row of a club season infobox names the league article', () => {
+    const html = `
+        <table class="infobox">
+          <tr><th>Manager</th><td>Kieran McKenna</td></tr>
+          <tr><th><a href="/wiki/2025%E2%80%9326_EFL_Championship">Championship</a></th><td>4th</td></tr>
+          <tr><th><a href="/wiki/2025%E2%80%9326_FA_Cup">FA Cup</a></th><td>Fourth round</td></tr>
+        </table>`;
+    assert.deepStrictEqual(parseSeasonLeague(html), {
+        name: 'Championship',
+        url: 'https://en.wikipedia.org/wiki/2025%E2%80%9326_EFL_Championship',
+    });
+});
+
+test('Cup rows are skipped and a plain "League" row is read', () => {
+    const html = `
+        <table class="infobox">
+          <tr><th><a href="./2025%E2%80%9326_EFL_Cup">EFL Cup</a></th><td>Second round</td></tr>
+          <tr><th>League</th><td><a href="./2025%E2%80%9326_Scottish_Championship">Scottish Championship</a>, 2nd</td></tr>
+        </table>`;
+    assert.strictEqual(parseSeasonLeague(html).url, 'https://en.wikipedia.org/wiki/2025%E2%80%9326_Scottish_Championship');
+    assert.strictEqual(parseSeasonLeague('<table class="infobox"><tr><th>Stadium</th><td>Portman Road</td></tr></table>'), null);
+});
+
+test('Club season page titles are guessed from the roster name unless mapped', () => {
+    assert.deepStrictEqual(clubSeasonPages('Celtic', '2025-2026'), [
+        'https://en.wikipedia.org/wiki/2025%E2%80%9326_Celtic_F.C._season',
+        'https://en.wikipedia.org/wiki/2025%E2%80%9326_Celtic_FC_season',
+        'https://en.wikipedia.org/wiki/2025%E2%80%9326_Celtic_season',
+    ]);
+    assert.strictEqual(clubSeasonPages('Ipswich Town', '2025-2026').length, 1);
+});
+
+test('Roster teams missing from every league table are reported', async () => {
+    const ctx = { teams: ['Arsenal', 'Ipswich Town'], players: [] };
+    const unmatched = await quietly(() => warnUnmatchedTeams(ctx, { Arsenal: { value: 70 } }));
+    assert.deepStrictEqual(unmatched, ['Ipswich Town']);
+});
+
+section('\nClub Stints');
+
+const newcastle = 'https://en.wikipedia.org/wiki/2025%E2%80%9326_Newcastle_United_F.C._season';
+const liverpool = 'https://en.wikipedia.org/wiki/2025%E2%80%9326_Liverpool_F.C._season';
+
+test('Goals from every club stint are summed', () => {
+    const merged = mergeStintGoals([], [{ url: newcastle, club: 'Newcastle United', goals: 6 }, { url: liverpool, club: 'Liverpool', goals: 4 }]);
+    assert.deepStrictEqual(merged, { value: 10, sources: [newcastle, liverpool] });
+});
+
+test('Scorer-table goals are merged club by club with the stint pages', () => {
+    const pl = 'https://en.wikipedia.org/wiki/PL';
+    const ucl = 'https://en.wikipedia.org/wiki/UCL';
+    const stints = (newcastleGoals, liverpoolGoals) => [
+        { url: newcastle, club: 'Newcastle United', goals: newcastleGoals },
+        { url: liverpool, club: 'Liverpool', goals: liverpoolGoals },
+    ];
+    // Both club pages read: a table row for either club is already in them
+    const both = [{ url: pl, goals: 7, clubs: ['Newcastle United', 'Liverpool'] }, { url: ucl, goals: 2, clubs: ['Liverpool'] }];
+    assert.deepStrictEqual(mergeStintGoals(both, stints(6, 4)), { value: 10, sources: [newcastle, liverpool] });
+    // The Liverpool page didn't list him: its goals come from the row that only names Liverpool,
+    // whether that row is smaller or larger than the Newcastle page
+    const liverpoolRow = [{ url: ucl, goals: 3, clubs: ['Liverpool'] }];
+    assert.deepStrictEqual(mergeStintGoals(liverpoolRow, stints(6, undefined)), { value: 9, sources: [newcastle, ucl] });
+    assert.strictEqual(mergeStintGoals([{ url: ucl, goals: 9, clubs: ['Liverpool'] }], stints(6, undefined)).value, 15);
+    // A Newcastle row the Newcastle page already counts adds nothing
+    assert.strictEqual(mergeStintGoals([{ url: pl, goals: 5, clubs: ['Newcastle United'] }], stints(6, undefined)).value, 6);
+    // A row across both clubs adds what the Newcastle page can't account for
+    assert.strictEqual(mergeStintGoals([{ url: pl, goals: 10, clubs: ['Newcastle United', 'Liverpool'] }], stints(6, undefined)).value, 10);
+    assert.strictEqual(mergeStintGoals([{ url: pl, goals: 5, clubs: [] }], stints(6, undefined)).value, 6);
+});
+
+test('Stint dates bound which match goals count', () => {
+    const before = { until: '2026-01-01' };
+    const after = { from: '2026-01-01' };
+    assert.strictEqual(inStint('2025-12-31', before), true);
+    assert.strictEqual(inStint('2026-01-01', before), false);
+    assert.strictEqual(inStint('2026-01-01', after), true);
+    assert.strictEqual(inStint('2025-10-01', {}), true);
+});
+
+section('\nClub Page Discovery');
+
+test('A player infobox names the current club, loan club first', () => {
+    const html = `
+        <table class="infobox vcard">
+          <tr><th>Position</th><td>Striker</td></tr>
+          <tr><th class="infobox-label">Current team</th>
+              <td><a href="./SSC_Napoli" title="SSC Napoli">Napoli</a> (on loan from <a href="./Manchester_United_F.C.">Manchester United</a>)</td></tr>
+        </table>`;
+    assert.deepStrictEqual(parseCurrentClub(html), { name: 'Napoli', title: 'SSC Napoli' });
+    assert.strictEqual(parseCurrentClub('<table class="infobox"><tr><th>Position</th><td>Striker</td></tr></table>'), null);
+});
+
+test('A club article links its season article', () => {
+    const html = `
+        <p>See <a href="/wiki/2024%E2%80%9325_Al-Ahli_Saudi_FC_season">last season</a>.</p>
+        <table class="infobox">
+          <tr><th>Current season</th><td><a href="/wiki/2025%E2%80%9326_Al-Ahli_Saudi_FC_season">2025–26 season</a></td></tr>
+        </table>`;
+    assert.strictEqual(parseClubSeasonLink(html, '2025-2026'), '2025–26 Al-Ahli Saudi FC season');
+    assert.strictEqual(parseClubSeasonLink(html, '2026-2027'), null);
+});
+
+test('Discoveries are compared with the latest sources.json stint', async () => {
+    const sources = { players: {
+        'Alexander Isak': { stints: [{ wikipedia: '{season} Newcastle United F.C. season' }, { wikipedia: '{season} Liverpool F.C. season' }] },
+        'Rasmus Højlund': { stints: [{ wikipedia: '{season} Manchester United F.C. season' }] },
+        'Victor Aghehowa': { stints: [] },
+        'Jhon Duran': { stints: [] },
+    } };
+    const found = {
+        'Alexander Isak': { article: 'Alexander Isak', club: 'Liverpool', club_article: 'Liverpool F.C.', wikipedia: '{season} Liverpool F.C. season' },
+        'Rasmus Højlund': { article: 'Rasmus Højlund', club: 'Napoli', club_article: 'SSC Napoli', wikipedia: '{season} SSC Napoli season' },
+        'Victor Aghehowa': { article: 'Victor Aghehowa', club: 'Porto', club_article: 'FC Porto', wikipedia: '{season} FC Porto season' },
+        'Jhon Duran': { article: 'Jhon Durán', club: 'Al-Nassr', club_article: 'Al-Nassr FC', reason: 'no 2025–26 season article for Al-Nassr FC' },
+    };
+    const proposals = await discoverPages(Object.keys(found), '2025-2026', sources, async name => found[name]);
+    const status = Object.fromEntries(Object.entries(proposals.players).map(([name, p]) => [name, p.status]));
+    assert.deepStrictEqual(status, { 'Alexander Isak': 'unchanged', 'Rasmus Højlund': 'changed', 'Victor Aghehowa': 'new', 'Jhon Duran': 'failed' });
+    assert.deepStrictEqual(proposals.players['Rasmus Højlund'].stint, { club: 'Napoli', wikipedia: '{season} SSC Napoli season' });
+    assert.strictEqual(proposals.players['Rasmus Højlund'].current, '{season} Manchester United F.C. season');
+    assert.strictEqual(proposeStint(found['Jhon Duran'], undefined).reason, 'no 2025–26 season article for Al-Nassr FC');
+});
+
+test('Roster players no provider found goals for are reported', async () => {
+    const ctx = { teams: [], players: ['Erling Haaland', 'Victor Aghehowa'] };
+    const unmapped = await quietly(() => warnUnmappedPlayers(ctx, { 'Erling Haaland': { value: 20 } }));
+    assert.deepStrictEqual(unmapped, ['Victor Aghehowa']);
+});
+
+section('\nName Matching');
+
+const matchTeams = {
+    'Inter Milan': ['Inter Milan', 'Inter', 'Internazionale'],
+    'Napoli': ['Napoli'],
+    'Sparta Praha': ['Sparta Prague', 'Sparta Praha'],
+    'Slavia Praha': ['Slavia Prague', 'Slavia Praha'],
+};
+const matchPlayers = {
+    'Rasmus Højlund': ['Rasmus Højlund'],
+    'Dusan Vlahovic': ['Dušan Vlahović'],
+    'Kylian Mbappe': ['Kylian Mbappé', 'Mbappé'],
+    'Alexander Isak': ['Alexander Isak'],
+};
+
+test('Transliterated and accented spellings are exact matches', () => {
+    assert.strictEqual(nameSimilarity('Rasmus Hojlund', 'Rasmus Højlund'), 1);
+    assert.strictEqual(nameSimilarity('Dusan Vlahovic', 'Dušan Vlahović'), 1);
+    assert.strictEqual(nameSimilarity('Thomas Müller', 'Thomas Muller'), 1);
+    assert.strictEqual(scoreName('Rasmus Hojlund', matchPlayers, 'player').match, 'Rasmus Højlund');
+    assert.strictEqual(scoreName('SSC Napoli', matchTeams, 'team').match, 'Napoli');
+});
+
+test('A shared word is not enough: "Inter Miami" is not Inter Milan', () => {
+    const result = scoreName('Inter Miami', matchTeams, 'team');
+    assert.strictEqual(result.match, null);
+    assert.strictEqual(result.candidate, 'Inter Milan');
+    assert.ok(result.score < 0.75, `score ${result.score}`);
+    assert.strictEqual(scoreName('Alexander Iwobi', matchPlayers, 'player').match, null);
+});
+
+test('Near misses are logged as borderline, not accepted', () => {
+    resetMatchLog();
+    assert.strictEqual(matchName('Kylian Mbape', matchPlayers, 'player'), null);
+    assert.strictEqual(matchName('Spartak Praha', matchTeams, 'team'), null);
+    assert.strictEqual(matchName('Sparta Prague', matchTeams, 'team'), 'Sparta Praha');
+    const report = matchReport({ teams: [], players: [] });
+    assert.deepStrictEqual(report.borderline.map(b => [b.name, b.candidate]), [
+        ['Spartak Praha', 'Sparta Praha'],
+        ['Kylian Mbape', 'Kylian Mbappe'],
+    ]);
+});
+
+test('Unmatched roster names list the closest names seen', () => {
+    resetMatchLog();
+    ['Alexander Isaksen', 'Alexander Iwobi', 'Erling Haaland'].forEach(name => matchName(name, matchPlayers, 'player'));
+    const report = matchReport({ teams: [], players: ['Alexander Isak'] });
+    assert.deepStrictEqual(report.unmatched[0].closest.map(c => c.name), ['Alexander Isaksen', 'Alexander Iwobi']);
+    resetMatchLog();
+});
+
+section('\nFetch Layer');
+
+// Local HTTP stub: `handle(req, res, hit)` answers every request, `hit`
+// counting requests to the same path from 1
+async function withStub(handle, fn) {
+    const hits = {};
+    const stats = { inFlight: 0, maxInFlight: 0, starts: [] };
+    const server = http.createServer((req, res) => {
+        hits[req.url] = (hits[req.url] || 0) + 1;
+        stats.inFlight++;
+        stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+        stats.starts.push(Date.now());
+        res.on('close', () => stats.inFlight--);
+        handle(req, res, hits[req.url]);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        return await fn(`http://127.0.0.1:${server.address().port}`, hits, stats);
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+// Fetcher whose backoff waits are recorded instead of slept
+function stubFetcher(options = {}) {
+    const waits = [];
+    const fetcher = createFetcher({ hostDelay: 0, backoff: 100, sleep: async ms => { waits.push(ms); }, ...options });
+    return { fetcher, waits };
+}
+
+test('429 and 5xx responses are retried with backoff or Retry-After', async () => {
+    await withStub((req, res, hit) => {
+        if (hit === 1) { res.statusCode = 503; return res.end(); }
+        if (hit === 2) { res.writeHead(429, { 'Retry-After': '7' }); return res.end(); }
+        res.end('ok');
+    }, async (base, hits) => {
+        const { fetcher, waits } = stubFetcher();
+        assert.strictEqual(await fetcher.getText(`${base}/flaky`), 'ok');
+        assert.strictEqual(hits['/flaky'], 3);
+        assert.deepStrictEqual(waits, [100, 7000]);
+    });
+    assert.strictEqual(retryAfterMs('Wed, 21 Oct 2026 07:28:30 GMT', Date.parse('Wed, 21 Oct 2026 07:28:00 GMT')), 30000);
+});
+
+test('Retries run out on a failing server, and 404s are not retried', async () => {
+    await withStub((req, res) => {
+        res.statusCode = req.url === '/down' ? 500 : 404;
+        res.end();
+    }, async (base, hits) => {
+        const { fetcher, waits } = stubFetcher({ retries: 2 });
+        await assert.rejects(fetcher.getText(`${base}/down`), err => err.status === 500 && /HTTP 500/.test(err.message));
+        assert.strictEqual(hits['/down'], 3);
+        assert.deepStrictEqual(waits, [100, 200]);
+        await assert.rejects(fetcher.getText(`${base}/missing`), /HTTP 404/);
+        assert.strictEqual(hits['/missing'], 1);
+    });
+});
+
+test('A hung request times out and is retried', async () => {
+    await withStub((req, res, hit) => {
+        if (hit === 1) return; // never answers
+        res.end('late but fine');
+    }, async (base, hits) => {
+        const { fetcher } = stubFetcher({ timeout: 50 });
+        assert.strictEqual(await fetcher.getText(`${base}/hang`), 'late but fine');
+        assert.strictEqual(hits['/hang'], 2);
+    });
+});
+
+test('Redirects are followed up to the cap', async () => {
+    await withStub((req, res) => {
+        if (req.url === '/old') { res.writeHead(301, { Location: '/new' }); return res.end(); }
+        if (req.url === '/loop') { res.writeHead(302, { Location: '/loop' }); return res.end(); }
+        res.end(`at ${req.url}`);
+    }, async (base, hits) => {
+        const { fetcher } = stubFetcher({ maxRedirects: 3 });
+        assert.strictEqual(await fetcher.getText(`${base}/old`), 'at /new');
+        await assert.rejects(fetcher.getText(`${base}/loop`), /Too many redirects \(3\)/);
+        assert.strictEqual(hits['/loop'], 4);
+    });
+});
+
+test('The pool bounds requests in flight and spaces them per host', async () => {
+    await withStub((req, res) => {
+        setTimeout(() => res.end(req.url), 40);
+    }, async (base, hits, stats) => {
+        const fetcher = createFetcher({ concurrency: 2, hostDelay: 15 });
+        const pages = await Promise.all([1, 2, 3, 4, 5].map(i => fetcher.getText(`${base}/page${i}`)));
+        assert.deepStrictEqual(pages, ['/page1', '/page2', '/page3', '/page4', '/page5']);
+        assert.strictEqual(stats.maxInFlight, 2);
+        const gaps = stats.starts.slice(1).map((t, i) => t - stats.starts[i]);
+        assert.ok(gaps.every(gap => gap >= 10), `gaps ${gaps.join(', ')}`);
+        assert.strictEqual(fetcher.requestCount(), 5);
+    });
+});
+
+test('A freed pool slot goes to the request waiting for it, not a newcomer', async () => {
+    await withStub((req, res, hit) => {
+        if (req.url === '/reset' && hit === 1) return req.socket.destroy();
+        setTimeout(() => res.end(req.url), 30);
+    }, async (base, hits, stats) => {
+        let newcomer;
+        // The retry log line runs right after the failed request frees its slot
+        const { fetcher } = stubFetcher({
+            concurrency: 1,
+            log: line => { if (line.startsWith('↻') && !newcomer) newcomer = fetcher.getText(`${base}/newcomer`); },
+        });
+        const first = fetcher.getText(`${base}/reset`);
+        const waiting = fetcher.getText(`${base}/waiting`);
+        assert.deepStrictEqual(await Promise.all([first, waiting]), ['/reset', '/waiting']);
+        assert.strictEqual(await newcomer, '/newcomer');
+        assert.strictEqual(stats.maxInFlight, 1);
+    });
+});
+
+section('\nPage Cache');
+
+// Stub page with an ETag that answers conditional requests; `versions`
+// lists the body served on each hit, a repeat meaning "unchanged"
+function cachedPageStub(versions) {
+    return (req, res, hit) => {
+        const body = versions[Math.min(hit, versions.length) - 1];
+        const etag = `"${Buffer.from(body).toString('hex')}"`;
+        if (req.headers['if-none-match'] === etag) { res.statusCode = 304; return res.end(); }
+        res.writeHead(200, { ETag: etag, 'Last-Modified': 'Sat, 17 Oct 2026 08:00:00 GMT' });
+        res.end(body);
+    };
+}
+
+test('An unchanged page is revalidated with its ETag and not parsed again', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'page-cache-'));
+    try {
+        await withStub(cachedPageStub(['<p>v1</p>', '<p>v1</p>']), async (base, hits) => {
+            const url = `${base}/wiki/2025%E2%80%9326_Liverpool_F.C._season`;
+            let parses = 0;
+            const parse = html => { parses++; return { length: html.length }; };
+
+            // Each run has its own fetcher and cache object, as in the scraper
+            const first = createPageCache(stubFetcher().fetcher, { dir, version: 'v' });
+            const fresh = await first.get(url);
+            assert.strictEqual(fresh.unchanged, false);
+            assert.deepStrictEqual(first.parsePage(fresh, ['parse'], () => parse(fresh.html)), { length: 9 });
+            assert.deepStrictEqual(first.parsePage(fresh, ['parse'], () => parse(fresh.html)), { length: 9 });
+            assert.strictEqual(parses, 1);
+
+            const second = createPageCache(stubFetcher().fetcher, { dir, version: 'v' });
+            const page = await second.get(url);
+            assert.strictEqual(page.unchanged, true);
+            assert.strictEqual(page.html, '<p>v1</p>');
+            assert.deepStrictEqual(second.parsePage(page, ['parse'], () => parse(page.html)), { length: 9 });
+            assert.strictEqual(parses, 1);
+            assert.strictEqual(hits['/wiki/2025%E2%80%9326_Liverpool_F.C._season'], 2);
+
+            // Raw HTML is kept next to its metadata, named after the page
+            const name = cacheName(url);
+            assert.ok(name.startsWith('2025–26_Liverpool_F.C._season.'));
+            assert.strictEqual(fs.readFileSync(path.join(dir, `${name}.html`), 'utf8'), '<p>v1</p>');
+            const meta = JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8'));
+            assert.strictEqual(meta.last_modified, 'Sat, 17 Oct 2026 08:00:00 GMT');
+        });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('A changed page or new parser version is parsed again', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'page-cache-'));
+    try {
+        await withStub(cachedPageStub(['<p>v1</p>', '<p>v1</p>', '<p>v2!</p>']), async (base) => {
+            const url = `${base}/wiki/Page`;
+            let parses = 0;
+            const run = async (version) => {
+                const cache = createPageCache(stubFetcher().fetcher, { dir, version });
+                const page = await cache.get(url);
+                return cache.parsePage(page, ['parse', 'arg'], () => { parses++; return page.html; });
+            };
+            assert.strictEqual(await run('v1'), '<p>v1</p>');
+            assert.strictEqual(await run('v2'), '<p>v1</p>'); // 304, but the parser changed
+            assert.strictEqual(parses, 2);
+            assert.strictEqual(await run('v2'), '<p>v2!</p>'); // 200 with a new body
+            assert.strictEqual(parses, 3);
+        });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+section('\nSource Config');
+
+test('Every roster pick has a sources.json entry', () => {
+    const rosters = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'rosters.json'), 'utf8'));
+    assert.deepStrictEqual(missingSources(rosters, loadSources()), []);
+});
+
+test('Picks missing from sources.json and unknown leagues are reported', () => {
+    const rosters = { rosters: [{ participant: 'Erik', teams: [{ name: 'Ajax' }, { name: 'Go Ahead Eagles' }], players: [{ name: 'Mystery Striker' }] }] };
+    const sources = {
+        leagues: { Eredivisie: {} },
+        teams: { Ajax: { league: 'Eredivisie' }, Feyenoord: { league: 'Dutch League' } },
+        players: {},
+    };
+    assert.deepStrictEqual(missingSources(rosters, sources), [
+        'Team "Go Ahead Eagles" (Erik) is not in sources.json',
+        'Player "Mystery Striker" (Erik) is not in sources.json',
+        'Team "Feyenoord" is in unknown league "Dutch League"',
+    ]);
+});
+
+section('\nSeason Bootstrap');
+
+const BOOTSTRAP_FIXTURES = path.join(__dirname, 'fixtures', 'season-bootstrap');
+
+// A page "exists" if the fixture set has a saved copy of it
+async function fixturePageExists(url) {
+    const title = decodeURIComponent(url.slice(url.indexOf('/wiki/') + '/wiki/'.length));
+    return fs.existsSync(path.join(BOOTSTRAP_FIXTURES, 'wikipedia', `${title}.html`));
+}
+
+function bootstrapDataDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bootstrap-'));
+    fs.cpSync(path.join(BOOTSTRAP_FIXTURES, 'data'), dir, { recursive: true });
+    return dir;
+}
+
+test('Page URLs are generated from the season', () => {
+    const pages = seasonPages(loadSources(), '2025-2026');
+    const urls = pages.map(p => p.url);
+    assert.ok(urls.includes('https://en.wikipedia.org/wiki/2025%E2%80%9326_Premier_League'));
+    assert.ok(urls.includes('https://en.wikipedia.org/wiki/2025%E2%80%9326_UEFA_Conference_League'));
+    assert.ok(urls.includes('https://en.wikipedia.org/wiki/2025%E2%80%9326_UEFA_Conference_League_knockout_phase'));
+    assert.ok(urls.includes('https://en.wikipedia.org/wiki/2025%E2%80%9326_Ta%C3%A7a_de_Portugal'));
+    assert.ok(urls.every(url => url.includes('2025%E2%80%9326_')));
+    assert.strictEqual(wikiPageUrl('{season} Premier League', '2026-2027'), 'https://en.wikipedia.org/wiki/2026%E2%80%9327_Premier_League');
+    assert.strictEqual(wikiPageUrl('{end} FIFA World Cup', '2025-2026'), 'https://en.wikipedia.org/wiki/2026_FIFA_World_Cup');
+    assert.strictEqual(nextSeason('2025-2026'), '2026-2027');
+});
+
+test('Bootstrap writes nothing while a generated page is missing', async () => {
+    const dir = bootstrapDataDir();
+    try {
+        const before = fs.readFileSync(path.join(dir, 'rosters.json'), 'utf8');
+        const result = await bootstrapSeason('2026-2027', { dataDir: dir, exists: fixturePageExists });
+        // The fixture config still uses the old "Europa Conference League" title
+        assert.deepStrictEqual(result.missing.map(p => p.label), ['UEFA: Conference League']);
+        assert.strictEqual(result.written, false);
+        assert.strictEqual(fs.readFileSync(path.join(dir, 'rosters.json'), 'utf8'), before);
+        assert.strictEqual(fs.existsSync(path.join(dir, 'archive')), false);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('Bootstrap archives last season and starts the next one with no picks', async () => {
+    const dir = bootstrapDataDir();
+    try {
+        const sourcesPath = path.join(dir, 'sources.json');
+        const sources = JSON.parse(fs.readFileSync(sourcesPath, 'utf8'));
+        sources.uefa['Conference League'].wikipedia = '{season} UEFA Conference League';
+        fs.writeFileSync(sourcesPath, JSON.stringify(sources));
+
+        const result = await bootstrapSeason('2026-2027', { dataDir: dir, exists: fixturePageExists });
+        assert.strictEqual(result.pages, 6);
+        assert.deepStrictEqual(result.missing, []);
+        assert.strictEqual(result.written, true);
+
+        const archived = JSON.parse(fs.readFileSync(path.join(dir, 'archive', '2025-2026', 'rosters.json'), 'utf8'));
+        assert.strictEqual(archived.rosters[0].teams[0].name, 'Arsenal');
+
+        const rosters = JSON.parse(fs.readFileSync(path.join(dir, 'rosters.json'), 'utf8'));
+        assert.strictEqual(rosters.pool_metadata.season, '2026-2027');
+        assert.strictEqual(rosters.pool_metadata.phase_2_start_date, '2027-02-01');
+        assert.deepStrictEqual(rosters.pool_metadata.participants, ['Erik', 'Henry']);
+        assert.deepStrictEqual(rosters.rosters, [
+            { participant: 'Erik', teams: [], players: [] },
+            { participant: 'Henry', teams: [], players: [] },
+        ]);
+
+        const next = JSON.parse(fs.readFileSync(sourcesPath, 'utf8'));
+        assert.strictEqual(next.season, '2026-2027');
+        assert.deepStrictEqual(next.players['Alexander Isak'].stints, [
+            { club: 'Liverpool', api_football_team_id: 40, wikipedia: '{season} Liverpool F.C. season' },
+        ]);
+        assert.strictEqual(next.players['Alexander Isak'].note, undefined);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'transactions.json'), 'utf8')), { season: '2026-2027', trades: [] });
+
+        // Last season's results, goal events and snapshots are archived, not carried into the new season
+        const readData = file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        const results = readData('results.json');
+        assert.strictEqual(results.season, '2026-2027');
+        assert.deepStrictEqual(results.team_pool.map(e => [e.participant, e.total_points]), [['Erik', 0], ['Henry', 0]]);
+        assert.deepStrictEqual(results.goals_pool.map(e => e.total_goals), [0, 0]);
+        assert.deepStrictEqual(readData('goal-events.json'), { season: '2026-2027', updated_at: null, players: {} });
+        assert.deepStrictEqual(readData('standings-history.json'), { season: '2026-2027', snapshots: [] });
+        assert.strictEqual(readData('archive/2025-2026/results.json').team_pool[0].total_points, 85);
+        assert.strictEqual(readData('archive/2025-2026/goal-events.json').players['Alexander Isak'].length, 1);
+        assert.strictEqual(readData('archive/2025-2026/standings-history.json').snapshots.length, 1);
+
+        await assert.rejects(bootstrapSeason('2026-2027', { dataDir: dir, exists: fixturePageExists }), /already for 2026-2027/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+section('\nRecorded Runs');
+
+const RECORDED_RUN = path.join(__dirname, 'fixtures', 'recorded-run');
+
+// Saved page from the recorded run, by its sources.json title template
+function recordedPage(template) {
+    return fs.readFileSync(path.join(RECORDED_RUN, 'pages', `${cacheName(wikiPageUrl(template, '2025-2026'))}.html`), 'utf8');
+}
+
+function recordingCopy() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorded-run-'));
+    fs.cpSync(RECORDED_RUN, dir, { recursive: true });
+    return dir;
+}
+
+test('Scraper parsers read the recorded pages', () => {
+    const league = recordedPage('{season} Premier League');
+    assert.deepStrictEqual(parseStandings(league), {
+        Arsenal: 61, Liverpool: 57, 'Manchester City': 52, 'Aston Villa': 50, Chelsea: 49, 'Newcastle United': 44,
+    });
+    // Tied ranks share one rowspanned goals cell
+    assert.deepStrictEqual(parseTopScorers(league), {
+        'Erling Haaland': 22, 'Cole Palmer': 14, 'Mohamed Salah': 12, 'Alexander Isak': 10, 'Bukayo Saka': 9, 'Ollie Watkins': 9,
+    });
+    // A player who moved within the league lists both clubs in one row
+    assert.deepStrictEqual(parseScorerRows(league)['Alexander Isak'], { goals: 10, clubs: ['Newcastle United', 'Liverpool'] });
+    assert.deepStrictEqual(parseScorerRows(league)['Ollie Watkins'], { goals: 9, clubs: ['Aston Villa'] });
+    assert.deepStrictEqual(parseTeamGoalscorers(recordedPage('{season} Liverpool F.C. season'), ['Alexander Isak']), {
+        'Mohamed Salah': 13, 'Alexander Isak': 5,
+    });
+    const arsenal = parseMatchGoals(recordedPage('{season} Arsenal F.C. season'));
+    assert.strictEqual(arsenal.some(g => g.date === '2025-07-30'), false); // friendly
+    assert.deepStrictEqual(arsenal.filter(g => g.scorer === 'Bukayo Saka').map(g => [g.date, g.minute, g.stoppage, g.type, g.competition]), [
+        ['2025-11-23', 36, 0, 'penalty', 'Premier League'],
+        ['2026-02-07', 20, 0, 'normal', 'Premier League'],
+        ['2026-02-07', 90, 2, 'normal', 'Premier League'],
+        ['2026-01-11', 85, 0, 'normal', 'FA Cup'],
+    ]);
+});
+
+test('Replaying a recording offline reproduces its results.json', async () => {
+    const dir = recordingCopy();
+    try {
+        const { results, replay } = await quietly(() => scrape({ snapshotDir: dir, snapshotMode: 'replay' }));
+        assert.deepStrictEqual(replay, { identical: true, differences: [] });
+        assert.strictEqual(results.last_updated, '2026-03-14T08:00:00.000Z');
+        assert.strictEqual(results.inputs.rules_version, JSON.parse(fs.readFileSync(path.join(dir, 'data', 'rules.json'), 'utf8')).version);
+        assert.deepStrictEqual(results.team_pool.map(e => [e.participant, e.total_points]), [['Henry', 106], ['Erik', 105]]);
+        assert.deepStrictEqual(results.goals_pool.map(e => [e.participant, e.total_goals]), [['Erik', 20], ['Henry', 14]]);
+        // The recorded inputs are left as they were; the replay ran on a copy
+        assert.strictEqual(fs.existsSync(path.join(dir, 'data', 'goal-events.json')), false);
+        assert.ok(fs.existsSync(path.join(dir, 'replay', 'goal-events.json')));
+
+        // A page the recording doesn't have fails like a failed fetch
+        fs.rmSync(path.join(dir, 'pages', `${cacheName(wikiPageUrl('{season} Premier League', '2025-2026'))}.html`));
+        const broken = await quietly(() => scrape({ snapshotDir: dir, snapshotMode: 'replay' }));
+        assert.strictEqual(broken.replay.identical, false);
+        assert.ok(broken.replay.differences.includes('team_pool: Erik'));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('Recorded pages are served back by URL', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-'));
+    try {
+        const url = wikiPageUrl('{season} FA Cup', '2025-2026');
+        const live = { get: async u => ({ url: u, html: `<p>${u}</p>`, unchanged: false, meta: {} }), parsePage: (page, key, parse) => parse() };
+        await recordPages(live, dir).get(url);
+        const replayed = replayPages(dir);
+        assert.strictEqual((await replayed.get(url)).html, `<p>${url}</p>`);
+        await assert.rejects(replayed.get(wikiPageUrl('{season} EFL Cup', '2025-2026')), /Not in the recording/);
+        await assert.rejects(scrape({ provider: 'wikipedia,api-football', snapshotDir: dir }), /wikipedia provider only/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('Results from another season are not carried forward or used as a floor', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'season-change-'));
+    try {
+        fs.cpSync(path.join(__dirname, 'fixtures', 'recorded-run', 'data'), dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, 'results.json'), JSON.stringify({
+            season: '2024-2025',
+            team_pool: [{ participant: 'Erik', total_points: 150 }, { participant: 'Henry', total_points: 140 }],
+            goals_pool: [{ participant: 'Erik', total_goals: 40 }, { participant: 'Henry', total_goals: 25 }],
+            inputs: {
+                league_points: { 'Newcastle United': { value: 66, refreshed: '2025-05-25' } },
+                goals: { 'Alexander Isak': { value: 23, refreshed: '2025-05-25' } },
+            },
+        }));
+        const provider = fakeProvider('wikipedia', {
+            fetchLeagueStandings: { Arsenal: { value: 3, sources: [] }, Liverpool: { value: 1, sources: [] }, Chelsea: { value: 1, sources: [] } },
+            fetchPlayerGoals: { 'Bukayo Saka': { value: 1, sources: [] } },
+        });
+        const results = await quietly(() => runPipeline([provider], { dataDir: dir, now: '2025-08-20T08:00:00.000Z' }));
+        assert.deepStrictEqual(results.team_pool.map(e => [e.participant, e.total_points]), [['Erik', 3], ['Henry', 2]]);
+        assert.deepStrictEqual(results.inputs.league_points['Newcastle United'], undefined);
+        assert.deepStrictEqual(results.inputs.goals['Alexander Isak'], undefined);
+        assert.strictEqual(results.team_pool.find(e => e.participant === 'Erik').teams.some(t => t.stale), false);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('Inputs recorded under other rules are not carried forward', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-change-'));
+    try {
+        fs.cpSync(path.join(__dirname, 'fixtures', 'recorded-run', 'data'), dir, { recursive: true });
+        const { version } = JSON.parse(fs.readFileSync(path.join(dir, 'rules.json'), 'utf8'));
+        const previous = rulesVersion => ({
+            season: '2025-2026',
+            team_pool: [{ participant: 'Erik', total_points: 0 }, { participant: 'Henry', total_points: 0 }],
+            goals_pool: [{ participant: 'Erik', total_goals: 0 }, { participant: 'Henry', total_goals: 0 }],
+            inputs: { rules_version: rulesVersion, league_points: { 'Newcastle United': { value: 2, refreshed: '2025-08-18' } } },
+        });
+        const provider = fakeProvider('wikipedia', {
+            fetchLeagueStandings: { Arsenal: { value: 3, sources: [] }, Liverpool: { value: 1, sources: [] }, Chelsea: { value: 1, sources: [] } },
+        });
+        const run = async rulesVersion => {
+            fs.writeFileSync(path.join(dir, 'results.json'), JSON.stringify(previous(rulesVersion)));
+            const results = await quietly(() => runPipeline([provider], { dataDir: dir, now: '2025-08-20T08:00:00.000Z' }));
+            return results.inputs.league_points['Newcastle United'];
+        };
+        assert.deepStrictEqual(await run(version), { value: 2, refreshed: '2025-08-18' });
+        assert.strictEqual(await run('0.9'), undefined);
+        assert.strictEqual(await run(undefined), undefined);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Summary
+// ═══════════════════════════════════════════════════════════════════
+run().then(() => {
+    console.log(`\n${'═'.repeat(50)}`);
+    console.log(`  Results: ${passed} passed, ${failed} failed`);
+    console.log(`${'═'.repeat(50)}\n`);
+
+    process.exit(failed > 0 ? 1 : 0);
+});
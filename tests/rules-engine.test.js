@@ -11,6 +11,14 @@ const {
     isSupercup,
     getDomesticCupBonus,
     getUefaCupBonus,
+    countPlayerGoals,
+    getLeaguePoints,
+    validatePhaseSwaps,
+    validateTransactions,
+    computeResults,
+    rankStandings,
+    resolvePayoutTable,
+    DEFAULT_RULES,
 } = require('../js/rules-engine.js');
 
 let passed = 0;
@@ -241,6 +249,36 @@ test('Three-way tie at 1st: alphabetical by first name gets $250', () => {
     assert.strictEqual(dave.payout, 50); // next highest non-tied
 });
 
+test('Configured pot: percentages resolve against the pot', () => {
+    const table = resolvePayoutTable({
+        pot: 600, currency: '€', places: [{ percent: 70 }, { percent: 20 }, { percent: 10 }],
+    });
+    assert.deepStrictEqual(table.places.map(p => p.amount), [420, 120, 60]);
+    assert.strictEqual(table.currency, '€');
+});
+
+test('Configured pot: three paid places, clear finish', () => {
+    const config = { pot: 600, places: [{ percent: 70 }, { percent: 20 }, { percent: 10 }] };
+    const payouts = calculatePayouts([
+        { participant: 'A', total: 90 },
+        { participant: 'B', total: 80 },
+        { participant: 'C', total: 70 },
+        { participant: 'D', total: 60 },
+    ], config);
+    assert.deepStrictEqual(payouts.map(p => p.payout), [420, 120, 60, 0]);
+});
+
+test('Configured pot: 2-way tie for 2nd pools 2nd and 3rd prizes', () => {
+    const config = { pot: 600, places: [{ amount: 400 }, { amount: 150 }, { amount: 50 }] };
+    const payouts = calculatePayouts([
+        { participant: 'A', total: 90 },
+        { participant: 'B', total: 80 },
+        { participant: 'C', total: 80 },
+        { participant: 'D', total: 60 },
+    ], config);
+    assert.deepStrictEqual(payouts.map(p => p.payout), [400, 100, 100, 0]);
+});
+
 // ═══════════════════════════════════════════════════════════════════
 // Supercup Detection Tests
 // ═══════════════════════════════════════════════════════════════════
@@ -270,6 +308,551 @@ test('Champions League is NOT a supercup', () => {
     assert.strictEqual(isSupercup('Champions League'), false);
 });
 
+// ═══════════════════════════════════════════════════════════════════
+// computeResults — Normalized apiData Pipeline
+// ═══════════════════════════════════════════════════════════════════
+console.log('\ncomputeResults — Normalized apiData');
+
+const sampleRosters = {
+    pool_metadata: { season: '2025-2026' },
+    rosters: [
+        {
+            participant: 'Alice',
+            teams: [{ name: 'Arsenal' }, { name: 'Celtic' }],
+            players: [
+                { name: 'Bukayo Saka', active_from_date: '2025-08-01' },
+                { name: 'Cole Palmer', active_from_date: '2026-02-01' },
+            ],
+        },
+        {
+            participant: 'Bob',
+            teams: [{ name: 'Chelsea' }],
+            players: [{ name: 'Harry Kane', active_from_date: '2025-08-01' }],
+        },
+    ],
+};
+
+test('Season totals are counted as-is; event lists apply exclusion rules', () => {
+    assert.strictEqual(countPlayerGoals({ season_total: 7 }, '2025-08-01'), 7);
+    assert.strictEqual(countPlayerGoals(undefined, '2025-08-01'), 0);
+    assert.strictEqual(countPlayerGoals([
+        { date: '2026-01-10', minute: 10, type: 'normal', competition: 'Premier League' },
+        { date: '2026-02-10', minute: 10, type: 'normal', competition: 'Premier League' },
+    ], '2026-02-01'), 1);
+});
+
+test('Cup milestones from apiData flow into team totals and details', () => {
+    const results = computeResults(sampleRosters, {
+        teams: {
+            Arsenal: {
+                league_points: 80,
+                uefa_league_phase_points: 15,
+                domestic_cup: { milestone: 'semifinal' },
+                uefa_cup: { competition: 'champions_league', milestone: 'winner' },
+            },
+            Celtic: { league_points: 70, uefa_league_phase_points: 0, domestic_cup: null, uefa_cup: null },
+            Chelsea: { league_points: 60, uefa_league_phase_points: 10, domestic_cup: null, uefa_cup: null },
+        },
+        players: {},
+    });
+    const alice = results.team_pool.find(e => e.participant === 'Alice');
+    assert.strictEqual(alice.total_points, 80 + 15 + 8 + 20 + 70);
+    assert.strictEqual(alice.teams[0].domestic_cup_points, 8);
+    assert.strictEqual(alice.teams[0].details, 'League: 80 | UEFA: 35 | Cup: 8');
+    assert.strictEqual(results.team_pool[0].participant, 'Alice');
+    assert.strictEqual(results.season, '2025-2026');
+});
+
+test('Goals pool honours active_from_date and mixed player entry shapes', () => {
+    const results = computeResults(sampleRosters, {
+        teams: {},
+        players: {
+            'Bukayo Saka': { season_total: 9 },
+            'Cole Palmer': [
+                { date: '2026-01-20', minute: 30, type: 'normal', competition: 'Premier League' },
+                { date: '2026-02-14', minute: 30, type: 'penalty', competition: 'Premier League' },
+                { date: '2026-02-21', minute: 80, type: 'own_goal', competition: 'Premier League' },
+            ],
+            'Harry Kane': { season_total: 11 },
+        },
+    });
+    const alice = results.goals_pool.find(e => e.participant === 'Alice');
+    assert.strictEqual(alice.total_goals, 10);
+    assert.strictEqual(results.goals_pool[0].participant, 'Bob');
+    assert.strictEqual(results.goals_pool[0].rank, 1);
+});
+
+test('computeResults publishes each pool\'s payout table with the payouts', () => {
+    const rosters = JSON.parse(JSON.stringify(sampleRosters));
+    rosters.pool_metadata.pools = {
+        team_pool: { pot: 120, currency: '£', places: [{ amount: 100 }, { amount: 20 }] },
+    };
+    const results = computeResults(rosters, { teams: {}, players: {} });
+    assert.strictEqual(results.payouts.team_pool.pot, 120);
+    assert.strictEqual(results.payouts.team_pool.currency, '£');
+    assert.strictEqual(results.payouts.goals_pool.pot, 300); // default table
+});
+
+test('Precomputed payouts match calculatePayouts, including a 3-way tie', () => {
+    const rosters = {
+        pool_metadata: { season: '2025-2026' },
+        rosters: ['Charlie', 'Alice', 'Bob', 'Dave'].map(name => ({
+            participant: name,
+            teams: [{ name: `${name} FC` }],
+            players: [],
+        })),
+    };
+    const results = computeResults(rosters, {
+        teams: {
+            'Charlie FC': { league_points: 100 },
+            'Alice FC': { league_points: 100 },
+            'Bob FC': { league_points: 100 },
+            'Dave FC': { league_points: 50 },
+        },
+        players: {},
+    });
+    const { entries, notes } = results.payouts.team_pool;
+    assert.deepStrictEqual(entries.map(e => [e.participant, e.payout, e.place]), [['Alice', 250, 1], ['Dave', 50, 2]]);
+    assert.strictEqual(entries[0].tied, true);
+    assert.strictEqual(notes.length, 1);
+    assert.ok(notes[0].includes('3-way tie for 1st'));
+    assert.ok(notes[0].includes('Alice takes 1st ($250) on alphabetical order'));
+});
+
+test('2-way tie payout explains the split', () => {
+    const results = computeResults(sampleRosters, {
+        teams: { Arsenal: { league_points: 60 }, Chelsea: { league_points: 60 } },
+        players: {},
+    });
+    const { entries, notes } = results.payouts.team_pool;
+    assert.deepStrictEqual(entries.map(e => e.payout), [150, 150]);
+    assert.deepStrictEqual(notes, ['2-way tie for 1st: 1st + 2nd prizes ($300) split evenly, $150 each.']);
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Tiebreaker Chain
+// ═══════════════════════════════════════════════════════════════════
+console.log('\nTiebreaker Chain');
+
+// Three participants level on 100 team points, reached different ways
+const tiedRosters = {
+    pool_metadata: { season: '2025-2026' },
+    rosters: [
+        { participant: 'Alice', teams: [{ name: 'A1' }, { name: 'A2' }], players: [{ name: 'Alice Striker' }, { name: 'Alice Winger' }] },
+        { participant: 'Bob', teams: [{ name: 'B1' }, { name: 'B2' }], players: [{ name: 'Bob Striker' }, { name: 'Bob Winger' }] },
+        { participant: 'Charlie', teams: [{ name: 'C1' }, { name: 'C2' }], players: [{ name: 'Charlie Striker' }, { name: 'Charlie Winger' }] },
+    ],
+};
+const tiedData = {
+    teams: {
+        A1: { league_points: 60, uefa_league_phase_points: 20 }, A2: { league_points: 20 },
+        B1: { league_points: 70, uefa_league_phase_points: 10 }, B2: { league_points: 20 },
+        C1: { league_points: 70, uefa_league_phase_points: 30 }, C2: {},
+    },
+    players: {},
+};
+
+test('Ties are ordered by the configured chain and the decider is recorded', () => {
+    const results = computeResults(tiedRosters, tiedData);
+    // League points: Bob 90, Alice 80, Charlie 70
+    assert.deepStrictEqual(results.team_pool.map(e => e.participant), ['Bob', 'Alice', 'Charlie']);
+    assert.deepStrictEqual(results.team_pool.map(e => e.tiebreak.breaker),
+        ['most_league_points', 'most_league_points', 'most_league_points']);
+    assert.strictEqual(results.team_pool[0].tiebreak.value, 90);
+});
+
+test('Later breakers only run when earlier ones are level', () => {
+    const rules = JSON.parse(JSON.stringify(DEFAULT_RULES));
+    rules.tiebreakers.team_pool = ['most_uefa_points', 'alphabetical'];
+    const results = computeResults(tiedRosters, tiedData, rules);
+    assert.deepStrictEqual(results.team_pool.map(e => e.participant), ['Charlie', 'Alice', 'Bob']);
+
+    rules.tiebreakers.team_pool = ['fewest_zero_picks'];
+    const byZeros = computeResults(tiedRosters, tiedData, rules);
+    // Charlie's C2 is on zero; Alice and Bob fall through to the implicit alphabetical
+    assert.deepStrictEqual(byZeros.team_pool.map(e => e.participant), ['Alice', 'Bob', 'Charlie']);
+    assert.deepStrictEqual(byZeros.team_pool.map(e => e.tiebreak.breaker), ['alphabetical', 'alphabetical', 'fewest_zero_picks']);
+});
+
+test('Untied entries carry no tiebreak', () => {
+    const results = computeResults(sampleRosters, { teams: { Arsenal: { league_points: 10 } }, players: {} });
+    assert.strictEqual(results.team_pool[0].tiebreak, null);
+});
+
+test('Tied participants share a rank (1, 1, 3)', () => {
+    const results = computeResults(tiedRosters, {
+        teams: { A1: { league_points: 50 }, B1: { league_points: 50 }, C1: { league_points: 40 } },
+        players: {},
+    });
+    assert.deepStrictEqual(results.team_pool.map(e => [e.participant, e.rank, e.tied]),
+        [['Alice', 1, true], ['Bob', 1, true], ['Charlie', 3, false]]);
+});
+
+test('A tie below the top shares the lower rank (1, 2, 2)', () => {
+    const results = computeResults(tiedRosters, {
+        teams: { A1: { league_points: 30 }, B1: { league_points: 30 }, C1: { league_points: 40 } },
+        players: {},
+    });
+    assert.deepStrictEqual(results.team_pool.map(e => e.rank), [1, 2, 2]);
+    assert.strictEqual(results.team_pool[0].tied, false);
+});
+
+test('Payouts for a 3-way tie follow the chain and name the breaker', () => {
+    const { entries, notes } = computeResults(tiedRosters, tiedData).payouts.team_pool;
+    assert.deepStrictEqual(entries.map(e => [e.participant, e.payout]), [['Bob', 250]]);
+    assert.strictEqual(notes[0], '3-way tie for 1st: Bob takes 1st ($250) on most league points; Alice, Charlie receive $0.');
+});
+
+test('Goals pool ties go to the participant with the top single scorer', () => {
+    const results = computeResults(tiedRosters, {
+        teams: {},
+        players: {
+            'Alice Striker': { season_total: 6 },
+            'Alice Winger': { season_total: 4 },
+            'Bob Striker': { season_total: 10 },
+            'Charlie Striker': { season_total: 9 },
+        },
+    });
+    assert.deepStrictEqual(results.goals_pool.map(e => e.participant), ['Bob', 'Alice', 'Charlie']);
+    assert.deepStrictEqual(results.goals_pool[0].tiebreak, { breaker: 'most_goals_top_player', label: 'most goals by a single player', value: 10 });
+    assert.strictEqual(results.goals_pool[2].tiebreak, null);
+});
+
+test('Unknown tiebreakers are rejected', () => {
+    assert.throws(() => rankStandings([], e => e.total, ['coin_toss']), /Unknown tiebreaker "coin_toss"/);
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Phase 2 Swaps
+// ═══════════════════════════════════════════════════════════════════
+console.log('\nPhase 2 Swaps');
+
+// Alice drops Chelsea and Palmer at the boundary for Liverpool and Salah
+const swapRosters = {
+    pool_metadata: { season: '2025-2026', phase_2_start_date: '2026-02-01' },
+    rosters: [{
+        participant: 'Alice',
+        teams: [
+            { name: 'Arsenal' },
+            { name: 'Chelsea', active_until: '2026-02-01' },
+            { name: 'Liverpool', active_from: '2026-02-01' },
+        ],
+        players: [
+            { name: 'Cole Palmer', active_from: '2025-08-01', active_until: '2026-02-01' },
+            { name: 'Mohamed Salah', active_from: '2026-02-01' },
+        ],
+    }],
+};
+const swapData = {
+    teams: {
+        Arsenal: { league_points: 70 },
+        Chelsea: { league_points: 60, uefa_league_phase_points: 12 },
+        Liverpool: { league_points: 65 },
+    },
+    players: {
+        'Cole Palmer': [
+            { date: '2025-12-01', minute: 10, type: 'normal', competition: 'Premier League' },
+            { date: '2026-02-01', minute: 10, type: 'normal', competition: 'Premier League' },
+        ],
+        'Mohamed Salah': { season_total: 20 },
+    },
+    snapshots: [{
+        date: '2026-02-01',
+        teams: { Chelsea: { league_points: 35, uefa_league_phase_points: 12 }, Liverpool: { league_points: 40 } },
+        players: { 'Mohamed Salah': 14 },
+    }],
+};
+
+test('A dropped team keeps what it earned before the boundary', () => {
+    const alice = computeResults(swapRosters, swapData).team_pool[0];
+    const chelsea = alice.dropped_teams.find(t => t.name === 'Chelsea');
+    assert.strictEqual(chelsea.league_points, 35);
+    assert.strictEqual(chelsea.uefa_points, 12);
+    assert.strictEqual(chelsea.active_until, '2026-02-01');
+});
+
+test('An added team only earns from the boundary on', () => {
+    const alice = computeResults(swapRosters, swapData).team_pool[0];
+    const liverpool = alice.teams.find(t => t.name === 'Liverpool');
+    assert.strictEqual(liverpool.league_points, 25);
+    assert.strictEqual(liverpool.active_from, '2026-02-01');
+    assert.strictEqual(alice.total_points, 70 + (35 + 12) + 25);
+    assert.deepStrictEqual(alice.teams.map(t => t.name), ['Arsenal', 'Liverpool']);
+});
+
+test('Player windows split goal events and season totals at the boundary', () => {
+    const alice = computeResults(swapRosters, swapData).goals_pool[0];
+    assert.strictEqual(alice.dropped_players[0].goals, 1); // the 1 Feb goal belongs to the replacement window
+    assert.strictEqual(alice.players[0].goals, 6); // 20 now, 14 at the boundary
+    assert.strictEqual(alice.total_goals, 7);
+});
+
+test('A pick dropped on a day with no snapshot is refused, not scored with current numbers', () => {
+    assert.throws(() => computeResults(swapRosters, { ...swapData, snapshots: [] }), /No snapshot for 2026-02-01: can't score Chelsea/);
+    const noSalah = { ...swapData, players: { 'Cole Palmer': { season_total: 9 } }, snapshots: [{ ...swapData.snapshots[0], players: {} }] };
+    assert.throws(() => computeResults(swapRosters, noSalah), /No Cole Palmer total in the 2026-02-01 snapshot/);
+});
+
+test('A drop still to come is scored with current numbers', () => {
+    const alice = computeResults(swapRosters, { ...swapData, as_of: '2026-01-20', snapshots: [] }).team_pool[0];
+    assert.strictEqual(alice.dropped_teams.find(t => t.name === 'Chelsea').league_points, 60);
+});
+
+test('A swap still to come credits nothing to the added picks', () => {
+    const early = {
+        ...swapData,
+        as_of: '2026-01-20',
+        players: { 'Cole Palmer': { season_total: 6 }, 'Mohamed Salah': { season_total: 12 } },
+        snapshots: [{ date: '2026-01-15', teams: { Liverpool: { league_points: 37 } }, players: { 'Mohamed Salah': 11 } }],
+    };
+    const results = computeResults(swapRosters, early);
+    const team = results.team_pool[0];
+    assert.strictEqual(team.teams.find(t => t.name === 'Liverpool').league_points, 0);
+    assert.strictEqual(team.total_points, 70 + (60 + 12));
+    const goals = results.goals_pool[0];
+    assert.strictEqual(goals.players.find(p => p.name === 'Mohamed Salah').goals, 0);
+    assert.strictEqual(goals.total_goals, 6);
+});
+
+test('Valid swaps pass validation', () => {
+    assert.deepStrictEqual(validatePhaseSwaps(swapRosters), []);
+});
+
+test('Off-boundary drops and unbalanced swaps are rejected', () => {
+    const bad = JSON.parse(JSON.stringify(swapRosters));
+    bad.rosters[0].teams[1].active_until = '2026-01-15';
+    bad.rosters[0].players.pop();
+    const errors = validatePhaseSwaps(bad);
+    assert.ok(errors.some(e => e.includes('Chelsea dropped on 2026-01-15')));
+    assert.ok(errors.some(e => e.includes('dropped 1 players but added 0')));
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Trades
+// ═══════════════════════════════════════════════════════════════════
+console.log('\nTrades');
+
+// Alice sends Chelsea to Bob for Haaland on 1 March
+const tradeRosters = {
+    pool_metadata: { season: '2025-2026', phase_2_start_date: '2026-02-01' },
+    rosters: [
+        { participant: 'Alice', teams: [{ name: 'Chelsea' }], players: [] },
+        { participant: 'Bob', teams: [], players: [{ name: 'Erling Haaland', active_from: '2025-08-01' }] },
+    ],
+};
+const tradeLog = {
+    season: '2025-2026',
+    trades: [{
+        id: 'T1',
+        date: '2026-03-01',
+        parties: ['Alice', 'Bob'],
+        moves: [
+            { pick: 'Chelsea', from: 'Alice', to: 'Bob' },
+            { pick: 'Erling Haaland', from: 'Bob', to: 'Alice' },
+        ],
+        note: 'Deadline deal',
+    }],
+};
+const tradeData = {
+    teams: { Chelsea: { league_points: 60 } },
+    players: {
+        'Erling Haaland': [
+            { date: '2026-02-20', minute: 30, type: 'normal', competition: 'Premier League' },
+            { date: '2026-03-01', minute: 30, type: 'normal', competition: 'Premier League' },
+            { date: '2026-03-08', minute: 30, type: 'normal', competition: 'Premier League' },
+        ],
+    },
+    snapshots: [{ date: '2026-03-01', teams: { Chelsea: { league_points: 45 } }, players: {} }],
+};
+
+test('Points are credited to whoever owned the pick on the date', () => {
+    const results = computeResults(tradeRosters, tradeData, undefined, tradeLog);
+    const [alice, bob] = ['Alice', 'Bob'].map(p => results.team_pool.find(e => e.participant === p));
+    assert.strictEqual(alice.total_points, 45);
+    assert.deepStrictEqual(alice.dropped_teams[0].traded_to, { participant: 'Bob', date: '2026-03-01', trade: 'T1' });
+    assert.strictEqual(bob.total_points, 15);
+    assert.strictEqual(bob.teams[0].acquired_from.participant, 'Alice');
+});
+
+test('Goals on the trade date go to the receiving participant', () => {
+    const results = computeResults(tradeRosters, tradeData, undefined, tradeLog);
+    const [alice, bob] = ['Alice', 'Bob'].map(p => results.goals_pool.find(e => e.participant === p));
+    assert.strictEqual(bob.total_goals, 1);
+    assert.strictEqual(alice.total_goals, 2);
+});
+
+test('A trade still to come leaves both participants\' totals unchanged', () => {
+    const early = {
+        as_of: '2026-02-25',
+        teams: { Chelsea: { league_points: 44 } },
+        players: { 'Erling Haaland': { season_total: 19 } },
+        snapshots: [{ date: '2026-02-20', teams: { Chelsea: { league_points: 41 } }, players: { 'Erling Haaland': 18 } }],
+    };
+    const traded = computeResults(tradeRosters, early, undefined, tradeLog);
+    const untraded = computeResults(tradeRosters, early);
+    for (const pool of ['team_pool', 'goals_pool']) {
+        const totals = results => Object.fromEntries(results[pool].map(e => [e.participant, e.total_points ?? e.total_goals]));
+        assert.deepStrictEqual(totals(traded), totals(untraded));
+    }
+    assert.strictEqual(traded.team_pool.find(e => e.participant === 'Alice').total_points, 44);
+    assert.strictEqual(traded.goals_pool.find(e => e.participant === 'Bob').total_goals, 19);
+});
+
+test('Each pool entry lists the trades that touched its picks', () => {
+    const results = computeResults(tradeRosters, tradeData, undefined, tradeLog);
+    const aliceTeams = results.team_pool.find(e => e.participant === 'Alice');
+    assert.deepStrictEqual(aliceTeams.transactions, [{
+        trade: 'T1', date: '2026-03-01', with: 'Bob', gave: ['Chelsea'], received: [], note: 'Deadline deal',
+    }]);
+    const aliceGoals = results.goals_pool.find(e => e.participant === 'Alice');
+    assert.deepStrictEqual(aliceGoals.transactions[0].received, ['Erling Haaland']);
+});
+
+test('A valid trade log passes validation', () => {
+    assert.deepStrictEqual(validateTransactions(tradeRosters, tradeLog), []);
+});
+
+test('Trades of picks the giver does not own are rejected', () => {
+    const log = JSON.parse(JSON.stringify(tradeLog));
+    log.trades.push({
+        id: 'T2', date: '2026-04-01', parties: ['Alice', 'Bob'],
+        moves: [{ pick: 'Chelsea', from: 'Alice', to: 'Bob' }], // already Bob's since T1
+    });
+    const errors = validateTransactions(tradeRosters, log);
+    assert.deepStrictEqual(errors, ['Trade T2: Alice does not own Chelsea on 2026-04-01']);
+});
+
+test('A pick cannot end up owned twice', () => {
+    const rosters = JSON.parse(JSON.stringify(tradeRosters));
+    rosters.rosters[1].teams.push({ name: 'Chelsea' });
+    const errors = validateTransactions(rosters, tradeLog);
+    assert.ok(errors.some(e => e.includes('Chelsea is already owned by Bob')));
+});
+
+test('Both parties must be participants and take part in the trade', () => {
+    const log = { trades: [{ id: 'T3', date: '2026-03-01', parties: ['Alice', 'Carol'], moves: [] }] };
+    const errors = validateTransactions(tradeRosters, log);
+    assert.ok(errors.includes('Trade T3: Carol is not a participant'));
+    assert.ok(errors.includes('Trade T3: Alice is listed but neither gives nor receives a pick'));
+});
+
+test('computeResults refuses an invalid trade log', () => {
+    const log = { trades: [{ id: 'T4', date: 'March', parties: ['Alice', 'Bob'], moves: [{ pick: 'Chelsea', from: 'Alice', to: 'Bob' }] }] };
+    assert.throws(() => computeResults(tradeRosters, tradeData, undefined, log), /date must be YYYY-MM-DD/);
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Weekly & Monthly Deltas
+// ═══════════════════════════════════════════════════════════════════
+console.log('\nWeekly & Monthly Deltas');
+
+const deltaRosters = {
+    pool_metadata: { season: '2025-2026', phase_2_start_date: '2026-02-01' },
+    rosters: [{
+        participant: 'Alice',
+        teams: [{ name: 'Arsenal' }, { name: 'Chelsea', active_from: '2026-03-28' }],
+        players: [{ name: 'Bukayo Saka', active_from: '2025-08-01' }],
+    }],
+};
+const deltaData = {
+    as_of: '2026-04-01',
+    teams: { Arsenal: { league_points: 66 }, Chelsea: { league_points: 52 } },
+    players: {
+        'Bukayo Saka': [
+            { date: '2026-03-10', minute: 5, type: 'normal', competition: 'Premier League' },
+            { date: '2026-03-29', minute: 5, type: 'normal', competition: 'Premier League' },
+        ],
+    },
+    snapshots: [
+        { date: '2026-03-01', teams: { Arsenal: { league_points: 50 }, Chelsea: { league_points: 40 } }, players: {} },
+        { date: '2026-03-25', teams: { Arsenal: { league_points: 60 }, Chelsea: { league_points: 46 } }, players: {} },
+        { date: '2026-03-28', teams: { Arsenal: { league_points: 63 }, Chelsea: { league_points: 49 } }, players: {} },
+    ],
+};
+
+test('Team deltas compare today with the snapshot a week and a month back', () => {
+    const alice = computeResults(deltaRosters, deltaData).team_pool[0];
+    assert.strictEqual(alice.total_points, 66 + 3); // Chelsea only since 28 Mar
+    assert.deepStrictEqual(alice.deltas, { week: 6 + 3, month: 16 + 3 });
+});
+
+test('Goal deltas count goals in the period', () => {
+    const alice = computeResults(deltaRosters, deltaData).goals_pool[0];
+    assert.deepStrictEqual(alice.deltas, { week: 1, month: 2 });
+});
+
+test('A period reaching back before the first snapshot has no delta', () => {
+    const alice = computeResults(deltaRosters, { ...deltaData, as_of: '2026-03-05' }).team_pool[0];
+    assert.deepStrictEqual(alice.deltas, { week: null, month: null });
+});
+
+test('Picks scored from carried-forward numbers are marked stale', () => {
+    const results = computeResults(deltaRosters, {
+        ...deltaData,
+        stale: { teams: { Chelsea: '2026-03-30' }, players: {} },
+    });
+    const [arsenal, chelsea] = results.team_pool[0].teams;
+    assert.strictEqual(arsenal.stale, undefined);
+    assert.strictEqual(chelsea.stale, true);
+    assert.strictEqual(chelsea.last_refreshed, '2026-03-30');
+    assert.strictEqual(results.goals_pool[0].players[0].stale, undefined);
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Versioned Rules Config
+// ═══════════════════════════════════════════════════════════════════
+console.log('\nVersioned Rules Config');
+
+// Next season's hypothetical rules: a quarterfinal milestone and bigger UCL bonus
+const nextSeasonRules = JSON.parse(JSON.stringify(DEFAULT_RULES));
+nextSeasonRules.version = '4.0';
+nextSeasonRules.scoring.domestic_cup_milestones.quarterfinal = 4;
+nextSeasonRules.scoring.uefa_cup_milestones.champions_league.winner = 25;
+
+test('Default rules come from data/rules.json', () => {
+    assert.strictEqual(DEFAULT_RULES, require('../data/rules.json'));
+    assert.strictEqual(getDomesticCupBonus({ milestone: 'winner' }), 15);
+});
+
+test('A new milestone is a config edit, not a code change', () => {
+    assert.strictEqual(getDomesticCupBonus({ milestone: 'quarterfinal' }), 0);
+    assert.strictEqual(getDomesticCupBonus({ milestone: 'quarterfinal' }, nextSeasonRules), 4);
+    assert.strictEqual(getUefaCupBonus({ competition: 'champions_league', milestone: 'winner' }, nextSeasonRules), 25);
+});
+
+test('Excluded goal types come from config', () => {
+    const goals = [
+        { date: '2025-10-01', minute: 67, type: 'own_goal', competition: 'Premier League' },
+    ];
+    const lenient = JSON.parse(JSON.stringify(DEFAULT_RULES));
+    lenient.scoring.excluded_goal_types = ['penalty_shootout'];
+    assert.strictEqual(calculatePlayerGoals(goals, '2025-08-01'), 0);
+    assert.strictEqual(calculatePlayerGoals(goals, '2025-08-01', lenient), 1);
+});
+
+test('Split-season leagues count the points the config says', () => {
+    // Belgian-style split: 65 regular-season points halved to 33, then 6 in the play-offs
+    const unionSG = { league_points: 39, league_split: { regular: 65, carried: 33, playoff: 6 } };
+    const official = JSON.parse(JSON.stringify(DEFAULT_RULES));
+    official.scoring.split_season_points = 'official_table';
+    assert.strictEqual(getLeaguePoints(unionSG), 71);
+    assert.strictEqual(calculateTeamPoints(unionSG).total, 71);
+    assert.strictEqual(getLeaguePoints(unionSG, official), 39);
+    assert.strictEqual(getLeaguePoints({ league_points: 50 }, official), 50);
+    official.scoring.split_season_points = 'halved';
+    assert.throws(() => getLeaguePoints(unionSG, official), /Unknown split_season_points "halved"/);
+});
+
+test('computeResults is driven by the given rules and stamps their version', () => {
+    const results = computeResults(sampleRosters, {
+        teams: { Arsenal: { league_points: 10, domestic_cup: { milestone: 'quarterfinal' } } },
+        players: {},
+    }, nextSeasonRules);
+    assert.strictEqual(results.rules_version, '4.0');
+    assert.strictEqual(results.team_pool.find(e => e.participant === 'Alice').total_points, 14);
+    assert.strictEqual(computeResults(sampleRosters, { teams: {}, players: {} }).rules_version, DEFAULT_RULES.version);
+});
+
 // ═══════════════════════════════════════════════════════════════════
 // Summary
 // ═══════════════════════════════════════════════════════════════════